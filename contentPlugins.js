@@ -1,75 +1,299 @@
 /**
  * Content Plugins - Modular system for handling different content types
  * Each plugin is now in a separate file for better maintainability
+ *
+ * Built-in plugins are registered below; external plugins add their own type
+ * (and optionally a URL detector) with contentPlugins.register().
  */
 
-const pluginLoaders = {
-  video: () => import('./plugins/video/index.js').then(m => m.videoPlugin.load),
-  model: () => import('./plugins/model/index.js').then(m => m.modelPlugin.load),
-  pdf: () => import('./plugins/iframe/index.js').then(m => m.iframePlugin.load),
-  h5p: () => import('./plugins/h5p/index.js').then(m => m.h5pPlugin.load),
-  supersplat: () => import('./plugins/supersplat/index.js').then(m => m.superSplatPlugin.load),
-  iframe: () => import('./plugins/iframe/index.js').then(m => m.iframePlugin.load)
+const registry = new Map();
+
+/**
+ * Fallback type for auto-detection when no detector claims a URL
+ */
+const DEFAULT_TYPE = 'iframe';
+
+const hasExtension = (...extensions) => (src, { ext }) => extensions.includes(ext);
+
+// Manifest fields shared by the audio and video plugins
+const playbackProperties = {
+  // Percent-watched milestones reported as `video_milestone` / `audio_milestone` events
+  milestones: { type: 'array', items: { type: 'number', minimum: 1, maximum: 100 } },
+  // Offer to resume from the learner's last position (needs a manifest id)
+  resume: { type: 'boolean' }
 };
 
 export const contentPlugins = {
+  /**
+   * Register a content plugin
+   * @param {string} type - Content type identifier (used as manifest `type`)
+   * @param {Object} plugin - Plugin registration
+   * @param {Function} plugin.load - Loader resolving to the plugin load function,
+   *   e.g. `() => import('./my-plugin.js').then(m => m.myPlugin.load)`
+   * @param {Function} [plugin.detect] - `(src, { url, ext }) => boolean`, claims a URL for auto-detection
+   * @param {number} [plugin.priority=0] - Detectors with higher priority are consulted first
+   * @param {Object} [plugin.properties] - JSON Schema for extra manifest properties the plugin reads
+   */
+  register(type, { load, detect = null, priority = 0, properties = {} } = {}) {
+    if (typeof type !== 'string' || !type.trim()) {
+      throw new TypeError('Content plugin type must be a non-empty string');
+    }
+    if (typeof load !== 'function') {
+      throw new TypeError(`Content plugin "${type}" must provide a load function`);
+    }
+    if (detect !== null && typeof detect !== 'function') {
+      throw new TypeError(`Content plugin "${type}" detect must be a function`);
+    }
+
+    if (registry.has(type)) {
+      console.warn(`Replacing existing content plugin: ${type}`);
+    }
+    registry.set(type, { load, detect, priority, properties });
+  },
+
+  /**
+   * Check whether a content type has a registered plugin
+   * @param {string} type - Content type identifier
+   * @returns {boolean}
+   */
+  has(type) {
+    return registry.has(type);
+  },
+
+  /**
+   * List registered content types
+   * @returns {string[]}
+   */
+  getTypes() {
+    return [...registry.keys()];
+  },
+
+  /**
+   * Extra manifest properties declared by registered plugins
+   * @returns {Object} JSON Schema properties keyed by manifest field
+   */
+  getManifestProperties() {
+    return [...registry.values()].reduce((all, plugin) => ({ ...all, ...plugin.properties }), {});
+  },
+
   /**
    * Dynamically load a content plugin based on type
    * @param {string} type - Content type identifier
    * @returns {Promise<Function>} Plugin load function
+   * @throws {Error} When no plugin is registered for the type
    */
   async getPlugin(type) {
-    const loader = pluginLoaders[type] || pluginLoaders.iframe;
-    return loader();
+    const plugin = registry.get(type);
+    if (!plugin) {
+      throw new Error(`Unknown content type "${type}". Registered types: ${this.getTypes().join(', ')}`);
+    }
+    return plugin.load();
   },
 
   /**
    * Auto-detect content type based on URL or extension
+   * Detectors are consulted in priority order; the first match wins.
    * @param {string} src - The source URL
    * @returns {string} Detected content type
    */
   detectType: (src) => {
-    if (!src) return 'iframe';
-    
+    if (!src) return DEFAULT_TYPE;
+
+    let url;
     try {
-      const url = new URL(src, window.location.href);
-      const ext = src.split('.').pop().toLowerCase();
-      
-      // Video detection
-      if (url.hostname.includes('youtube.com') || 
-          url.hostname.includes('vimeo.com') ||
-          ['mp4', 'webm', 'ogg', 'mov', 'avi'].includes(ext)) {
-        return 'video';
-      }
-      
-      // 3D model detection
-      if (['glb', 'gltf', 'obj', 'fbx', '3ds'].includes(ext)) {
-        return 'model';
+      url = new URL(src, window.location.href);
+    } catch (error) {
+      console.warn('Error detecting content type:', error);
+      return DEFAULT_TYPE;
+    }
+    const ext = url.pathname.split('.').pop().toLowerCase();
+
+    const detectors = [...registry.entries()]
+      .filter(([, plugin]) => plugin.detect)
+      .sort(([, a], [, b]) => b.priority - a.priority);
+
+    for (const [type, plugin] of detectors) {
+      try {
+        if (plugin.detect(src, { url, ext })) {
+          return type;
+        }
+      } catch (error) {
+        console.warn(`Content type detector for "${type}" failed:`, error);
       }
+    }
 
-      // SuperSplat detection (.ply)
-      if (ext === 'ply') {
-        return 'supersplat';
+    return DEFAULT_TYPE;
+  }
+};
+
+// Built-in plugins (priority mirrors the original detection order)
+contentPlugins.register('video', {
+  load: () => import('./plugins/video/index.js').then(m => m.videoPlugin.load),
+  detect: (src, { url, ext }) =>
+    url.hostname.includes('youtube.com') ||
+    url.hostname.includes('vimeo.com') ||
+    ['mp4', 'webm', 'ogv', 'mov', 'avi', 'm3u8', 'mpd'].includes(ext),
+  priority: 60,
+  properties: {
+    ...playbackProperties,
+    // Stream format of `src` when the URL doesn't say (e.g. a lecture-capture endpoint)
+    format: { type: 'string', enum: ['hls', 'dash', 'progressive'] },
+    // Alternative sources, e.g. WebM and MP4 encodes or sized renditions for the quality menu
+    sources: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['src'],
+        properties: {
+          src: { type: 'string', minLength: 1 },
+          type: { type: 'string', minLength: 1 },
+          size: { type: 'integer', minimum: 1 }
+        },
+        additionalProperties: false
       }
-      
-      // PDF detection
-      if (ext === 'pdf') {
-        return 'pdf';
+    }
+  }
+});
+
+// .ogg is nearly always Vorbis audio; Ogg video uses .ogv (or an explicit `type`)
+contentPlugins.register('audio', {
+  load: () => import('./plugins/audio/index.js').then(m => m.audioPlugin.load),
+  detect: hasExtension('mp3', 'm4a', 'aac', 'ogg', 'oga', 'opus', 'wav'),
+  priority: 55,
+  properties: playbackProperties
+});
+
+// Model-space point or direction: "0m 1.2m 0.1m" or [0, 1.2, 0.1] (metres)
+const modelVector = {
+  anyOf: [
+    { type: 'string', minLength: 1 },
+    { type: 'array', items: { type: 'number' }, minItems: 3 }
+  ],
+  errorMessage: 'Expected a model-viewer vector such as "0m 1.2m 0.1m" or [x, y, z] in metres'
+};
+
+contentPlugins.register('model', {
+  load: () => import('./plugins/model/index.js').then(m => m.modelPlugin.load),
+  detect: hasExtension('glb', 'gltf', 'obj', 'fbx', '3ds'),
+  priority: 50,
+  properties: {
+    // Annotated points on the model, listed under it and shown as numbered hotspots
+    hotspots: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['position', 'label'],
+        properties: {
+          position: modelVector,
+          normal: modelVector,
+          label: { type: 'string', minLength: 1 },
+          description: { type: 'string' },
+          orbit: { type: 'string', minLength: 1 }
+        },
+        additionalProperties: false
       }
-      
-      // H5P detection
-      if (url.hostname.includes('h5p.org') || 
-          src.includes('/h5p/') ||
-          src.includes('h5p')) {
-        return 'h5p';
+    },
+    // model-viewer settings; anything left out keeps the wrapper defaults
+    viewer: {
+      type: 'object',
+      properties: {
+        cameraOrbit: { type: 'string', minLength: 1 },
+        cameraTarget: { type: 'string', minLength: 1 },
+        minCameraOrbit: { type: 'string', minLength: 1 },
+        maxCameraOrbit: { type: 'string', minLength: 1 },
+        fieldOfView: { type: 'string', minLength: 1 },
+        minFieldOfView: { type: 'string', minLength: 1 },
+        maxFieldOfView: { type: 'string', minLength: 1 },
+        exposure: { type: 'number', minimum: 0 },
+        environmentImage: { type: 'string', minLength: 1 },
+        skyboxImage: { type: 'string', minLength: 1 },
+        shadowIntensity: { type: 'number', minimum: 0, maximum: 1 },
+        shadowSoftness: { type: 'number', minimum: 0, maximum: 1 },
+        arPlacement: { enum: ['floor', 'wall'] },
+        arScale: { enum: ['auto', 'fixed'] },
+        autoRotate: { type: 'boolean' },
+        animation: { type: 'string', minLength: 1 },
+        autoplay: { type: 'boolean' },
+        variant: { type: 'string', minLength: 1 }
+      },
+      additionalProperties: false
+    }
+  }
+});
+
+contentPlugins.register('image', {
+  load: () => import('./plugins/image/index.js').then(m => m.imagePlugin.load),
+  detect: hasExtension('jpg', 'jpeg', 'png', 'gif', 'webp', 'avif', 'svg'),
+  priority: 45,
+  properties: {
+    // Single image: caption under it and a long description for complex diagrams
+    caption: { type: 'string' },
+    longDescription: { type: 'string' },
+    // Image gallery (replaces src); every image needs alt text
+    images: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['src', 'alt'],
+        properties: {
+          src: { type: 'string', minLength: 1 },
+          alt: { type: 'string', minLength: 1 },
+          caption: { type: 'string' },
+          longDescription: { type: 'string' }
+        },
+        additionalProperties: false
       }
-      
-      // Default to iframe
-      return 'iframe';
-      
-    } catch (error) {
-      console.warn('Error detecting content type:', error);
-      return 'iframe';
     }
   }
-};
+});
+
+contentPlugins.register('supersplat', {
+  load: () => import('./plugins/supersplat/index.js').then(m => m.superSplatPlugin.load),
+  detect: hasExtension('ply'),
+  priority: 40,
+  properties: {
+    // Self-hosted viewer page; defaults to the public SuperSplat viewer
+    viewerUrl: { type: 'string', minLength: 1 },
+    // settings.json URL, or the settings inline
+    settings: {
+      anyOf: [{ type: 'string', minLength: 1 }, { type: 'object' }]
+    },
+    camera: {
+      type: 'object',
+      properties: {
+        position: { type: 'array', items: { type: 'number' }, minItems: 3 },
+        target: { type: 'array', items: { type: 'number' }, minItems: 3 },
+        fov: { type: 'number', minimum: 1, maximum: 180 },
+        startAnim: { enum: ['none', 'orbit', 'animTrack'] },
+        animTrack: { type: 'string', minLength: 1 }
+      },
+      additionalProperties: false
+    },
+    skybox: { type: 'string', minLength: 1 },
+    showUI: { type: 'boolean' },
+    autoPlay: { type: 'boolean' },
+    showStats: { type: 'boolean' }
+  }
+});
+
+contentPlugins.register('pdf', {
+  load: () => import('./plugins/pdf/index.js').then(m => m.pdfPlugin.load),
+  detect: hasExtension('pdf'),
+  priority: 30
+});
+
+contentPlugins.register('h5p', {
+  load: () => import('./plugins/h5p/index.js').then(m => m.h5pPlugin.load),
+  detect: (src, { url }) => url.hostname.includes('h5p.org') || src.includes('h5p'),
+  priority: 20
+});
+
+contentPlugins.register('iframe', {
+  load: () => import('./plugins/iframe/index.js').then(m => m.iframePlugin.load)
+});
+
+// Alias used by website manifests
+contentPlugins.register('website', {
+  load: () => import('./plugins/iframe/index.js').then(m => m.iframePlugin.load)
+});
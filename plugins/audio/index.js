@@ -0,0 +1,247 @@
+/**
+ * Audio Content Plugin
+ * Handles podcasts and audio lectures with Plyr's audio player. Captions
+ * become the wrapper's transcript (see manifestResolver), which follows
+ * playback in place of on-screen captions.
+ */
+
+import { WatchProgress, DEFAULT_MILESTONES } from '../../utils/watchProgress.js';
+import { createPositionStore, isResumable } from '../../utils/playbackPosition.js';
+import { createResumePrompt } from '../../utils/resumePrompt.js';
+import { formatTime } from '../../utils/transcript.js';
+
+const MIME_TYPES = {
+  mp3: 'audio/mpeg',
+  m4a: 'audio/mp4',
+  aac: 'audio/aac',
+  ogg: 'audio/ogg',
+  oga: 'audio/ogg',
+  opus: 'audio/ogg',
+  wav: 'audio/wav'
+};
+
+export const audioPlugin = {
+  /**
+   * Handle audio content with Plyr player
+   * @param {Object} wrapper - The wrapper instance
+   * @param {Object} config - Configuration object
+   * @param {string} config.src - Audio source URL
+   * @param {string} [config.title] - Optional title, used for the player label
+   * @param {string} [config.poster] - Optional cover artwork URL
+   * @param {string} [config.alt] - Alt text for the artwork (decorative when empty)
+   * @param {Array} [config.captions] - Caption tracks, shown as the synced transcript
+   * @param {number[]} [config.milestones] - Percent-listened milestones to report (default 25/50/75/90)
+   * @param {string} [config.id] - Manifest id, used to remember the playback position
+   * @param {boolean} [config.resume=true] - Offer to resume from the saved position
+   * @returns {Promise<Object>} Plugin handle (destroy, pause, resume, seek, getState)
+   */
+  async load(wrapper, { src, title = '', poster = '', alt = '', captions = [], milestones = DEFAULT_MILESTONES, id = '', resume = true }) {
+    const [{ default: Plyr }] = await Promise.all([
+      import('plyr'),
+      import('../video/plyr.css')
+    ]);
+
+    console.log('🎧 Loading audio:', src);
+
+    if (!src) {
+      throw new Error('Audio source URL is required');
+    }
+
+    const container = wrapper.getContentContainer();
+    container.classList.add('audio-content');
+
+    const audioId = 'audio-' + Math.random().toString(36).substr(2, 9);
+    const type = getAudioMimeType(src);
+
+    // Tracks don't display for audio, but keep them for the text track API
+    const captionTracks = captions.map(caption =>
+      `<track kind="captions" label="${wrapper.escapeHtml(caption.label || caption.language)}" src="${caption.src}" srclang="${caption.language}"${caption.default ? ' default' : ''}>`
+    ).join('\n          ');
+
+    container.innerHTML = `
+      <div class="audio-wrapper">
+        ${poster ? `<img class="audio-artwork" src="${poster}" alt="${wrapper.escapeHtml(alt)}">` : ''}
+        <div class="audio-player">
+          <audio id="${audioId}" controls preload="metadata"${title ? ` aria-label="${wrapper.escapeHtml(title)}"` : ''}>
+            <source src="${src}"${type ? ` type="${type}"` : ''}>
+            ${captionTracks}
+            Your browser doesn't support HTML5 audio.
+          </audio>
+        </div>
+      </div>`;
+
+    const audioElement = container.querySelector(`#${audioId}`);
+    let player = null;
+
+    // Distinct listened time, for percent-listened and milestone events
+    const progress = new WatchProgress({ milestones });
+    const recordProgress = (time, duration) => {
+      progress.update(time, duration).forEach(milestone => {
+        wrapper.trackContentEvent('audio_milestone', 'Audio Player', `${milestone}% listened`, milestone);
+        wrapper.dispatchEvent('audio:progress', { milestone, duration, ...progress.getState() });
+      });
+    };
+
+    // Saved playback position, offered as "Resume from 12:34" when the player is ready
+    const positions = createPositionStore(wrapper, { id, resume });
+    let resumePrompt = null;
+    const hideResumePrompt = () => {
+      resumePrompt?.remove();
+      resumePrompt = null;
+    };
+    const media = () => player || audioElement;
+    const savePosition = (options) => {
+      if (positions) positions.save(media().currentTime, media().duration, options);
+    };
+    const handlePageHide = () => savePosition({ force: true });
+
+    const offerResume = async () => {
+      // A SCORM attempt being resumed already seeks to the LMS's position
+      if (!positions || wrapper.scorm?.getResumePosition() > 0) return;
+
+      const saved = await positions.load();
+      if (!saved || !isResumable(saved.position, media().duration || saved.duration)) return;
+      // The learner started playing while storage was being read
+      if (!media().paused || media().currentTime > 0 || !container.isConnected) return;
+
+      resumePrompt = createResumePrompt(container.querySelector('.audio-player'), saved.position, {
+        onResume: () => {
+          hideResumePrompt();
+          media().currentTime = saved.position;
+          media().play();
+          wrapper.trackContentEvent('audio_resume', 'Audio Player', `Resumed from ${formatTime(saved.position)}`, saved.position);
+        },
+        onRestart: () => {
+          hideResumePrompt();
+          positions.clear();
+          media().play();
+          wrapper.trackContentEvent('audio_restart', 'Audio Player', 'Started over');
+        }
+      });
+      wrapper.announceToScreenReader(`You can resume this audio from ${formatTime(saved.position)}`);
+    };
+
+    try {
+      player = new Plyr(audioElement, {
+        controls: ['play', 'progress', 'current-time', 'duration', 'mute', 'volume', 'settings'],
+        settings: ['speed'],
+        speed: { selected: 1, options: [0.5, 0.75, 1, 1.25, 1.5, 2] }
+      });
+    } catch (plyrError) {
+      console.error('Failed to initialize Plyr:', plyrError);
+      console.log('Falling back to basic audio controls');
+    }
+
+    // Plyr re-emits the media events, so the same handlers work with or without it
+    const on = (event, handler) => {
+      if (player) {
+        player.on(event, handler);
+      } else {
+        audioElement.addEventListener(event, handler);
+      }
+    };
+
+    const handleReady = () => {
+      console.log('✅ Audio player ready');
+      wrapper.trackContentEvent('audio_ready', 'Audio Player', player ? 'Plyr initialized' : 'Native player');
+      wrapper.triggerResize();
+      offerResume();
+    };
+    if (player) {
+      player.on('ready', handleReady);
+    } else {
+      handleReady();
+    }
+
+    on('play', () => {
+      hideResumePrompt();
+      wrapper.trackContentEvent('audio_play', 'Audio Player', 'Audio started');
+    });
+
+    on('pause', () => {
+      savePosition({ force: true });
+      wrapper.trackContentEvent('audio_pause', 'Audio Player', 'Audio paused');
+    });
+
+    // Keep the transcript and listening progress in sync with playback
+    on('timeupdate', () => {
+      wrapper.onMediaTimeUpdate(media().currentTime);
+      recordProgress(media().currentTime, media().duration);
+      savePosition();
+    });
+
+    on('seeked', () => {
+      wrapper.onMediaTimeUpdate(media().currentTime);
+      progress.seek(media().currentTime);
+    });
+
+    on('ended', () => {
+      // The last timeupdate usually lands just short of the end
+      recordProgress(media().duration, media().duration);
+      positions?.clear();
+      wrapper.trackContentEvent('audio_complete', 'Audio Player', 'Audio finished');
+    });
+
+    window.addEventListener('pagehide', handlePageHide);
+
+    console.log('✅ Audio plugin initialized');
+
+    return {
+      destroy() {
+        savePosition({ force: true });
+        window.removeEventListener('pagehide', handlePageHide);
+        hideResumePrompt();
+        if (player) {
+          player.destroy();
+          player = null;
+        }
+        container.innerHTML = '';
+        container.classList.remove('audio-content');
+      },
+
+      pause() {
+        media().pause();
+      },
+
+      resume() {
+        const playback = media().play();
+        // Autoplay policies may reject play(); the learner can still press play
+        if (playback && playback.catch) {
+          playback.catch(error => {
+            console.warn('Audio resume blocked:', error);
+            wrapper.showNotice('Press play to continue listening.');
+          });
+        }
+      },
+
+      seek(seconds) {
+        media().currentTime = seconds;
+      },
+
+      getState() {
+        return {
+          type: 'audio',
+          currentTime: media().currentTime || 0,
+          duration: media().duration || 0,
+          paused: media().paused,
+          ended: media().ended,
+          ...progress.getState()
+        };
+      }
+    };
+  }
+};
+
+/**
+ * MIME type for an audio source, from its file extension
+ * @param {string} src - Audio source URL
+ * @returns {string} MIME type, or '' when unknown (the browser sniffs it)
+ */
+export function getAudioMimeType(src) {
+  try {
+    const { pathname } = new URL(src, window.location.href);
+    return MIME_TYPES[pathname.split('.').pop().toLowerCase()] || '';
+  } catch (error) {
+    return '';
+  }
+}
@@ -1,8 +1,15 @@
 /**
  * H5P Content Plugin
- * Dedicated plugin for H5P interactive content with official resizer
+ * Dedicated plugin for H5P interactive content with official resizer.
+ * Scores and completion from the content's xAPI statements are reported
+ * through wrapper.reportResult() (see xapiResult.js).
  */
 
+import { readStatement, summarizeStatement, mergeResult } from './xapiResult.js';
+
+// Top-level statements worth an analytics event; the rest (interacted, attempted, ...) only fire h5p:xapi
+const TRACKED_VERBS = ['answered', 'completed', 'passed', 'failed'];
+
 export const h5pPlugin = {
   /**
    * Handle H5P content with official resizer integration
@@ -10,6 +17,7 @@ export const h5pPlugin = {
    * @param {Object} config - Configuration object
    * @param {string} config.src - H5P content source URL
    * @param {string} [config.title] - Optional title for the content
+   * @returns {Promise<Object>} Plugin handle (destroy, pause, resume, getState, getResult)
    */
   async load(wrapper, { src, title = '' }) {
     console.log('🎮 Loading H5P content:', src);
@@ -38,20 +46,60 @@ export const h5pPlugin = {
 
     // Track H5P events
     const iframe = container.querySelector('iframe');
-    
+    let loaded = false;
+
+    // Activity result built from top-level xAPI statements
+    let result = null;
+
+    const handleStatement = (statement) => {
+      const summary = summarizeStatement(statement);
+      wrapper.dispatchEvent('h5p:xapi', { statement, ...summary });
+
+      // Update the result first, so analytics listeners see the new score in getState()
+      const previous = result;
+      result = mergeResult(result, summary);
+
+      // Analytics and xAPI events are about the whole activity, so answers to single
+      // questions (sub-content) only fire h5p:xapi rather than one "answered" per question
+      if (summary.topLevel && TRACKED_VERBS.includes(summary.verb)) {
+        const percent = summary.score?.scaled != null ? Math.round(summary.score.scaled * 100) : undefined;
+        wrapper.trackContentEvent(`h5p_${summary.verb}`, 'H5P Content', summary.name || summary.verb, percent);
+      }
+      if (result !== previous) {
+        wrapper.reportResult(result);
+      }
+    };
+
+    // Same-origin content exposes H5P's dispatcher directly; cross-origin content
+    // has to relay statements with postMessage (see the README)
+    let dispatcher = null;
+    const handleDispatch = (event) => handleStatement(event.data.statement);
+
     iframe.addEventListener('load', () => {
+      loaded = true;
       console.log('✅ H5P content loaded');
       wrapper.trackContentEvent('h5p_loaded', 'H5P Content', 'H5P interactive content loaded');
       wrapper.triggerResize();
+
+      try {
+        dispatcher = iframe.contentWindow?.H5P?.externalDispatcher || null;
+      } catch (error) {
+        dispatcher = null;
+      }
+      if (dispatcher) {
+        dispatcher.on('xAPI', handleDispatch);
+        console.log('📊 Listening to H5P xAPI statements');
+      }
     });
 
     iframe.addEventListener('error', () => {
       console.error('❌ H5P loading error');
       wrapper.trackContentEvent('h5p_error', 'H5P Content', 'H5P content failed to load');
+      wrapper.showNotice('This activity could not be loaded. Check your connection and reload the page.', { severity: 'error' });
     });
 
     // Set up H5P-specific message listening for analytics
-    window.addEventListener('message', (event) => {
+    const handleMessage = (event) => {
       const data = event.data;
       if (!data) return;
       
@@ -59,10 +107,35 @@ export const h5pPlugin = {
       if (data.type === 'h5p' && data.action) {
         wrapper.trackContentEvent(`h5p_${data.action}`, 'H5P Interaction', data.action);
       }
-    });
+
+      // Relayed xAPI statements, only from our own frame (and not twice when the dispatcher is reachable)
+      if (event.source === iframe.contentWindow && !dispatcher) {
+        const statement = readStatement(data);
+        if (statement) handleStatement(statement);
+      }
+    };
+    window.addEventListener('message', handleMessage);
 
     console.log('✅ H5P plugin initialized');
-    return iframe;
+
+    return {
+      destroy() {
+        window.removeEventListener('message', handleMessage);
+        try {
+          dispatcher?.off('xAPI', handleDispatch);
+        } catch (error) {
+          // The frame may already be gone
+        }
+        container.innerHTML = '';
+        container.classList.remove('h5p-content');
+      },
+      getState() {
+        return { type: 'h5p', src, loaded, result };
+      },
+      getResult() {
+        return result;
+      }
+    };
   }
 };
 
@@ -0,0 +1,101 @@
+/**
+ * H5P xAPI Results
+ * Reads the xAPI statements H5P content emits (through H5P.externalDispatcher,
+ * or relayed from the H5P frame with postMessage) and keeps a running result
+ * for the activity: score, success and completion.
+ *
+ * Statements about sub-content (a single question inside a Question Set or
+ * Interactive Video) are reported as events but don't change the result;
+ * only statements about the activity itself do.
+ */
+
+/**
+ * Pull an xAPI statement out of a message from the H5P frame
+ * Accepts `{ context: 'h5p', action: 'xAPI', statement }`, `{ statement }`,
+ * a bare statement, or any of these as a JSON string.
+ * @param {*} data - event.data of a message event
+ * @returns {Object|null} The statement, or null when the message isn't one
+ */
+export function readStatement(data) {
+  let message = data;
+  if (typeof message === 'string') {
+    try {
+      message = JSON.parse(message);
+    } catch (error) {
+      return null;
+    }
+  }
+  if (!message || typeof message !== 'object') return null;
+
+  const statement = message.statement || message;
+  return typeof statement.verb?.id === 'string' && statement.object ? statement : null;
+}
+
+/**
+ * Whether a statement is about the whole activity rather than a part of it
+ * @param {Object} statement - xAPI statement
+ * @returns {boolean}
+ */
+export function isTopLevel(statement) {
+  const parents = statement.context?.contextActivities?.parent;
+  const objectId = String(statement.object?.id || '');
+  return !(Array.isArray(parents) ? parents.length > 0 : parents) && !objectId.includes('subContentId=');
+}
+
+/**
+ * Summarise a statement
+ * @param {Object} statement - xAPI statement
+ * @returns {{verb: string, name: string, score: Object|null, success: boolean|null, completion: boolean|null, topLevel: boolean}}
+ *   `verb` is the last part of the verb IRI ('answered', 'completed', ...); `score` is
+ *   `{ raw, min, max, scaled }` with `scaled` worked out when H5P leaves it out
+ */
+export function summarizeStatement(statement) {
+  const result = statement.result || {};
+  const definition = statement.object?.definition || {};
+  const name = definition.name ? (definition.name['en-US'] || Object.values(definition.name)[0] || '') : '';
+
+  let score = null;
+  if (result.score && typeof result.score.raw === 'number') {
+    const { raw, min = 0, max } = result.score;
+    let scaled = result.score.scaled;
+    if (typeof scaled !== 'number' && typeof max === 'number' && max > min) {
+      scaled = (raw - min) / (max - min);
+    }
+    score = {
+      raw,
+      min,
+      max: typeof max === 'number' ? max : null,
+      scaled: typeof scaled === 'number' ? Math.round(scaled * 10000) / 10000 : null
+    };
+  }
+
+  return {
+    verb: statement.verb.id.split('/').pop(),
+    name,
+    score,
+    success: typeof result.success === 'boolean' ? result.success : null,
+    completion: typeof result.completion === 'boolean' ? result.completion : null,
+    topLevel: isTopLevel(statement)
+  };
+}
+
+/**
+ * Fold a statement summary into the activity result
+ * @param {Object|null} current - Result so far (null before the first scored statement)
+ * @param {Object} summary - Result of summarizeStatement()
+ * @returns {Object|null} The new result, or `current` when the statement doesn't change it.
+ *   `{ score, success, completion, verb, timestamp }`; completion never goes back to false
+ */
+export function mergeResult(current, summary) {
+  if (!summary.topLevel) return current;
+  const finished = ['completed', 'passed', 'failed'].includes(summary.verb);
+  if (!summary.score && summary.success === null && summary.completion === null && !finished) return current;
+
+  return {
+    score: summary.score || current?.score || null,
+    success: summary.success ?? current?.success ?? null,
+    completion: Boolean(current?.completion || summary.completion || finished),
+    verb: summary.verb,
+    timestamp: new Date().toISOString()
+  };
+}
@@ -1,41 +1,29 @@
 /**
  * Iframe Content Plugin
- * Handles iframe content including PDFs and websites (H5P has its own plugin)
+ * Handles websites and other embeddable pages (PDFs and H5P have their own plugins)
  */
 
 export const iframePlugin = {
   /**
-   * Handle iframe content (for PDFs, websites, etc.)
+   * Handle iframe content (websites, slides, documents, etc.)
    * @param {Object} wrapper - The wrapper instance
    * @param {Object} config - Configuration object
    * @param {string} config.src - Content source URL
    * @param {string} [config.type] - Content type hint
    * @param {string} [config.title] - Optional title
+   * @returns {Promise<Object>} Plugin handle (destroy, pause, resume, getState)
    */
   async load(wrapper, { src, type = '', title = '' }) {
     console.log('🌐 Loading iframe content:', src, 'type:', type);
     const container = wrapper.getContentContainer();
+    container.classList.add('iframe-content');
     
-    const isPDF = type === 'pdf' || src.toLowerCase().endsWith('.pdf');
-    
-    let iframeSrc = src;
-    let iframeAttributes = '';
-    
-    if (isPDF) {
-      // Use Google Docs PDF viewer for better compatibility
-      iframeSrc = `https://docs.google.com/viewer?url=${encodeURIComponent(src)}&embedded=true`;
-      iframeAttributes = 'allowfullscreen';
-      container.classList.add('pdf-content');
-    } else {
-      // Generic iframe
-      iframeAttributes = 'allowfullscreen allow="geolocation *; microphone *; camera *; midi *; encrypted-media *"';
-      container.classList.add('iframe-content');
-    }
+    const iframeAttributes = 'allowfullscreen allow="geolocation *; microphone *; camera *; midi *; encrypted-media *"';
     
     container.innerHTML = `
       <div class="iframe-wrapper">
         <iframe 
-          src="${iframeSrc}" 
+          src="${src}" 
           width="100%" 
           height="600" 
           style="border: none; width: 100%; height: 100%;"
@@ -47,8 +35,10 @@ export const iframePlugin = {
 
     // Track iframe events
     const iframe = container.querySelector('iframe');
+    let loaded = false;
     
     iframe.addEventListener('load', () => {
+      loaded = true;
       console.log('✅ Iframe content loaded');
       wrapper.trackContentEvent('iframe_loaded', 'Iframe Content', `${type || 'generic'} content loaded`);
       wrapper.triggerResize();
@@ -57,9 +47,19 @@ export const iframePlugin = {
     iframe.addEventListener('error', () => {
       console.error('❌ Iframe loading error');
       wrapper.trackContentEvent('iframe_error', 'Iframe Content', `${type || 'generic'} content failed to load`);
+      wrapper.showNotice('This content could not be loaded. Check your connection and reload the page.', { severity: 'error' });
     });
 
     console.log('✅ Iframe plugin initialized');
-    return iframe;
+
+    return {
+      destroy() {
+        container.innerHTML = '';
+        container.classList.remove('iframe-content');
+      },
+      getState() {
+        return { type: type || 'iframe', src, loaded };
+      }
+    };
   }
 };
\ No newline at end of file
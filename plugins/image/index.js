@@ -0,0 +1,211 @@
+/**
+ * Image Content Plugin
+ * Shows a single image or a gallery with pan/zoom, captions and optional
+ * long descriptions for complex diagrams.
+ */
+
+import { PanZoom } from './panZoom.js';
+
+export const imagePlugin = {
+  /**
+   * Handle image and gallery content
+   * @param {Object} wrapper - The wrapper instance
+   * @param {Object} config - Configuration object
+   * @param {string} config.src - Image URL (single image)
+   * @param {string} config.alt - Alt text (required for a single image)
+   * @param {string} [config.caption] - Caption shown under a single image
+   * @param {string} [config.longDescription] - Long description of a single image
+   * @param {Array} [config.images] - Gallery entries (`{ src, alt, caption, longDescription }`); replaces src
+   * @returns {Promise<Object>} Plugin handle (destroy, pause, resume, getState)
+   */
+  async load(wrapper, { src, alt = '', caption = '', longDescription = '', images = [] }) {
+    const entries = images.length > 0 ? images : [{ src, alt, caption, longDescription }];
+
+    entries.forEach((image, index) => {
+      if (!image.src) {
+        throw new Error(`Image ${index + 1} has no source URL`);
+      }
+      if (!image.alt || !image.alt.trim()) {
+        throw new Error(`Image ${index + 1} (${image.src}) needs alt text describing it`);
+      }
+    });
+
+    console.log('🖼️ Loading images:', entries.length);
+
+    const container = wrapper.getContentContainer();
+    container.classList.add('image-content');
+
+    const galleryId = 'image-' + Math.random().toString(36).substr(2, 9);
+    const isGallery = entries.length > 1;
+
+    container.innerHTML = `
+      <figure class="lo-image-figure">
+        <div class="lo-image-viewport" tabindex="0" role="group"
+             aria-roledescription="zoomable image"
+             aria-describedby="${galleryId}-help">
+          <img class="lo-image" draggable="false">
+        </div>
+        <div id="${galleryId}-help" class="sr-only">
+          Press plus or minus to zoom, arrow keys to move around when zoomed in, and 0 to reset.${isGallery ? ' When not zoomed in, left and right arrows change image.' : ''}
+        </div>
+        <div class="lo-image-toolbar">
+          <div class="lo-image-zoom" role="group" aria-label="Zoom">
+            <button type="button" class="lo-image-btn" data-zoom="out" aria-label="Zoom out">−</button>
+            <span class="lo-image-zoom-level" aria-hidden="true">100%</span>
+            <button type="button" class="lo-image-btn" data-zoom="in" aria-label="Zoom in">+</button>
+            <button type="button" class="lo-image-btn" data-zoom="reset">Reset</button>
+          </div>
+          ${isGallery ? `
+          <div class="lo-image-nav" role="group" aria-label="Gallery">
+            <button type="button" class="lo-image-btn" data-step="-1" aria-label="Previous image">‹</button>
+            <span class="lo-image-counter" aria-live="polite"></span>
+            <button type="button" class="lo-image-btn" data-step="1" aria-label="Next image">›</button>
+          </div>` : ''}
+        </div>
+        <figcaption class="lo-image-caption"></figcaption>
+        <details class="lo-image-longdesc" id="${galleryId}-longdesc">
+          <summary>Image description</summary>
+          <div class="lo-image-longdesc-text"></div>
+        </details>
+      </figure>
+      ${isGallery ? `
+      <ol class="lo-image-thumbs" aria-label="Images">
+        ${entries.map((image, index) => `
+          <li>
+            <button type="button" class="lo-image-thumb" data-index="${index}" aria-label="Image ${index + 1} of ${entries.length}: ${wrapper.escapeHtml(image.alt)}">
+              <img src="${image.src}" alt="" loading="lazy">
+            </button>
+          </li>`).join('')}
+      </ol>` : ''}
+    `;
+
+    const viewport = container.querySelector('.lo-image-viewport');
+    const img = container.querySelector('.lo-image');
+    const zoomLevel = container.querySelector('.lo-image-zoom-level');
+    const captionElement = container.querySelector('.lo-image-caption');
+    const longDesc = container.querySelector('.lo-image-longdesc');
+    let current = -1;
+    let lastPercent = 100;
+
+    // Report zoom changes from buttons and keys; wheel and pinch fire continuously
+    const panZoom = new PanZoom(viewport, img, {
+      onChange: ({ scale }, source) => {
+        const percent = Math.round(scale * 100);
+        const changed = percent !== lastPercent;
+        lastPercent = percent;
+        zoomLevel.textContent = `${percent}%`;
+        if (changed && (source === 'keyboard' || source === 'button')) {
+          wrapper.announceToScreenReader(`Zoom ${percent}%`);
+          wrapper.trackContentEvent('image_zoom', 'Image Viewer', `${percent}%`, percent);
+        }
+      },
+      onKeyNavigate: isGallery ? (step) => show(current + step) : null
+    });
+
+    const show = (index) => {
+      const next = (index + entries.length) % entries.length;
+      if (next === current) return;
+      current = next;
+
+      const image = entries[current];
+      panZoom.reset();
+      img.src = image.src;
+      img.alt = image.alt;
+
+      captionElement.textContent = image.caption || '';
+      captionElement.hidden = !image.caption;
+
+      // aria-details points screen readers at the long description
+      longDesc.hidden = !image.longDescription;
+      longDesc.open = false;
+      longDesc.querySelector('.lo-image-longdesc-text').innerHTML = formatDescription(wrapper, image.longDescription);
+      if (image.longDescription) {
+        img.setAttribute('aria-details', longDesc.id);
+      } else {
+        img.removeAttribute('aria-details');
+      }
+
+      if (isGallery) {
+        container.querySelector('.lo-image-counter').textContent = `${current + 1} of ${entries.length}`;
+        container.querySelectorAll('.lo-image-thumb').forEach((thumb, i) => {
+          if (i === current) {
+            thumb.setAttribute('aria-current', 'true');
+          } else {
+            thumb.removeAttribute('aria-current');
+          }
+        });
+        wrapper.dispatchEvent('image:change', { index: current, src: image.src, alt: image.alt });
+      }
+      wrapper.trackContentEvent('image_view', 'Image Viewer', image.alt, current + 1);
+    };
+
+    img.addEventListener('load', () => wrapper.triggerResize());
+    img.addEventListener('error', () => {
+      wrapper.showNotice(`Image ${current + 1} could not be loaded.`, { severity: 'warning' });
+      console.warn('Image failed to load:', entries[current].src);
+    });
+
+    container.querySelector('.lo-image-toolbar').addEventListener('click', (event) => {
+      const button = event.target.closest('button');
+      if (!button) return;
+      if (button.dataset.zoom === 'in') panZoom.zoomIn('button');
+      if (button.dataset.zoom === 'out') panZoom.zoomOut('button');
+      if (button.dataset.zoom === 'reset') panZoom.reset('button');
+      if (button.dataset.step) show(current + Number(button.dataset.step));
+    });
+
+    container.querySelector('.lo-image-thumbs')?.addEventListener('click', (event) => {
+      const thumb = event.target.closest('.lo-image-thumb');
+      if (thumb) show(Number(thumb.dataset.index));
+    });
+
+    longDesc.addEventListener('toggle', () => {
+      if (longDesc.open) {
+        wrapper.trackContentEvent('image_description', 'Image Viewer', entries[current].alt, current + 1);
+      }
+      wrapper.triggerResize();
+    });
+
+    show(0);
+
+    console.log('✅ Image plugin initialized');
+
+    return {
+      destroy() {
+        panZoom.destroy();
+        container.innerHTML = '';
+        container.classList.remove('image-content');
+      },
+
+      // Nothing plays, so there is nothing to pause
+      pause() {},
+
+      resume() {},
+
+      getState() {
+        return {
+          type: 'image',
+          index: current,
+          count: entries.length,
+          src: entries[current].src,
+          zoom: panZoom.state.scale
+        };
+      }
+    };
+  }
+};
+
+/**
+ * Render a long description as paragraphs (blank lines separate paragraphs)
+ * @param {Object} wrapper - The wrapper instance (for escaping)
+ * @param {string} text - Plain-text description
+ * @returns {string} HTML
+ */
+function formatDescription(wrapper, text = '') {
+  return text
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean)
+    .map(paragraph => `<p>${wrapper.escapeHtml(paragraph)}</p>`)
+    .join('');
+}
@@ -0,0 +1,270 @@
+/**
+ * Pan and Zoom
+ * Zooms an element inside a clipping viewport with the mouse wheel (Ctrl +
+ * wheel or trackpad pinch), pointer drag, two-finger pinch, double-click and
+ * the keyboard. The element is scaled from its top-left corner and kept
+ * covering the viewport, so it can never be dragged out of view.
+ */
+
+export const MIN_SCALE = 1;
+export const ZOOM_STEP = 1.5;
+
+// Distance moved by one arrow key press, in viewport pixels
+const PAN_STEP = 40;
+
+/**
+ * Keep a transform inside the viewport
+ * @param {{scale: number, x: number, y: number}} state - Scale and top-left offset
+ * @param {{width: number, height: number}} size - Viewport size (the element's unscaled size)
+ * @returns {{scale: number, x: number, y: number}}
+ */
+export function clampPan({ scale, x, y }, { width, height }) {
+  const clamp = (value, min) => Math.min(0, Math.max(min, value));
+  return {
+    scale,
+    x: clamp(x, width - width * scale),
+    y: clamp(y, height - height * scale)
+  };
+}
+
+/**
+ * Zoom to a scale, keeping one point of the viewport fixed
+ * @param {{scale: number, x: number, y: number}} state - Current transform
+ * @param {number} scale - Target scale (limited to MIN_SCALE..maxScale)
+ * @param {{x: number, y: number}} point - Fixed point, relative to the viewport
+ * @param {{width: number, height: number}} size - Viewport size
+ * @param {number} [maxScale=8] - Largest allowed scale
+ * @returns {{scale: number, x: number, y: number}}
+ */
+export function zoomAround(state, scale, point, size, maxScale = 8) {
+  const next = Math.min(maxScale, Math.max(MIN_SCALE, scale));
+  const ratio = next / state.scale;
+  return clampPan({
+    scale: next,
+    x: point.x - (point.x - state.x) * ratio,
+    y: point.y - (point.y - state.y) * ratio
+  }, size);
+}
+
+/**
+ * Pan and zoom controller for one viewport
+ */
+export class PanZoom {
+  /**
+   * @param {HTMLElement} viewport - Clipping element that receives input (should be focusable)
+   * @param {HTMLElement} content - Element that is transformed
+   * @param {Object} [options]
+   * @param {number} [options.maxScale=8] - Largest zoom factor
+   * @param {Function} [options.onChange] - Called with the transform and the input source
+   *   ('wheel', 'pointer', 'keyboard', 'button' for the zoom buttons, or 'api') after every change
+   * @param {Function} [options.onKeyNavigate] - Called with -1 or 1 when Left/Right is
+   *   pressed while not zoomed in (e.g. to move through a gallery)
+   */
+  constructor(viewport, content, { maxScale = 8, onChange = () => {}, onKeyNavigate = null } = {}) {
+    this.viewport = viewport;
+    this.content = content;
+    this.maxScale = maxScale;
+    this.onChange = onChange;
+    this.onKeyNavigate = onKeyNavigate;
+    this.state = { scale: 1, x: 0, y: 0 };
+    this.pointers = new Map();
+    this.gesture = null;
+
+    this.handleWheel = this.handleWheel.bind(this);
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+    this.handleDoubleClick = this.handleDoubleClick.bind(this);
+    this.handleKeydown = this.handleKeydown.bind(this);
+
+    viewport.addEventListener('wheel', this.handleWheel, { passive: false });
+    viewport.addEventListener('pointerdown', this.handlePointerDown);
+    viewport.addEventListener('pointermove', this.handlePointerMove);
+    viewport.addEventListener('pointerup', this.handlePointerUp);
+    viewport.addEventListener('pointercancel', this.handlePointerUp);
+    viewport.addEventListener('dblclick', this.handleDoubleClick);
+    viewport.addEventListener('keydown', this.handleKeydown);
+
+    content.style.transformOrigin = '0 0';
+    this.apply('api');
+  }
+
+  getSize() {
+    return { width: this.viewport.clientWidth, height: this.viewport.clientHeight };
+  }
+
+  getCenter() {
+    const { width, height } = this.getSize();
+    return { x: width / 2, y: height / 2 };
+  }
+
+  /**
+   * Position of a pointer event relative to the viewport
+   */
+  toViewportPoint(event) {
+    const rect = this.viewport.getBoundingClientRect();
+    return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+  }
+
+  apply(source) {
+    const { scale, x, y } = this.state;
+    this.content.style.transform = `translate(${x}px, ${y}px) scale(${scale})`;
+    this.viewport.classList.toggle('is-zoomed', scale > MIN_SCALE);
+    this.onChange({ ...this.state }, source);
+  }
+
+  /**
+   * Zoom to a scale around a viewport point (the centre by default)
+   * @param {number} scale - Target scale
+   * @param {{x: number, y: number}} [point] - Fixed point
+   * @param {string} [source='api'] - Input source reported to onChange
+   */
+  zoomTo(scale, point = this.getCenter(), source = 'api') {
+    this.state = zoomAround(this.state, scale, point, this.getSize(), this.maxScale);
+    this.apply(source);
+  }
+
+  zoomIn(source = 'api') {
+    this.zoomTo(this.state.scale * ZOOM_STEP, undefined, source);
+  }
+
+  zoomOut(source = 'api') {
+    this.zoomTo(this.state.scale / ZOOM_STEP, undefined, source);
+  }
+
+  /**
+   * Move the zoomed content
+   * @param {number} dx - Horizontal distance in viewport pixels
+   * @param {number} dy - Vertical distance in viewport pixels
+   * @param {string} [source='api'] - Input source reported to onChange
+   */
+  panBy(dx, dy, source = 'api') {
+    this.state = clampPan({ ...this.state, x: this.state.x + dx, y: this.state.y + dy }, this.getSize());
+    this.apply(source);
+  }
+
+  reset(source = 'api') {
+    this.state = { scale: 1, x: 0, y: 0 };
+    this.apply(source);
+  }
+
+  isZoomed() {
+    return this.state.scale > MIN_SCALE;
+  }
+
+  handleWheel(event) {
+    // Plain scrolling keeps scrolling the page unless the image is zoomed in;
+    // Ctrl + wheel is also what trackpad pinches produce
+    if (event.ctrlKey || event.metaKey) {
+      event.preventDefault();
+      this.zoomTo(this.state.scale * Math.exp(-event.deltaY * 0.01), this.toViewportPoint(event), 'wheel');
+    } else if (this.isZoomed()) {
+      event.preventDefault();
+      this.panBy(-event.deltaX, -event.deltaY, 'wheel');
+    }
+  }
+
+  handlePointerDown(event) {
+    if (event.pointerType === 'mouse' && event.button !== 0) return;
+
+    this.pointers.set(event.pointerId, this.toViewportPoint(event));
+    this.viewport.setPointerCapture?.(event.pointerId);
+    this.startGesture();
+  }
+
+  handlePointerMove(event) {
+    if (!this.pointers.has(event.pointerId) || !this.gesture) return;
+    this.pointers.set(event.pointerId, this.toViewportPoint(event));
+
+    const points = [...this.pointers.values()];
+    if (points.length >= 2) {
+      // Pinch: scale by the change in finger distance, around their midpoint
+      const [a, b] = points;
+      const distance = Math.hypot(a.x - b.x, a.y - b.y);
+      const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+      const scale = this.gesture.scale * (distance / this.gesture.distance);
+      this.state = zoomAround(
+        { ...this.gesture, x: this.gesture.x + mid.x - this.gesture.mid.x, y: this.gesture.y + mid.y - this.gesture.mid.y },
+        scale, mid, this.getSize(), this.maxScale
+      );
+      this.apply('pointer');
+    } else if (this.isZoomed()) {
+      // Drag: only meaningful once zoomed in, so touch scrolling still works at 1x
+      const [point] = points;
+      this.state = clampPan({
+        scale: this.state.scale,
+        x: this.gesture.x + point.x - this.gesture.mid.x,
+        y: this.gesture.y + point.y - this.gesture.mid.y
+      }, this.getSize());
+      this.apply('pointer');
+    }
+  }
+
+  handlePointerUp(event) {
+    this.pointers.delete(event.pointerId);
+    this.startGesture();
+  }
+
+  /**
+   * Remember where a drag or pinch started (restarted whenever a finger is added or lifted)
+   */
+  startGesture() {
+    const points = [...this.pointers.values()];
+    if (points.length === 0) {
+      this.gesture = null;
+      return;
+    }
+
+    const [a, b = a] = points;
+    this.gesture = {
+      ...this.state,
+      mid: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 },
+      distance: Math.max(1, Math.hypot(a.x - b.x, a.y - b.y))
+    };
+  }
+
+  handleDoubleClick(event) {
+    if (this.isZoomed()) {
+      this.reset('pointer');
+    } else {
+      this.zoomTo(2, this.toViewportPoint(event), 'pointer');
+    }
+  }
+
+  handleKeydown(event) {
+    const pan = {
+      ArrowLeft: [PAN_STEP, 0],
+      ArrowRight: [-PAN_STEP, 0],
+      ArrowUp: [0, PAN_STEP],
+      ArrowDown: [0, -PAN_STEP]
+    };
+
+    if (event.key === '+' || event.key === '=') {
+      this.zoomIn('keyboard');
+    } else if (event.key === '-' || event.key === '_') {
+      this.zoomOut('keyboard');
+    } else if (event.key === '0') {
+      this.reset('keyboard');
+    } else if (pan[event.key] && this.isZoomed()) {
+      this.panBy(...pan[event.key], 'keyboard');
+    } else if ((event.key === 'ArrowLeft' || event.key === 'ArrowRight') && this.onKeyNavigate) {
+      this.onKeyNavigate(event.key === 'ArrowLeft' ? -1 : 1);
+    } else {
+      return;
+    }
+    event.preventDefault();
+  }
+
+  destroy() {
+    this.viewport.removeEventListener('wheel', this.handleWheel);
+    this.viewport.removeEventListener('pointerdown', this.handlePointerDown);
+    this.viewport.removeEventListener('pointermove', this.handlePointerMove);
+    this.viewport.removeEventListener('pointerup', this.handlePointerUp);
+    this.viewport.removeEventListener('pointercancel', this.handlePointerUp);
+    this.viewport.removeEventListener('dblclick', this.handleDoubleClick);
+    this.viewport.removeEventListener('keydown', this.handleKeydown);
+    this.content.style.transform = '';
+  }
+}
+
+export default PanZoom;
@@ -0,0 +1,58 @@
+/**
+ * AR Handoff
+ * AR only runs on phones and tablets, so desktop learners get a QR code that
+ * opens the same page on their phone, plus the link itself for anyone who
+ * can't scan it.
+ */
+
+// Launch parameters that carry the learner's identity and LRS credentials
+// (see embed.html); they must not end up in a QR code or on the clipboard
+const PRIVATE_PARAMS = ['endpoint', 'auth', 'actor', 'registration', 'activity_id'];
+
+/**
+ * Address of this page to open on the phone, without the xAPI launch parameters
+ * @param {string} [pageUrl=window.location.href] - Current page
+ * @returns {string}
+ */
+export function createHandoffUrl(pageUrl = window.location.href) {
+  const url = new URL(pageUrl);
+  PRIVATE_PARAMS.forEach(name => url.searchParams.delete(name));
+  return url.href;
+}
+
+/**
+ * Build the QR code and link shown in the "View in AR on your phone" dialog
+ * @param {string} url - Page to open on the phone
+ * @returns {Promise<HTMLElement>} Figure with the QR code (when it could be drawn) and the link
+ */
+export async function createHandoffCode(url) {
+  const figure = document.createElement('figure');
+  figure.className = 'model-ar-handoff';
+
+  try {
+    const { default: QRCode } = await import('qrcode');
+    const svg = await QRCode.toString(url, { type: 'svg', margin: 1, errorCorrectionLevel: 'M' });
+    const code = document.createElement('div');
+    code.className = 'model-ar-qr';
+    code.setAttribute('role', 'img');
+    code.setAttribute('aria-label', 'QR code linking to this page');
+    code.innerHTML = svg;
+    figure.appendChild(code);
+  } catch (error) {
+    console.warn('QR code could not be created:', error);
+  }
+
+  const caption = document.createElement('figcaption');
+  const link = document.createElement('a');
+  link.href = url;
+  link.target = '_blank';
+  link.rel = 'noopener';
+  link.className = 'model-ar-link';
+  link.textContent = url;
+  caption.append('Or open this link on your phone: ', link);
+  figure.appendChild(caption);
+
+  return figure;
+}
+
+export default createHandoffCode;
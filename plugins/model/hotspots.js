@@ -0,0 +1,79 @@
+/**
+ * Model Hotspots
+ * Turns the manifest `hotspots` list into model-viewer hotspot buttons and
+ * an annotation list. Positions and normals are model-space vectors, given
+ * either as model-viewer strings ("0.1m 1.2m 0m") or as `[x, y, z]` metres.
+ */
+
+/**
+ * Convert a manifest vector to model-viewer's string form
+ * @param {string|number[]} value - "Xm Ym Zm" string or `[x, y, z]` in metres
+ * @returns {string|null} model-viewer vector, or null when missing or malformed
+ */
+export function toModelVector(value) {
+  if (typeof value === 'string') return value.trim() || null;
+  if (Array.isArray(value) && value.length === 3 && value.every(Number.isFinite)) {
+    return value.map(n => `${n}m`).join(' ');
+  }
+  return null;
+}
+
+/**
+ * Parse a model-viewer vector string into numbers
+ * @param {string} value - "Xm Ym Zm" (units other than metres are read as metres)
+ * @returns {number[]|null}
+ */
+function parseVector(value) {
+  const parts = String(value || '').trim().split(/\s+/).map(part => parseFloat(part));
+  return parts.length === 3 && parts.every(Number.isFinite) ? parts : null;
+}
+
+/**
+ * Camera orbit looking straight at a surface with the given normal
+ * @param {string} normal - Surface normal as a model-viewer vector
+ * @returns {string|null} "θdeg φdeg auto" orbit, or null without a usable normal
+ */
+export function orbitFacing(normal) {
+  const vector = parseVector(normal);
+  if (!vector) return null;
+
+  const [x, y, z] = vector;
+  const length = Math.hypot(x, y, z);
+  if (length === 0) return null;
+
+  // model-viewer orbits: theta around the Y axis from +Z, phi down from +Y
+  const theta = Math.atan2(x, z) * 180 / Math.PI;
+  const phi = Math.acos(y / length) * 180 / Math.PI;
+  return `${round(theta)}deg ${round(phi)}deg auto`;
+}
+
+/**
+ * Validate manifest hotspots and fill in model-viewer values
+ * @param {Array} hotspots - Manifest `hotspots` entries
+ * @returns {Array<{id: string, position: string, normal: string|null, label: string, description: string, orbit: string|null}>}
+ */
+export function normalizeHotspots(hotspots = []) {
+  return hotspots
+    .map((hotspot, index) => {
+      const position = toModelVector(hotspot?.position);
+      if (!position || !hotspot.label) {
+        console.warn(`Skipping hotspot ${index + 1}: it needs a position and a label`);
+        return null;
+      }
+
+      const normal = toModelVector(hotspot.normal);
+      return {
+        id: `hotspot-${index + 1}`,
+        position,
+        normal,
+        label: String(hotspot.label).trim(),
+        description: hotspot.description ? String(hotspot.description).trim() : '',
+        orbit: hotspot.orbit || (normal ? orbitFacing(normal) : null)
+      };
+    })
+    .filter(Boolean);
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
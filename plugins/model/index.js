@@ -1,8 +1,13 @@
 /**
  * 3D Model Content Plugin
- * Enhanced model-viewer integration with controls and AR support
+ * Enhanced model-viewer integration with controls, AR support and hotspots
  */
 
+import { normalizeHotspots } from './hotspots.js';
+import { resolveViewerSettings, viewerAttributes } from './viewerConfig.js';
+import { KEYBOARD_SHORTCUTS, cameraCommand, moveOrbit, describeOrbit } from './keyboardCamera.js';
+import { createHandoffCode, createHandoffUrl } from './arHandoff.js';
+
 export const modelPlugin = {
   /**
    * Handle 3D model content with enhanced model-viewer
@@ -12,8 +17,11 @@ export const modelPlugin = {
    * @param {string} [config.iosSrc] - iOS USDZ model source URL for AR
    * @param {string} [config.title] - Optional title for the model
    * @param {string} [config.alt] - Alt text for accessibility
+   * @param {Array} [config.hotspots] - Annotations (`{ position, normal, label, description, orbit }`)
+   * @param {Object} [config.viewer] - model-viewer settings (camera, lighting, AR, animation, variant)
+   * @returns {Promise<Object>} Plugin handle (destroy, pause, resume, getState)
    */
-  async load(wrapper, { src, iosSrc, title = '', alt = '3D model' }) {
+  async load(wrapper, { src, iosSrc, title = '', alt = '3D model', hotspots: hotspotConfig = [], viewer = {} }) {
     await Promise.all([
       import('@google/model-viewer'),
       import('./style.css')
@@ -38,29 +46,17 @@ export const modelPlugin = {
     modelViewer.src = src;
     modelViewer.alt = alt;
     
-    // Set model-viewer attributes
+    // Set model-viewer attributes (camera, lighting and AR come from the manifest `viewer` block)
+    const settings = resolveViewerSettings(viewer);
     const attributes = {
       'camera-controls': '',
-      'auto-rotate': '',
       'auto-rotate-delay': '0',
-      'camera-orbit': '0deg 75deg 100%',
-      'min-camera-orbit': 'auto auto 50%',
-      'max-camera-orbit': 'auto auto 200%',
-      'field-of-view': '25deg',
-      'min-field-of-view': '10deg',
-      'max-field-of-view': '45deg',
       'interaction-prompt': 'auto',
       'loading': 'eager',
       'reveal': 'auto',
       'ar': '',
       'ar-modes': 'webxr scene-viewer quick-look',
-      'camera-target': 'auto',
-      'shadow-intensity': '1',
-      'environment-image': 'neutral',
-      'exposure': '1',
-      'shadow-softness': '0',
-      'ar-scale': 'fixed',
-      'ar-placement': 'floor'
+      ...viewerAttributes(settings)
     };
     
     // Add iOS-specific USDZ source for enhanced AR experience
@@ -79,6 +75,33 @@ export const modelPlugin = {
     modelViewer.setAttribute('role', 'img');
     
     modelContainer.appendChild(modelViewer);
+
+    // Shown while the model has keyboard focus
+    const keyboardHint = document.createElement('div');
+    keyboardHint.className = 'model-keyboard-hint';
+    keyboardHint.setAttribute('aria-hidden', 'true');
+    keyboardHint.textContent = 'Arrow keys turn, + and − zoom, ? for all shortcuts';
+    modelContainer.appendChild(keyboardHint);
+
+    // Hotspots: numbered buttons on the model (model-viewer positions them via their slot)
+    const hotspots = normalizeHotspots(hotspotConfig);
+    const annotationId = `${modelId}-annotation`;
+    hotspots.forEach((hotspot, index) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'lo-hotspot';
+      button.setAttribute('slot', hotspot.id);
+      button.dataset.position = hotspot.position;
+      if (hotspot.normal) button.dataset.normal = hotspot.normal;
+      // model-viewer sets data-visible while the hotspot faces the camera
+      button.dataset.visibilityAttribute = 'visible';
+      button.dataset.index = String(index);
+      button.setAttribute('aria-label', `Annotation ${index + 1}: ${hotspot.label}`);
+      button.setAttribute('aria-expanded', 'false');
+      button.setAttribute('aria-controls', annotationId);
+      button.textContent = String(index + 1);
+      modelViewer.appendChild(button);
+    });
     
     // Create controls
     const controlsDiv = document.createElement('div');
@@ -90,9 +113,9 @@ export const modelPlugin = {
     
     controlsDiv.innerHTML = `
       <div id="model-instructions" class="sr-only">
-        Interactive 3D model. Use mouse to rotate and zoom. 
-        Press Tab to access control buttons for resetting view, 
-        enabling AR mode, and controlling rotation.
+        Interactive 3D model. Drag or use the arrow keys to turn it,
+        scroll or press plus and minus to zoom, Home to reset the view
+        and R to start or stop rotation. Press question mark to list the shortcuts.
       </div>
       <button class="model-control-btn" 
               data-action="reset"
@@ -112,16 +135,69 @@ export const modelPlugin = {
       
       <button class="model-control-btn" 
               data-action="rotate"
+              aria-pressed="${settings.autoRotate ? 'true' : 'false'}"
               aria-describedby="rotate-description">
-        <span class="rotate-text">Pause Rotation</span>
+        <span class="rotate-text">${settings.autoRotate ? 'Pause Rotation' : 'Start Rotation'}</span>
       </button>
       <div id="rotate-description" class="sr-only">Toggle automatic rotation of the 3D model</div>
+
+      <button class="model-control-btn"
+              data-action="help"
+              aria-expanded="false"
+              aria-controls="${modelId}-help">
+        Keyboard Shortcuts
+      </button>
+
+      <section id="${modelId}-help" class="model-keyboard-help" aria-labelledby="${modelId}-help-title" hidden>
+        <h3 id="${modelId}-help-title" class="model-keyboard-help-title">Keyboard shortcuts</h3>
+        <p>Select the model (or Tab to it), then:</p>
+        <dl>
+          ${KEYBOARD_SHORTCUTS.map(({ keys, description }) => `
+            <div class="model-keyboard-help-row">
+              <dt>${keys.map(key => `<kbd>${key}</kbd>`).join(' ')}</dt>
+              <dd>${description}</dd>
+            </div>`).join('')}
+        </dl>
+      </section>
     `;
     
+    // Animation and variant pickers, filled in once the model reports what it ships with
+    const optionsDiv = document.createElement('div');
+    optionsDiv.className = 'model-options';
+    optionsDiv.hidden = true;
+
+    // Annotation list mirroring the hotspots, for keyboard and screen reader users
+    const annotationsSection = hotspots.length > 0 ? document.createElement('section') : null;
+    if (annotationsSection) {
+      annotationsSection.className = 'lo-annotations';
+      annotationsSection.setAttribute('aria-labelledby', `${modelId}-annotations-title`);
+      annotationsSection.innerHTML = `
+        <h3 id="${modelId}-annotations-title" class="lo-annotations-title">Annotations</h3>
+        <ol class="lo-annotation-list">
+          ${hotspots.map((hotspot, index) => `
+            <li>
+              <button type="button" class="lo-annotation-btn" data-index="${index}"
+                      aria-expanded="false" aria-controls="${annotationId}">
+                <span class="lo-annotation-number" aria-hidden="true">${index + 1}</span>
+                <span class="lo-annotation-label">${wrapper.escapeHtml(hotspot.label)}</span>
+              </button>
+            </li>`).join('')}
+        </ol>
+        <div id="${annotationId}" class="lo-annotation-detail" role="region" aria-live="polite" aria-label="Selected annotation" hidden>
+          <h4 class="lo-annotation-detail-title"></h4>
+          <p class="lo-annotation-detail-text"></p>
+        </div>
+      `;
+    }
+
     // Clear container and add new elements
     container.innerHTML = '';
     container.appendChild(modelContainer);
     container.appendChild(controlsDiv);
+    container.appendChild(optionsDiv);
+    if (annotationsSection) {
+      container.appendChild(annotationsSection);
+    }
     
     // Wait a moment for DOM to settle
     await new Promise(resolve => setTimeout(resolve, 100));
@@ -158,6 +234,272 @@ export const modelPlugin = {
       });
     });
     
+    const rotateButton = controlsDiv.querySelector('[data-action="rotate"]');
+    const helpButton = controlsDiv.querySelector('[data-action="help"]');
+    const helpPanel = controlsDiv.querySelector('.model-keyboard-help');
+
+    /**
+     * Start or stop auto-rotation and keep the rotate button in step
+     * @returns {boolean} Whether the state changed
+     */
+    function setAutoRotate(enabled) {
+      if (modelViewer.hasAttribute('auto-rotate') === enabled) return false;
+
+      const rotateText = rotateButton.querySelector('.rotate-text');
+      if (!enabled) {
+        modelViewer.removeAttribute('auto-rotate');
+        rotateText.textContent = 'Start Rotation';
+        rotateButton.setAttribute('aria-pressed', 'false');
+        console.log('✅ Auto-rotation disabled');
+        return true;
+      }
+
+      // Start rotation with immediate effect
+      modelViewer.setAttribute('auto-rotate', '');
+      modelViewer.setAttribute('auto-rotate-delay', '0');
+
+      // Force restart rotation by briefly removing and re-adding
+      setTimeout(() => {
+        modelViewer.removeAttribute('auto-rotate');
+        setTimeout(() => {
+          modelViewer.setAttribute('auto-rotate', '');
+          modelViewer.setAttribute('auto-rotate-delay', '0');
+        }, 10);
+      }, 10);
+
+      rotateText.textContent = 'Pause Rotation';
+      rotateButton.setAttribute('aria-pressed', 'true');
+      console.log('✅ Auto-rotation enabled with immediate restart');
+      return true;
+    }
+
+    // Open annotation (index into hotspots), or -1 when none is open
+    let activeHotspot = -1;
+
+    function openHotspot(index) {
+      const hotspot = hotspots[index];
+      if (!hotspot) return;
+      activeHotspot = index;
+
+      container.querySelectorAll('.lo-hotspot, .lo-annotation-btn').forEach(element => {
+        element.setAttribute('aria-expanded', String(Number(element.dataset.index) === index));
+      });
+
+      const detail = annotationsSection.querySelector('.lo-annotation-detail');
+      detail.querySelector('.lo-annotation-detail-title').textContent = `${index + 1}. ${hotspot.label}`;
+      detail.querySelector('.lo-annotation-detail-text').textContent = hotspot.description;
+      detail.hidden = false;
+
+      // Turn the camera towards the hotspot; stop rotating so it stays in view
+      if (setAutoRotate(false)) {
+        wrapper.trackContentEvent('auto_rotate_disabled', '3D Model', 'Auto-rotation disabled');
+      }
+      modelViewer.cameraTarget = hotspot.position;
+      if (hotspot.orbit) {
+        modelViewer.cameraOrbit = hotspot.orbit;
+      }
+
+      wrapper.trackContentEvent('hotspot_open', '3D Model', hotspot.label, index + 1);
+      wrapper.dispatchEvent('model:hotspot', { index, ...hotspot });
+      wrapper.triggerResize();
+    }
+
+    function closeHotspot() {
+      if (activeHotspot === -1) return;
+      activeHotspot = -1;
+
+      container.querySelectorAll('.lo-hotspot, .lo-annotation-btn').forEach(element => {
+        element.setAttribute('aria-expanded', 'false');
+      });
+      annotationsSection.querySelector('.lo-annotation-detail').hidden = true;
+      wrapper.triggerResize();
+    }
+
+    modelViewer.addEventListener('click', (event) => {
+      const hotspotButton = event.target.closest('.lo-hotspot');
+      if (hotspotButton) openHotspot(Number(hotspotButton.dataset.index));
+    });
+
+    annotationsSection?.addEventListener('click', (event) => {
+      const annotationButton = event.target.closest('.lo-annotation-btn');
+      if (annotationButton) openHotspot(Number(annotationButton.dataset.index));
+    });
+
+    // Arrow keys, Home and End move through the list; Escape closes the annotation
+    annotationsSection?.addEventListener('keydown', (event) => {
+      const buttons = [...annotationsSection.querySelectorAll('.lo-annotation-btn')];
+      const current = buttons.indexOf(document.activeElement);
+
+      if (event.key === 'Escape') {
+        closeHotspot();
+        return;
+      }
+      if (current === -1) return;
+
+      const targets = {
+        ArrowDown: (current + 1) % buttons.length,
+        ArrowUp: (current - 1 + buttons.length) % buttons.length,
+        Home: 0,
+        End: buttons.length - 1
+      };
+      if (!(event.key in targets)) return;
+      event.preventDefault();
+      buttons[targets[event.key]].focus();
+    });
+
+    /**
+     * Return the camera to the manifest's view, including any zoom
+     */
+    function resetView() {
+      modelViewer.cameraOrbit = settings.cameraOrbit;
+      modelViewer.cameraTarget = settings.cameraTarget;
+      modelViewer.fieldOfView = settings.fieldOfView;
+      closeHotspot();
+      wrapper.trackContentEvent('camera_reset', '3D Model', 'Camera reset');
+    }
+
+    /**
+     * Flip auto-rotation and report it
+     * @returns {boolean} Whether rotation is now on
+     */
+    function toggleAutoRotate() {
+      const enable = !modelViewer.hasAttribute('auto-rotate');
+      setAutoRotate(enable);
+      wrapper.trackContentEvent(
+        enable ? 'auto_rotate_enabled' : 'auto_rotate_disabled',
+        '3D Model',
+        enable ? 'Auto-rotation enabled' : 'Auto-rotation disabled'
+      );
+      return enable;
+    }
+
+    /**
+     * Show or hide the keyboard shortcut list
+     * @param {boolean} visible - Whether to show it
+     * @param {HTMLElement} [returnFocus] - Element to focus after hiding it
+     */
+    function setHelpVisible(visible, returnFocus) {
+      if (helpPanel.hidden === !visible) return;
+      helpPanel.hidden = !visible;
+      helpButton.setAttribute('aria-expanded', String(visible));
+      if (visible) {
+        wrapper.trackContentEvent('keyboard_help', '3D Model', 'Keyboard shortcuts shown');
+      } else if (returnFocus) {
+        returnFocus.focus();
+      }
+      wrapper.announceToScreenReader(visible ? 'Keyboard shortcuts shown below the model' : 'Keyboard shortcuts hidden');
+      wrapper.triggerResize();
+    }
+
+    helpPanel.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') {
+        setHelpVisible(false, helpButton);
+      }
+    });
+
+    // Announce where the camera ended up once key presses stop (it eases into place)
+    let viewAnnouncement = null;
+    function announceView(prefix = '') {
+      clearTimeout(viewAnnouncement);
+      viewAnnouncement = setTimeout(() => {
+        const orbit = modelViewer.getCameraOrbit?.();
+        if (orbit) {
+          wrapper.announceToScreenReader(`${prefix}${describeOrbit(orbit)}`);
+        }
+      }, 600);
+    }
+
+    // Keyboard camera control. Capture runs before model-viewer's own key handling
+    // inside its shadow root, so handled keys move the camera once, not twice.
+    modelViewer.addEventListener('keydown', (event) => {
+      // Hotspot buttons are slotted into the viewer and keep their own keys
+      if (event.target.closest?.('.lo-hotspot')) return;
+
+      if (event.key === 'Escape') {
+        if (!helpPanel.hidden) {
+          setHelpVisible(false);
+        } else {
+          closeHotspot();
+        }
+        return;
+      }
+
+      const command = cameraCommand(event);
+      if (!command) return;
+      event.preventDefault();
+      event.stopPropagation();
+
+      switch (command.action) {
+        case 'orbit':
+        case 'zoom': {
+          const orbit = modelViewer.getCameraOrbit?.();
+          if (!orbit) return;
+          // Stop rotating so the camera stays where the keys put it
+          if (setAutoRotate(false)) {
+            wrapper.trackContentEvent('auto_rotate_disabled', '3D Model', 'Auto-rotation disabled');
+          }
+          modelViewer.cameraOrbit = moveOrbit(orbit, command);
+          if (command.action === 'zoom') {
+            announceView(command.factor < 1 ? 'Zoomed in. ' : 'Zoomed out. ');
+          } else {
+            announceView();
+          }
+          break;
+        }
+
+        case 'reset':
+          resetView();
+          announceView('View reset. ');
+          break;
+
+        case 'rotate': {
+          const enabled = toggleAutoRotate();
+          wrapper.announceToScreenReader(enabled ? 'Automatic rotation on' : 'Automatic rotation off');
+          break;
+        }
+
+        case 'help':
+          setHelpVisible(helpPanel.hidden);
+          break;
+      }
+    }, true);
+
+    /**
+     * Explain why AR didn't start; on desktops, offer to carry on on a phone
+     */
+    async function showArUnavailable() {
+      if (isMobile) {
+        wrapper.showNotice(
+          'AR is not available in this browser. Try Chrome on Android or Safari on iPhone and iPad.',
+          { severity: 'warning', title: 'AR unavailable' }
+        );
+        return;
+      }
+
+      const pageUrl = createHandoffUrl();
+      const content = await createHandoffCode(pageUrl);
+      wrapper.showNotice(
+        'AR works on phones and tablets. Scan the code with your phone camera to open this model there, then choose View in AR.',
+        {
+          dialog: true,
+          title: 'View in AR on your phone',
+          content,
+          actions: [{
+            id: 'copy',
+            label: 'Copy link',
+            keepOpen: true,
+            onSelect: () => {
+              navigator.clipboard?.writeText(pageUrl)
+                .then(() => wrapper.announceToScreenReader('Link copied'))
+                .catch(() => wrapper.announceToScreenReader('The link could not be copied'));
+              wrapper.trackContentEvent('ar_link_copied', '3D Model', 'AR link copied');
+            }
+          }]
+        }
+      );
+      wrapper.trackContentEvent('ar_handoff', '3D Model', 'AR QR code shown');
+    }
+
     function handleModelAction(button) {
       const action = button.getAttribute('data-action');
       
@@ -170,9 +512,8 @@ export const modelPlugin = {
         
       switch (action) {
         case 'reset': {
-          currentModelViewer.cameraOrbit = "0deg 75deg 100%";
-          currentModelViewer.cameraTarget = "auto";
-          wrapper.trackContentEvent('camera_reset', '3D Model', 'Camera reset');
+          resetView();
+          wrapper.announceToScreenReader('View reset');
           break;
         }
 
@@ -181,61 +522,42 @@ export const modelPlugin = {
             currentModelViewer.activateAR();
             wrapper.trackContentEvent('ar_activated', '3D Model', 'AR mode activated');
           } else {
-            const message = isMobile
-              ? 'AR is not available on this device. Make sure your browser supports WebXR.'
-              : 'AR is only available on mobile devices. Please open this page on a mobile device with AR support.';
-            alert(message);
             wrapper.trackContentEvent('ar_unavailable', '3D Model', 'AR not supported');
+            showArUnavailable();
           }
           break;
         }
 
         case 'rotate': {
           console.log('🔄 Rotation button clicked');
-          const isAutoRotating = currentModelViewer.hasAttribute('auto-rotate');
-          const rotateText = button.querySelector('.rotate-text');
-
-          console.log('Current auto-rotate state:', isAutoRotating);
+          toggleAutoRotate();
+          break;
+        }
 
-          if (isAutoRotating) {
-            // Stop rotation
-            currentModelViewer.removeAttribute('auto-rotate');
-            rotateText.textContent = 'Start Rotation';
-            console.log('✅ Auto-rotation disabled');
-            wrapper.trackContentEvent('auto_rotate_disabled', '3D Model', 'Auto-rotation disabled');
-          } else {
-            // Start rotation with immediate effect
-            currentModelViewer.setAttribute('auto-rotate', '');
-            currentModelViewer.setAttribute('auto-rotate-delay', '0');
-
-            // Force restart rotation by briefly removing and re-adding
-            setTimeout(() => {
-              currentModelViewer.removeAttribute('auto-rotate');
-              setTimeout(() => {
-                currentModelViewer.setAttribute('auto-rotate', '');
-                currentModelViewer.setAttribute('auto-rotate-delay', '0');
-              }, 10);
-            }, 10);
-
-            rotateText.textContent = 'Pause Rotation';
-            console.log('✅ Auto-rotation enabled with immediate restart');
-            wrapper.trackContentEvent('auto_rotate_enabled', '3D Model', 'Auto-rotation enabled');
-          }
+        case 'help': {
+          setHelpVisible(helpPanel.hidden);
           break;
         }
       }
     }
 
     // Set up event listeners
+    let loaded = false;
     modelViewer.addEventListener('load', () => {
+      loaded = true;
       console.log('✅ 3D model loaded successfully');
       wrapper.trackContentEvent('model_loaded', '3D Model', 'Model loaded successfully');
+      setupModelOptions();
       wrapper.triggerResize();
     });
 
     modelViewer.addEventListener('error', (event) => {
       console.error('❌ Model loading error:', event.detail);
       wrapper.trackContentEvent('model_error', '3D Model', 'Model failed to load');
+      wrapper.showNotice('The 3D model could not be loaded. Check your connection and reload the page.', {
+        severity: 'error',
+        title: 'Model unavailable'
+      });
     });
     
 
@@ -252,6 +574,137 @@ export const modelPlugin = {
     });
 
     console.log('✅ 3D model plugin initialized');
-    return modelViewer;
+
+    /**
+     * Show clip and variant pickers for models that have animations or material variants
+     */
+    function setupModelOptions() {
+      const animations = modelViewer.availableAnimations || [];
+      const variants = modelViewer.availableVariants || [];
+      if (animations.length === 0 && variants.length < 2) {
+        optionsDiv.hidden = true;
+        optionsDiv.innerHTML = '';
+        return;
+      }
+
+      const options = (names, selected) => names.map(name => `
+        <option value="${wrapper.escapeHtml(name)}"${name === selected ? ' selected' : ''}>${wrapper.escapeHtml(name)}</option>`).join('');
+      const currentAnimation = modelViewer.animationName || animations[0];
+      const currentVariant = modelViewer.variantName || variants[0];
+
+      optionsDiv.innerHTML = `
+        ${animations.length > 0 ? `
+        <div class="model-option" role="group" aria-label="Animation">
+          ${animations.length > 1 ? `
+          <label for="${modelId}-animation">Animation</label>
+          <select id="${modelId}-animation" class="model-option-select" data-option="animation">${options(animations, currentAnimation)}
+          </select>` : ''}
+          <button type="button" class="model-control-btn" data-option="playback" aria-pressed="false">Play Animation</button>
+        </div>` : ''}
+        ${variants.length > 1 ? `
+        <div class="model-option">
+          <label for="${modelId}-variant">Variant</label>
+          <select id="${modelId}-variant" class="model-option-select" data-option="variant">${options(variants, currentVariant)}
+          </select>
+        </div>` : ''}
+      `;
+      optionsDiv.hidden = false;
+
+      if (animations.length > 0 && !modelViewer.animationName) {
+        modelViewer.animationName = currentAnimation;
+      }
+      updatePlaybackButton();
+    }
+
+    function updatePlaybackButton() {
+      const button = optionsDiv.querySelector('[data-option="playback"]');
+      if (!button) return;
+      const playing = !modelViewer.paused;
+      button.textContent = playing ? 'Pause Animation' : 'Play Animation';
+      button.setAttribute('aria-pressed', String(playing));
+    }
+
+    function setAnimationPlaying(playing) {
+      if (playing) {
+        modelViewer.play?.();
+      } else {
+        modelViewer.pause?.();
+      }
+      updatePlaybackButton();
+    }
+
+    optionsDiv.addEventListener('click', (event) => {
+      if (!event.target.closest('[data-option="playback"]')) return;
+      const playing = modelViewer.paused;
+      setAnimationPlaying(playing);
+      wrapper.announceToScreenReader(playing ? 'Animation playing' : 'Animation paused');
+      wrapper.trackContentEvent(playing ? 'animation_play' : 'animation_pause', '3D Model', modelViewer.animationName || '');
+    });
+
+    optionsDiv.addEventListener('change', (event) => {
+      const select = event.target.closest('select');
+      if (!select) return;
+
+      if (select.dataset.option === 'animation') {
+        const wasPlaying = !modelViewer.paused;
+        modelViewer.animationName = select.value;
+        // Switching clips restarts from the beginning in the same play state
+        modelViewer.currentTime = 0;
+        setAnimationPlaying(wasPlaying);
+        wrapper.announceToScreenReader(`Animation: ${select.value}`);
+        wrapper.trackContentEvent('animation_select', '3D Model', select.value);
+      } else if (select.dataset.option === 'variant') {
+        modelViewer.variantName = select.value;
+        wrapper.announceToScreenReader(`Variant: ${select.value}`);
+        wrapper.trackContentEvent('variant_select', '3D Model', select.value);
+      }
+    });
+
+    modelViewer.addEventListener('play', updatePlaybackButton);
+    modelViewer.addEventListener('pause', updatePlaybackButton);
+
+    // Auto-rotate and animation state to restore on resume()
+    let rotateBeforePause = null;
+    let animationBeforePause = false;
+
+    return {
+      destroy() {
+        clearTimeout(viewAnnouncement);
+        container.innerHTML = '';
+      },
+
+      pause() {
+        rotateBeforePause = modelViewer.hasAttribute('auto-rotate');
+        animationBeforePause = modelViewer.paused === false;
+        setAutoRotate(false);
+        modelViewer.pause?.();
+      },
+
+      resume() {
+        if (rotateBeforePause) {
+          setAutoRotate(true);
+        }
+        rotateBeforePause = null;
+        if (animationBeforePause) {
+          modelViewer.play?.();
+        }
+        animationBeforePause = false;
+      },
+
+      getState() {
+        return {
+          type: 'model',
+          src,
+          loaded,
+          cameraOrbit: modelViewer.getCameraOrbit?.().toString() || null,
+          autoRotate: modelViewer.hasAttribute('auto-rotate'),
+          animation: modelViewer.availableAnimations?.length
+            ? { name: modelViewer.animationName || null, playing: modelViewer.paused === false }
+            : null,
+          variant: modelViewer.variantName || null,
+          hotspot: activeHotspot >= 0 ? { index: activeHotspot, ...hotspots[activeHotspot] } : null
+        };
+      }
+    };
   }
 };
\ No newline at end of file
@@ -0,0 +1,101 @@
+/**
+ * Keyboard Camera
+ * Key bindings for orbiting and zooming a model without a pointer, and plain
+ * language descriptions of the camera angle for screen reader announcements.
+ * Angles follow model-viewer: theta turns around the vertical axis from the
+ * front, phi tilts down from straight above.
+ */
+
+// Degrees turned by one arrow key press
+export const ORBIT_STEP = 15;
+
+// Camera distance multiplier for one zoom key press
+export const ZOOM_FACTOR = 1.25;
+
+/**
+ * Shortcut list for the on-screen help (keys as shown to the user)
+ */
+export const KEYBOARD_SHORTCUTS = [
+  { keys: ['←', '→'], description: 'Turn the model left or right' },
+  { keys: ['↑', '↓'], description: 'Tilt the model up or down' },
+  { keys: ['+', '−'], description: 'Zoom in or out' },
+  { keys: ['Home'], description: 'Reset the view' },
+  { keys: ['R'], description: 'Start or stop automatic rotation' },
+  { keys: ['?'], description: 'Show or hide these shortcuts' }
+];
+
+/**
+ * Work out what a key press on the model should do
+ * @param {KeyboardEvent|{key: string}} event - Key event
+ * @returns {{action: string, theta?: number, phi?: number, factor?: number}|null}
+ *   `orbit` (degree offsets), `zoom` (distance factor), `reset`, `rotate` or `help`;
+ *   null for keys the model does not use
+ */
+export function cameraCommand({ key, ctrlKey = false, metaKey = false, altKey = false }) {
+  // Leave browser and assistive technology shortcuts alone
+  if (ctrlKey || metaKey || altKey) return null;
+
+  switch (key) {
+    // Same directions as model-viewer's own controls: the model turns the way the arrow points
+    case 'ArrowLeft': return { action: 'orbit', theta: ORBIT_STEP, phi: 0 };
+    case 'ArrowRight': return { action: 'orbit', theta: -ORBIT_STEP, phi: 0 };
+    case 'ArrowUp': return { action: 'orbit', theta: 0, phi: ORBIT_STEP };
+    case 'ArrowDown': return { action: 'orbit', theta: 0, phi: -ORBIT_STEP };
+    case '+':
+    case '=':
+    case 'PageUp':
+      return { action: 'zoom', factor: 1 / ZOOM_FACTOR };
+    case '-':
+    case '_':
+    case 'PageDown':
+      return { action: 'zoom', factor: ZOOM_FACTOR };
+    case 'Home': return { action: 'reset' };
+    case 'r':
+    case 'R':
+      return { action: 'rotate' };
+    case '?': return { action: 'help' };
+    default: return null;
+  }
+}
+
+/**
+ * Camera orbit after a keyboard move
+ * @param {{theta: number, phi: number, radius: number}} orbit - Current orbit (radians and metres,
+ *   as returned by model-viewer's getCameraOrbit())
+ * @param {{theta?: number, phi?: number, factor?: number}} change - Degree offsets and distance factor
+ * @returns {string} model-viewer camera-orbit value; model-viewer applies its own limits
+ */
+export function moveOrbit({ theta, phi, radius }, { theta: dTheta = 0, phi: dPhi = 0, factor = 1 }) {
+  const nextTheta = toDegrees(theta) + dTheta;
+  const nextPhi = Math.min(180, Math.max(0, toDegrees(phi) + dPhi));
+  return `${round(nextTheta)}deg ${round(nextPhi)}deg ${round(radius * factor, 1000)}m`;
+}
+
+/**
+ * Describe a camera angle in words, e.g. "Viewing from the front right, slightly above, turned 45 degrees"
+ * @param {{theta: number, phi: number}} orbit - Orbit in radians
+ * @returns {string}
+ */
+export function describeOrbit({ theta, phi }) {
+  // Wrap to 0..360 so the side is the same however many turns were made
+  const turned = ((Math.round(toDegrees(theta)) % 360) + 360) % 360;
+  const sides = ['front', 'front right', 'right', 'back right', 'back', 'back left', 'left', 'front left'];
+  const side = sides[Math.round(turned / 45) % 8];
+
+  const tilt = toDegrees(phi);
+  let height = 'at eye level';
+  if (tilt < 30) height = 'from above';
+  else if (tilt < 75) height = 'slightly above';
+  else if (tilt > 150) height = 'from below';
+  else if (tilt > 105) height = 'slightly below';
+
+  return `Viewing from the ${side}, ${height}, turned ${turned} degrees`;
+}
+
+function toDegrees(radians) {
+  return radians * 180 / Math.PI;
+}
+
+function round(value, precision = 10) {
+  return Math.round(value * precision) / precision;
+}
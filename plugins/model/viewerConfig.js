@@ -0,0 +1,82 @@
+/**
+ * Model Viewer Configuration
+ * Maps the manifest `viewer` block onto model-viewer attributes. Anything
+ * the manifest leaves out keeps the wrapper's defaults.
+ */
+
+/**
+ * Wrapper defaults, keyed by manifest `viewer` field
+ */
+export const VIEWER_DEFAULTS = {
+  cameraOrbit: '0deg 75deg 100%',
+  cameraTarget: 'auto',
+  minCameraOrbit: 'auto auto 50%',
+  maxCameraOrbit: 'auto auto 200%',
+  fieldOfView: '25deg',
+  minFieldOfView: '10deg',
+  maxFieldOfView: '45deg',
+  exposure: 1,
+  environmentImage: 'neutral',
+  skyboxImage: null,
+  shadowIntensity: 1,
+  shadowSoftness: 0,
+  arPlacement: 'floor',
+  arScale: 'fixed',
+  autoRotate: true,
+  animation: null,
+  autoplay: false,
+  variant: null
+};
+
+// model-viewer attribute for each field (boolean fields are present or absent)
+const ATTRIBUTES = {
+  cameraOrbit: 'camera-orbit',
+  cameraTarget: 'camera-target',
+  minCameraOrbit: 'min-camera-orbit',
+  maxCameraOrbit: 'max-camera-orbit',
+  fieldOfView: 'field-of-view',
+  minFieldOfView: 'min-field-of-view',
+  maxFieldOfView: 'max-field-of-view',
+  exposure: 'exposure',
+  environmentImage: 'environment-image',
+  skyboxImage: 'skybox-image',
+  shadowIntensity: 'shadow-intensity',
+  shadowSoftness: 'shadow-softness',
+  arPlacement: 'ar-placement',
+  arScale: 'ar-scale',
+  autoRotate: 'auto-rotate',
+  animation: 'animation-name',
+  autoplay: 'autoplay',
+  variant: 'variant-name'
+};
+
+/**
+ * Combine the manifest `viewer` block with the defaults
+ * @param {Object} [viewer] - Manifest `viewer` block
+ * @returns {Object} Complete settings, keyed like VIEWER_DEFAULTS
+ */
+export function resolveViewerSettings(viewer = {}) {
+  const settings = { ...VIEWER_DEFAULTS };
+  Object.keys(VIEWER_DEFAULTS).forEach(key => {
+    if (viewer[key] !== undefined && viewer[key] !== null && viewer[key] !== '') {
+      settings[key] = viewer[key];
+    }
+  });
+  return settings;
+}
+
+/**
+ * model-viewer attributes for a set of settings
+ * @param {Object} settings - Result of resolveViewerSettings()
+ * @returns {Object<string, string>} Attribute values; boolean attributes map to '' and
+ *   are left out when false, as are unset optional values
+ */
+export function viewerAttributes(settings) {
+  const attributes = {};
+  Object.entries(ATTRIBUTES).forEach(([key, attribute]) => {
+    const value = settings[key];
+    if (value === null || value === undefined || value === false) return;
+    attributes[attribute] = value === true ? '' : String(value);
+  });
+  return attributes;
+}
@@ -0,0 +1,508 @@
+/**
+ * PDF Content Plugin
+ * Renders PDFs in the page with pdf.js, so documents never pass through a
+ * third-party viewer and intranet or signed-in URLs work as they do in the
+ * browser. One page is shown at a time, with a selectable text layer,
+ * zoom, search and a download link.
+ */
+
+import { pageText, searchPages, matchRanges } from './search.js';
+
+// Zoom mode that fits the page to the viewer width
+const FIT_WIDTH = 'fit';
+const ZOOM_STEP = 1.25;
+const MIN_ZOOM = 0.25;
+const MAX_ZOOM = 4;
+
+export const pdfPlugin = {
+  /**
+   * Handle PDF content with the bundled pdf.js viewer
+   * @param {Object} wrapper - The wrapper instance
+   * @param {Object} config - Configuration object
+   * @param {string} config.src - PDF URL
+   * @param {string} [config.title] - Optional title, used for the viewer label and download name
+   * @returns {Promise<Object>} Plugin handle (destroy, pause, resume, getState)
+   */
+  async load(wrapper, { src, title = '' }) {
+    const [pdfjs, { default: workerSrc }] = await Promise.all([
+      import('pdfjs-dist'),
+      import('pdfjs-dist/build/pdf.worker.min.mjs?url'),
+      import('./style.css')
+    ]);
+
+    console.log('📄 Loading PDF:', src);
+
+    if (!src) {
+      throw new Error('PDF source URL is required');
+    }
+
+    pdfjs.GlobalWorkerOptions.workerSrc = workerSrc;
+    const loadingTask = pdfjs.getDocument({ url: src });
+    let pdf;
+    try {
+      pdf = await loadingTask.promise;
+    } catch (error) {
+      loadingTask.destroy();
+      // pdf.js fetches the file itself, which fails for cross-origin PDFs without
+      // CORS headers and some signed-in URLs; the browser's own viewer can still open those
+      console.warn('⚠️ pdf.js could not open the PDF, using the browser viewer:', error.message);
+      return showNativeViewer(wrapper, { src, title, reason: error.message });
+    }
+
+    const container = wrapper.getContentContainer();
+    container.classList.add('pdf-content');
+
+    const viewerId = 'pdf-' + Math.random().toString(36).substr(2, 9);
+    const pages = pdf.numPages;
+
+    container.innerHTML = `
+      <div class="lo-pdf">
+        <div class="lo-pdf-toolbar">
+          <div class="lo-pdf-group" role="group" aria-label="Pages">
+            <button type="button" class="lo-pdf-btn" data-page-step="-1" aria-label="Previous page">‹</button>
+            <label for="${viewerId}-page" class="sr-only">Page</label>
+            <input type="number" id="${viewerId}-page" class="lo-pdf-page-input" min="1" max="${pages}" value="1">
+            <span class="lo-pdf-page-count">of ${pages}</span>
+            <button type="button" class="lo-pdf-btn" data-page-step="1" aria-label="Next page">›</button>
+          </div>
+          <div class="lo-pdf-group" role="group" aria-label="Zoom">
+            <button type="button" class="lo-pdf-btn" data-zoom="out" aria-label="Zoom out">−</button>
+            <span class="lo-pdf-zoom-level" aria-hidden="true"></span>
+            <button type="button" class="lo-pdf-btn" data-zoom="in" aria-label="Zoom in">+</button>
+            <button type="button" class="lo-pdf-btn" data-zoom="${FIT_WIDTH}">Fit width</button>
+          </div>
+          <div class="lo-pdf-group lo-pdf-search" role="search">
+            <label for="${viewerId}-search" class="sr-only">Search document</label>
+            <input type="search" id="${viewerId}-search" class="lo-pdf-search-input" placeholder="Search" autocomplete="off"
+                   aria-describedby="${viewerId}-search-help">
+            <span class="lo-pdf-search-count" aria-hidden="true"></span>
+            <button type="button" class="lo-pdf-btn" data-search-step="-1" aria-label="Previous match" disabled>↑</button>
+            <button type="button" class="lo-pdf-btn" data-search-step="1" aria-label="Next match" disabled>↓</button>
+          </div>
+          <a class="lo-pdf-btn lo-pdf-download" download>⬇ Download</a>
+        </div>
+        <div id="${viewerId}-search-help" class="sr-only">
+          Press Enter for the next match, Shift+Enter for the previous one, and Escape to clear the search.
+        </div>
+        <div class="lo-pdf-viewport" tabindex="0" role="region"
+             aria-label="${wrapper.escapeHtml(title || 'PDF document')}"
+             aria-describedby="${viewerId}-help">
+          <div class="lo-pdf-page">
+            <canvas class="lo-pdf-canvas" aria-hidden="true"></canvas>
+            <div class="textLayer"></div>
+          </div>
+        </div>
+        <div id="${viewerId}-help" class="sr-only">
+          Use Page Up and Page Down to change page, and Home or End for the first or last page.
+        </div>
+      </div>`;
+
+    const viewport = container.querySelector('.lo-pdf-viewport');
+    const pageElement = container.querySelector('.lo-pdf-page');
+    const canvas = container.querySelector('.lo-pdf-canvas');
+    const textLayerElement = container.querySelector('.textLayer');
+    const pageInput = container.querySelector('.lo-pdf-page-input');
+    const zoomLevel = container.querySelector('.lo-pdf-zoom-level');
+    const searchInput = container.querySelector('.lo-pdf-search-input');
+    const searchCount = container.querySelector('.lo-pdf-search-count');
+    const download = container.querySelector('.lo-pdf-download');
+
+    download.href = src;
+    download.setAttribute('download', filenameFor(src, title));
+
+    let currentPage = 1;
+    let zoom = FIT_WIDTH;
+    let scale = 1;
+    let renderToken = 0;
+    let renderTask = null;
+    let textLayer = null;
+    let lastWidth = 0;
+    let resizeTimer;
+    let searchTimer;
+    let destroyed = false;
+
+    // Search state: page texts are extracted on the first search
+    let pageTexts = null;
+    let searchQuery = '';
+    let matches = [];
+    let matchIndex = -1;
+    let marks = [];
+    let matchMarks = [];
+
+    const renderPage = async () => {
+      const token = ++renderToken;
+      renderTask?.cancel();
+      textLayer?.cancel();
+
+      const page = await pdf.getPage(currentPage);
+      if (token !== renderToken) return;
+
+      const unscaled = page.getViewport({ scale: 1 });
+      const { paddingLeft, paddingRight } = window.getComputedStyle(viewport);
+      const availableWidth = viewport.clientWidth - parseFloat(paddingLeft || 0) - parseFloat(paddingRight || 0);
+      scale = zoom === FIT_WIDTH
+        ? (availableWidth > 0 ? availableWidth / unscaled.width : 1)
+        : zoom;
+      zoomLevel.textContent = `${Math.round(scale * 100)}%`;
+
+      const pageViewport = page.getViewport({ scale });
+      const outputScale = window.devicePixelRatio || 1;
+      canvas.width = Math.floor(pageViewport.width * outputScale);
+      canvas.height = Math.floor(pageViewport.height * outputScale);
+      pageElement.style.width = `${Math.floor(pageViewport.width)}px`;
+      pageElement.style.height = `${Math.floor(pageViewport.height)}px`;
+      // The text layer sizes and positions its spans from this variable
+      pageElement.style.setProperty('--total-scale-factor', String(scale * (pageViewport.userUnit || 1)));
+
+      renderTask = page.render({
+        canvasContext: canvas.getContext('2d'),
+        viewport: pageViewport,
+        transform: outputScale !== 1 ? [outputScale, 0, 0, outputScale, 0, 0] : null
+      });
+
+      textLayerElement.replaceChildren();
+      marks = [];
+      matchMarks = [];
+      textLayer = new pdfjs.TextLayer({
+        textContentSource: page.streamTextContent(),
+        container: textLayerElement,
+        viewport: pageViewport
+      });
+
+      try {
+        await Promise.all([renderTask.promise, textLayer.render()]);
+      } catch (error) {
+        // A newer render replaced this one
+        if (error?.name === 'RenderingCancelledException' || error?.name === 'AbortException') return;
+        throw error;
+      }
+      if (token !== renderToken) return;
+
+      highlightMatches();
+      wrapper.triggerResize();
+    };
+
+    const render = () => {
+      renderPage().catch(error => {
+        console.error('PDF page failed to render:', error);
+        wrapper.showNotice(`Page ${currentPage} could not be displayed.`, { severity: 'error' });
+      });
+    };
+
+    const goToPage = (number) => {
+      const next = Math.min(pages, Math.max(1, Math.round(number) || 1));
+      pageInput.value = String(next);
+      if (next === currentPage) return;
+
+      currentPage = next;
+      render();
+      wrapper.trackContentEvent('pdf_page', 'PDF Viewer', `Page ${next}`, next);
+      wrapper.dispatchEvent('pdf:page', { page: next, pages });
+      wrapper.announceToScreenReader(`Page ${next} of ${pages}`);
+    };
+
+    const setZoom = (value) => {
+      zoom = value === FIT_WIDTH ? FIT_WIDTH : Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, value));
+      render();
+      const label = zoom === FIT_WIDTH ? 'Fit width' : `${Math.round(zoom * 100)}%`;
+      wrapper.trackContentEvent('pdf_zoom', 'PDF Viewer', label, zoom === FIT_WIDTH ? undefined : Math.round(zoom * 100));
+      wrapper.announceToScreenReader(`Zoom ${label}`);
+    };
+
+    /**
+     * Wrap search matches on the rendered page in <mark> elements
+     * A match split across text runs gets one mark per run; `matchMarks[i]`
+     * holds the marks of match `i` on this page.
+     */
+    const highlightMatches = () => {
+      clearHighlights();
+      if (!searchQuery) return;
+
+      // Text runs and the line breaks pdf.js puts between them
+      const walker = document.createTreeWalker(textLayerElement, NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT);
+      const runs = [];
+      while (walker.nextNode()) {
+        const node = walker.currentNode;
+        if (node.nodeType === Node.TEXT_NODE) runs.push(node);
+        else if (node.nodeName === 'BR') runs.push(null);
+      }
+
+      const ranges = matchRanges(runs.map(node => node && node.nodeValue), searchQuery);
+      matchMarks = ranges.map(() => []);
+
+      // Split each run from its end backwards so earlier offsets stay valid
+      const byRun = new Map();
+      ranges.forEach((parts, match) => parts.forEach(part => {
+        if (!byRun.has(part.run)) byRun.set(part.run, []);
+        byRun.get(part.run).push({ ...part, match });
+      }));
+      byRun.forEach((parts, run) => {
+        parts.sort((a, b) => b.start - a.start).forEach(({ start, end, match }) => {
+          const matchNode = runs[run].splitText(start);
+          matchNode.splitText(end - start);
+
+          const mark = document.createElement('mark');
+          mark.className = 'lo-pdf-match';
+          mark.textContent = matchNode.nodeValue;
+          matchNode.replaceWith(mark);
+          marks.push(mark);
+          matchMarks[match].push(mark);
+        });
+      });
+      // Marks were made from the end of each run; put every match's marks in reading order
+      matchMarks.forEach(list => list.sort((a, b) =>
+        a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+
+      showCurrentMatch();
+    };
+
+    // Put the text layer back as pdf.js rendered it
+    const clearHighlights = () => {
+      marks.forEach(mark => {
+        const parent = mark.parentNode;
+        if (!parent) return;
+        mark.replaceWith(mark.textContent);
+        parent.normalize();
+      });
+      marks = [];
+      matchMarks = [];
+    };
+
+    // Move the current-match highlight without rendering the page again
+    const showCurrentMatch = () => {
+      marks.forEach(mark => mark.classList.remove('is-current'));
+
+      const current = matches[matchIndex];
+      const currentMarks = current?.page === currentPage ? matchMarks[current.index] || [] : [];
+      currentMarks.forEach(mark => mark.classList.add('is-current'));
+      currentMarks[0]?.scrollIntoView?.({ block: 'nearest', inline: 'nearest' });
+    };
+
+    const updateSearchStatus = () => {
+      const count = matches.length;
+      searchCount.textContent = searchQuery
+        ? (count === 0 ? 'No matches' : `${matchIndex + 1} of ${count}`)
+        : '';
+      container.querySelectorAll('[data-search-step]').forEach(button => {
+        button.disabled = count < 2;
+      });
+    };
+
+    const selectMatch = (index) => {
+      if (matches.length === 0) return;
+      matchIndex = (index + matches.length) % matches.length;
+      updateSearchStatus();
+
+      const { page } = matches[matchIndex];
+      if (page === currentPage) {
+        showCurrentMatch();
+      } else {
+        goToPage(page);
+      }
+    };
+
+    const search = async (query) => {
+      searchQuery = String(query || '').trim();
+      matchIndex = -1;
+
+      if (searchQuery && !pageTexts) {
+        const contents = await Promise.all(
+          Array.from({ length: pages }, (_, i) => pdf.getPage(i + 1).then(page => page.getTextContent()))
+        );
+        // The viewer may have been closed while the text was extracted
+        if (destroyed) return;
+        pageTexts = contents.map(pageText);
+      }
+
+      matches = searchQuery ? searchPages(pageTexts, searchQuery) : [];
+      updateSearchStatus();
+      // Mark the new query on the page already shown
+      highlightMatches();
+
+      if (matches.length > 0) {
+        // Start from the first match at or after the current page
+        const next = matches.findIndex(match => match.page >= currentPage);
+        selectMatch(next === -1 ? 0 : next);
+      }
+
+      if (searchQuery) {
+        const count = matches.length;
+        const summary = count === 0 ? 'No matches' : `${count} ${count === 1 ? 'match' : 'matches'}`;
+        wrapper.announceToScreenReader(`${summary} for "${searchQuery}"`);
+        wrapper.trackContentEvent('pdf_search', 'PDF Viewer', searchQuery, count);
+      }
+    };
+
+    const runSearch = (query) => {
+      search(query).catch(error => {
+        if (destroyed) return;
+        console.error('PDF search failed:', error);
+        wrapper.showNotice('Search is not available for this document.', { severity: 'warning' });
+      });
+    };
+
+    container.querySelector('.lo-pdf-toolbar').addEventListener('click', (event) => {
+      const button = event.target.closest('button');
+      if (!button) return;
+
+      if (button.dataset.pageStep) goToPage(currentPage + Number(button.dataset.pageStep));
+      if (button.dataset.zoom === 'in') setZoom(scale * ZOOM_STEP);
+      if (button.dataset.zoom === 'out') setZoom(scale / ZOOM_STEP);
+      if (button.dataset.zoom === FIT_WIDTH) setZoom(FIT_WIDTH);
+      if (button.dataset.searchStep) selectMatch(matchIndex + Number(button.dataset.searchStep));
+    });
+
+    pageInput.addEventListener('change', () => goToPage(Number(pageInput.value)));
+
+    searchInput.addEventListener('input', () => {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(() => runSearch(searchInput.value), 250);
+    });
+
+    searchInput.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        clearTimeout(searchTimer);
+        if (searchInput.value.trim() !== searchQuery) {
+          runSearch(searchInput.value);
+        } else {
+          selectMatch(matchIndex + (event.shiftKey ? -1 : 1));
+        }
+      } else if (event.key === 'Escape') {
+        clearTimeout(searchTimer);
+        searchInput.value = '';
+        runSearch('');
+      }
+    });
+
+    viewport.addEventListener('keydown', (event) => {
+      const targets = {
+        PageUp: currentPage - 1,
+        PageDown: currentPage + 1,
+        Home: 1,
+        End: pages
+      };
+      if (!(event.key in targets)) return;
+      event.preventDefault();
+      goToPage(targets[event.key]);
+    });
+
+    download.addEventListener('click', () => {
+      wrapper.trackContentEvent('pdf_download', 'PDF Viewer', download.getAttribute('download'));
+    });
+
+    // Refit when the viewer width changes (height changes come from our own renders)
+    const handleResize = () => {
+      clearTimeout(resizeTimer);
+      resizeTimer = setTimeout(() => {
+        const width = viewport.clientWidth;
+        if (zoom === FIT_WIDTH && width !== lastWidth) {
+          lastWidth = width;
+          render();
+        }
+      }, 150);
+    };
+    window.addEventListener('resize', handleResize);
+
+    lastWidth = viewport.clientWidth;
+    await renderPage();
+    wrapper.trackContentEvent('pdf_loaded', 'PDF Viewer', `${pages} pages`, pages);
+
+    console.log('✅ PDF plugin initialized');
+
+    return {
+      destroy() {
+        destroyed = true;
+        renderToken++;
+        clearTimeout(resizeTimer);
+        clearTimeout(searchTimer);
+        window.removeEventListener('resize', handleResize);
+        renderTask?.cancel();
+        textLayer?.cancel();
+        loadingTask.destroy();
+        container.innerHTML = '';
+        container.classList.remove('pdf-content');
+      },
+
+      // Nothing plays, so there is nothing to pause
+      pause() {},
+
+      resume() {},
+
+      getState() {
+        return {
+          type: 'pdf',
+          src,
+          page: currentPage,
+          pages,
+          zoom: Math.round(scale * 100) / 100
+        };
+      }
+    };
+  }
+};
+
+/**
+ * Show the PDF in the browser's built-in viewer, with a link to open it in a new tab
+ * for browsers (mostly mobile) that can't display PDFs inline
+ * @param {Object} wrapper - The wrapper instance
+ * @param {Object} options
+ * @param {string} options.src - PDF URL
+ * @param {string} options.title - Learning object title
+ * @param {string} options.reason - Why pdf.js could not open the file
+ * @returns {Object} Plugin handle (destroy, pause, resume, getState)
+ */
+function showNativeViewer(wrapper, { src, title, reason }) {
+  const container = wrapper.getContentContainer();
+  container.classList.add('pdf-content');
+
+  const label = wrapper.escapeHtml(title || 'PDF document');
+  const href = wrapper.escapeHtml(src);
+  container.innerHTML = `
+    <div class="lo-pdf lo-pdf-native">
+      <div class="lo-pdf-toolbar">
+        <a class="lo-pdf-btn lo-pdf-open" href="${href}" target="_blank" rel="noopener">Open PDF</a>
+      </div>
+      <object class="lo-pdf-object" data="${href}" type="application/pdf" aria-label="${label}">
+        <p class="lo-pdf-native-message">
+          This PDF can't be shown here. <a href="${href}" target="_blank" rel="noopener">Open the PDF</a> in a new tab instead.
+        </p>
+      </object>
+    </div>`;
+
+  container.querySelector('.lo-pdf-open').addEventListener('click', () => {
+    wrapper.trackContentEvent('pdf_open', 'PDF Viewer', src);
+  });
+
+  wrapper.trackContentEvent('pdf_fallback', 'PDF Viewer', reason);
+  wrapper.triggerResize();
+
+  return {
+    destroy() {
+      container.innerHTML = '';
+      container.classList.remove('pdf-content');
+    },
+    pause() {},
+    resume() {},
+    getState() {
+      return { type: 'pdf', src, viewer: 'native' };
+    }
+  };
+}
+
+/**
+ * File name offered for the download link
+ * @param {string} src - PDF URL
+ * @param {string} title - Learning object title
+ * @returns {string}
+ */
+function filenameFor(src, title) {
+  try {
+    const name = new URL(src, window.location.href).pathname.split('/').pop();
+    if (name && name.toLowerCase().endsWith('.pdf')) return decodeURIComponent(name);
+  } catch (error) {
+    // Fall back to the title
+  }
+  const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `${slug || 'document'}.pdf`;
+}
@@ -0,0 +1,73 @@
+/**
+ * PDF Text Search
+ * Searches the text pdf.js extracts from each page. Matches are found in the
+ * page's full text, so phrases split across text runs (or lines) still match.
+ */
+
+import { findMatches } from '../../utils/transcript.js';
+
+/**
+ * Plain text of a page, from pdf.js `getTextContent()`
+ * @param {{items: Array<{str?: string, hasEOL?: boolean}>}} textContent - Page text content
+ * @returns {string}
+ */
+export function pageText({ items }) {
+  return items
+    .map(item => (item.str || '') + (item.hasEOL ? ' ' : ''))
+    .join('')
+    .replace(/\s+/g, ' ');
+}
+
+/**
+ * Find every occurrence of a query across pages
+ * @param {string[]} pageTexts - Text of each page (index 0 is page 1)
+ * @param {string} query - Search query (case-insensitive)
+ * @returns {Array<{page: number, index: number}>} Matches in reading order;
+ *   `page` is 1-based and `index` counts matches within that page
+ */
+export function searchPages(pageTexts, query) {
+  return pageTexts.flatMap((text, pageIndex) =>
+    findMatches(text, query).map((match, index) => ({ page: pageIndex + 1, index }))
+  );
+}
+
+/**
+ * Where each match of a query lies in the runs of a rendered text layer
+ * The runs are joined the way pageText() joins text content items, so match
+ * `i` here is match `i` of searchPages() on the same page.
+ * @param {Array<string|null>} runs - Text of each run in reading order; null for a line break
+ * @param {string} query - Search query (case-insensitive)
+ * @returns {Array<Array<{run: number, start: number, end: number}>>} For each match,
+ *   the part of every run it covers (more than one when it spans runs)
+ */
+export function matchRanges(runs, query) {
+  // Page text as pageText() builds it, remembering which run each character came from
+  let text = '';
+  const sources = [];
+  runs.forEach((run, runIndex) => {
+    const chars = run === null ? ' ' : run;
+    for (let offset = 0; offset < chars.length; offset++) {
+      if (/\s/.test(chars[offset])) {
+        if (text.endsWith(' ')) continue;
+        text += ' ';
+      } else {
+        text += chars[offset];
+      }
+      sources.push(run === null ? null : { run: runIndex, offset });
+    }
+  });
+
+  return findMatches(text, query).map(({ start, end }) => {
+    const ranges = [];
+    sources.slice(start, end).forEach(source => {
+      if (!source) return;
+      const last = ranges[ranges.length - 1];
+      if (last && last.run === source.run) {
+        last.end = source.offset + 1;
+      } else {
+        ranges.push({ run: source.run, start: source.offset, end: source.offset + 1 });
+      }
+    });
+    return ranges;
+  });
+}
@@ -1,15 +1,126 @@
 /**
  * SuperSplat Content Plugin
- * Integration with PlayCanvas SuperSplat viewer for Gaussian Splatting visualization
+ * Integration with PlayCanvas SuperSplat viewer for Gaussian Splatting visualization.
+ * The viewer runs in an iframe, either the public one at superspl.at or a
+ * self-hosted copy (`viewerUrl`), so splats can be shown offline or on-premises.
  */
 
+export const DEFAULT_VIEWER_URL = 'https://superspl.at/viewer/';
+
+// How long to wait for the viewer page before reporting it unavailable (ms)
+const LOAD_TIMEOUT = 30000;
+
+// Settings used when the manifest sets camera options without a settings file
+// (the structure of the viewer's settings.json)
+const DEFAULT_SETTINGS = {
+  camera: {
+    fov: 50,
+    position: [2, 2, 2],
+    target: [0, 0, 0],
+    startAnim: 'none',
+    animTrack: null
+  },
+  background: { color: [0, 0, 0, 0] },
+  animTracks: []
+};
+
+/**
+ * Resolve a URL against the page, since the viewer resolves relative URLs against its own origin
+ * @param {string} value - Absolute or relative URL
+ * @param {string} [base=document.baseURI] - Base URL
+ * @returns {string}
+ */
+export function toAbsoluteUrl(value, base = document.baseURI) {
+  return new URL(value, base).href;
+}
+
+/**
+ * Combine viewer settings with camera options from the manifest
+ * @param {Object|null} settings - Parsed settings.json (or inline settings), if any
+ * @param {Object} [camera] - `{ position, target, fov, startAnim, animTrack }`
+ * @returns {Object} Settings with the camera options applied
+ */
+export function applyCameraOptions(settings, camera = {}) {
+  const base = settings || DEFAULT_SETTINGS;
+  return {
+    ...base,
+    camera: { ...base.camera, ...camera }
+  };
+}
+
+/**
+ * Build the viewer iframe URL
+ * @param {string} viewerUrl - Viewer page (absolute or relative to this page)
+ * @param {Object} options
+ * @param {string} options.content - Splat file URL
+ * @param {string} [options.settings] - settings.json URL (or a data: URL)
+ * @param {string} [options.poster] - Poster image URL
+ * @param {string} [options.skybox] - Skybox image URL
+ * @param {boolean} [options.showUI=true] - Show the viewer's controls
+ * @param {boolean} [options.autoPlay=true] - Play camera animations on load
+ * @param {boolean} [options.showStats=false] - Show performance stats
+ * @param {string} [base=document.baseURI] - Base for relative URLs
+ * @returns {string}
+ */
+export function buildViewerUrl(viewerUrl, {
+  content,
+  settings,
+  poster,
+  skybox,
+  showUI = true,
+  autoPlay = true,
+  showStats = false
+}, base = document.baseURI) {
+  const url = new URL(viewerUrl, base);
+  url.searchParams.append('content', toAbsoluteUrl(content, base));
+
+  if (settings) url.searchParams.append('settings', settings.startsWith('data:') ? settings : toAbsoluteUrl(settings, base));
+  if (poster) url.searchParams.append('poster', toAbsoluteUrl(poster, base));
+  if (skybox) url.searchParams.append('skybox', toAbsoluteUrl(skybox, base));
+  if (!showUI) url.searchParams.append('noui', '');
+  if (!autoPlay) url.searchParams.append('noanim', '');
+  if (showStats) url.searchParams.append('ministats', '');
+
+  return url.toString();
+}
+
+/**
+ * Work out the settings URL to hand the viewer. Inline settings and camera
+ * options are sent as a data: URL, which the viewer can fetch from any origin.
+ * @param {string|Object} [settings] - settings.json URL or inline settings
+ * @param {Object} [camera] - Camera options from the manifest
+ * @returns {Promise<string|null>}
+ */
+async function resolveSettings(settings, camera) {
+  const inline = settings && typeof settings === 'object';
+  if (!camera && !inline) {
+    return settings || null;
+  }
+
+  let base = inline ? settings : null;
+  if (typeof settings === 'string' && settings) {
+    try {
+      const response = await fetch(toAbsoluteUrl(settings));
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      base = await response.json();
+    } catch (error) {
+      console.warn('⚠️ SuperSplat settings could not be loaded, using camera options only:', error.message);
+    }
+  }
+
+  const resolved = camera ? applyCameraOptions(base, camera) : base;
+  return `data:application/json,${encodeURIComponent(JSON.stringify(resolved))}`;
+}
+
 export const superSplatPlugin = {
   /**
    * Load and initialize SuperSplat viewer
    * @param {Object} wrapper - The wrapper instance
    * @param {Object} config - Configuration object
    * @param {string} config.src - SuperSplat .ply file URL (required)
-   * @param {string} [config.settings] - URL to settings.json (optional)
+   * @param {string} [config.viewerUrl] - Viewer page; defaults to the public viewer
+   * @param {string|Object} [config.settings] - URL to settings.json, or the settings inline
+   * @param {Object} [config.camera] - Camera overrides (`{ position, target, fov, startAnim, animTrack }`)
    * @param {string} [config.poster] - URL to poster image (optional)
    * @param {string} [config.skybox] - URL to skybox image (optional)
    * @param {boolean} [config.showUI=true] - Show UI controls
@@ -17,10 +128,13 @@ export const superSplatPlugin = {
    * @param {boolean} [config.showStats=false] - Show performance stats
    * @param {string} [config.title] - Title for accessibility
    * @param {string} [config.alt] - Alt text for accessibility
+   * @returns {Promise<Object>} Plugin handle (destroy, pause, resume, getState)
    */
   async load(wrapper, {
     src,
+    viewerUrl,
     settings,
+    camera,
     poster,
     skybox,
     showUI = true,
@@ -29,16 +143,21 @@ export const superSplatPlugin = {
     title = '',
     alt = '3D Gaussian Splatting visualization'
   }) {
+    if (!src) {
+      throw new Error('SuperSplat content needs the URL of a .ply file');
+    }
+
     console.log('🚀 Loading SuperSplat visualization:', src);
     const container = wrapper.getContentContainer();
-    
+    const viewer = viewerUrl || DEFAULT_VIEWER_URL;
+
     // Create container for the viewer
     const viewerContainer = document.createElement('div');
     viewerContainer.className = 'supersplat-container';
     viewerContainer.style.width = '100%';
     viewerContainer.style.height = '100%';
     viewerContainer.style.position = 'relative';
-    
+
     // Create iframe for SuperSplat viewer
     const iframe = document.createElement('iframe');
     iframe.style.border = 'none';
@@ -47,39 +166,23 @@ export const superSplatPlugin = {
     iframe.setAttribute('allow', 'xr-spatial-tracking');
     iframe.setAttribute('allowfullscreen', '');
     iframe.setAttribute('title', title || alt);
-    
-    // Check if we're loading a local file
-    let finalSrc = src;
-    const isLocalFile = !src.startsWith('http') && !src.startsWith('//');
-    
-    if (isLocalFile) {
-      // For local files, convert to absolute URL if it's a relative path
-      if (src.startsWith('/')) {
-        // Already an absolute path
-        finalSrc = window.location.origin + src;
-      } else {
-        // Relative path, make it absolute
-        const basePath = window.location.pathname.split('/').slice(0, -1).join('/');
-        finalSrc = window.location.origin + (basePath ? basePath + '/' : '') + src;
-      }
-      console.log('Using local file URL:', finalSrc);
-    }
-    // Use the public SuperSplat viewer with our file URL
-    const url = new URL('https://superspl.at/viewer/');
-    url.searchParams.append('content', finalSrc);
-    
-    if (settings) url.searchParams.append('settings', settings);
-    if (poster) url.searchParams.append('poster', poster);
-    if (skybox) url.searchParams.append('skybox', skybox);
-    if (!showUI) url.searchParams.append('noui', '');
-    if (!autoPlay) url.searchParams.append('noanim', '');
-    if (showStats) url.searchParams.append('ministats', '');
-    
-    iframe.src = url.toString();
-    
+
+    // Relative file URLs are made absolute, since the viewer may live on another origin
+    iframe.src = buildViewerUrl(viewer, {
+      content: src,
+      settings: await resolveSettings(settings, camera),
+      poster,
+      skybox,
+      showUI,
+      autoPlay,
+      showStats
+    });
+    console.log('Using SuperSplat viewer:', viewer);
+
     // Add loading indicator
     const loading = document.createElement('div');
     loading.className = 'loading-indicator';
+    loading.setAttribute('role', 'status');
     loading.style.position = 'absolute';
     loading.style.top = '50%';
     loading.style.left = '50%';
@@ -89,35 +192,48 @@ export const superSplatPlugin = {
     loading.style.color = 'white';
     loading.style.borderRadius = '4px';
     loading.textContent = 'Loading 3D visualization...';
-    
+
     // Handle iframe load events
-    iframe.onload = () => {
-      loading.style.display = 'none';
-      // Notify wrapper of content load
-      if (wrapper.onContentLoaded) {
-        wrapper.onContentLoaded();
-      }
-    };
-    
-    iframe.onerror = (error) => {
-      console.error('❌ Failed to load SuperSplat viewer:', error);
-      loading.textContent = 'Failed to load 3D visualization. Please try again.';
-      loading.style.background = 'rgba(200, 50, 50, 0.8)';
-      
-      // Notify wrapper of error
-      if (wrapper.onError) {
-        wrapper.onError(new Error('Failed to load SuperSplat viewer'));
-      }
+    let loaded = false;
+    let failed = false;
+
+    const fail = (reason) => {
+      if (loaded || failed) return;
+      failed = true;
+      clearTimeout(loadTimer);
+      console.error('❌ Failed to load SuperSplat viewer:', reason);
+      wrapper.trackContentEvent('supersplat_error', 'SuperSplat', reason);
+      wrapper.showError('The 3D visualization could not be loaded. Check your connection and reload the page.');
     };
-    
+
+    // Iframes rarely fire 'error', so a viewer that never answers counts as failed too
+    const loadTimer = setTimeout(() => fail('Viewer did not load in time'), LOAD_TIMEOUT);
+
+    iframe.addEventListener('load', () => {
+      if (failed) return;
+      loaded = true;
+      clearTimeout(loadTimer);
+      loading.style.display = 'none';
+      console.log('✅ SuperSplat viewer loaded');
+      wrapper.trackContentEvent('supersplat_loaded', 'SuperSplat', 'SuperSplat viewer loaded');
+      wrapper.triggerResize();
+    });
+
+    iframe.addEventListener('error', () => fail('Viewer failed to load'));
+
     // Assemble the viewer
     viewerContainer.appendChild(iframe);
     viewerContainer.appendChild(loading);
     container.appendChild(viewerContainer);
-    
-    // Cleanup function
-    return () => {
-      container.removeChild(viewerContainer);
+
+    return {
+      destroy() {
+        clearTimeout(loadTimer);
+        viewerContainer.remove();
+      },
+      getState() {
+        return { type: 'supersplat', src, viewerUrl: viewer, loaded, failed };
+      }
     };
   }
 };
@@ -3,6 +3,13 @@
  * Handles video content with Plyr player integration
  */
 
+import { WatchProgress, DEFAULT_MILESTONES } from '../../utils/watchProgress.js';
+import { createPositionStore, isResumable } from '../../utils/playbackPosition.js';
+import { formatTime } from '../../utils/transcript.js';
+import { loadChapters, findChapterIndex } from '../../utils/chapters.js';
+import { createResumePrompt } from '../../utils/resumePrompt.js';
+import { normalizeSources, attachStream, AUTO_QUALITY } from './streaming.js';
+
 export const videoPlugin = {
   /**
    * Handle video content with Plyr player
@@ -12,8 +19,15 @@ export const videoPlugin = {
    * @param {string} [config.title] - Optional title for the video
    * @param {Array} [config.captions] - Optional captions array for HTML5 videos
    * @param {string} [config.poster] - Optional poster image URL for HTML5 videos
+   * @param {number[]} [config.milestones] - Percent-watched milestones to report (default 25/50/75/90)
+   * @param {string} [config.id] - Manifest id, used to remember the playback position
+   * @param {boolean} [config.resume=true] - Offer to resume from the saved position
+   * @param {Array|string} [config.chapters] - Chapter entries or a WebVTT chapters URL
+   * @param {Array} [config.sources] - Alternative HTML5 sources (`{ src, type, size }`)
+   * @param {string} [config.format] - Format of `src`: 'hls', 'dash' or 'progressive' (default: from the URL)
+   * @returns {Promise<Object>} Plugin handle (destroy, pause, resume, getState)
    */
-  async load(wrapper, { src, title = '', captions = [], poster = '' }) {
+  async load(wrapper, { src, title = '', captions = [], poster = '', milestones = DEFAULT_MILESTONES, id = '', resume = true, chapters = [], sources = [], format }) {
     const [{ default: Plyr }] = await Promise.all([
       import('plyr'),
       import('./plyr.css')
@@ -37,6 +51,12 @@ export const videoPlugin = {
     const videoId = 'video-' + Math.random().toString(36).substr(2, 9);
     
     let videoElement = '';
+
+    // HTML5 sources: HLS/DASH streams are attached with a streaming library,
+    // files become <source> elements (also the fallback if streaming fails)
+    const html5Sources = videoType === 'html5' ? normalizeSources(src, sources, format) : [];
+    const streamSource = html5Sources.find(source => source.format !== 'progressive');
+    const fileSources = html5Sources.filter(source => source.format === 'progressive');
     
     if (videoType === 'youtube') {
       const videoIdMatch = src.match(/(?:youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/embed\/)([^&\n?#]+)/);
@@ -59,9 +79,13 @@ export const videoPlugin = {
           `<track kind="captions" label="${caption.label || caption.language}" src="${caption.src}" srclang="${caption.language}"${caption.default ? ' default' : ''}>`
         ).join('\n          ') : '';
       
+      const sourceElements = fileSources.map(source =>
+        `<source src="${source.src}"${source.type ? ` type="${source.type}"` : ''}${source.size ? ` size="${source.size}"` : ''}>`
+      ).join('\n          ');
+
       videoElement = `
         <video id="${videoId}" playsinline controls data-plyr-provider="html5"${poster ? ` poster="${poster}"` : ''}>
-          <source src="${src}" type="video/mp4">
+          ${sourceElements}
           ${captionTracks}
           Your browser doesn't support HTML5 video.
         </video>
@@ -75,6 +99,107 @@ export const videoPlugin = {
         </div>
       </div>`;
 
+    let player = null;
+    let resizeTimer;
+    let handleResize = null;
+
+    // Adaptive stream (hls.js / dash.js), attached before Plyr so its renditions fill the quality menu
+    let stream = null;
+    if (streamSource) {
+      try {
+        stream = await attachStream(container.querySelector(`#${videoId}`), streamSource);
+        console.log(`📡 ${streamSource.format.toUpperCase()} stream attached, renditions:`, stream.qualities);
+      } catch (error) {
+        if (fileSources.length === 0) throw error;
+        console.warn('Adaptive stream failed, falling back to file sources:', error.message);
+        wrapper.showNotice('Adaptive streaming is not available, so the video plays at a fixed quality.', { severity: 'warning' });
+      }
+    }
+
+    // Chapters: progress-bar markers plus a chapter list under the player
+    const chapterList = await loadChapters(chapters);
+    let activeChapter = -1;
+    const chapterNav = chapterList.length > 0
+      ? createChapterList(wrapper, chapterList, (index) => {
+        const media = player || nativeVideo();
+        if (!media) return;
+        media.currentTime = chapterList[index].start;
+        wrapper.onMediaTimeUpdate(chapterList[index].start);
+        wrapper.trackContentEvent('chapter_select', 'Video Player', chapterList[index].title, index + 1);
+      })
+      : null;
+    if (chapterNav) {
+      container.querySelector('.video-wrapper').appendChild(chapterNav);
+    }
+
+    const updateChapter = (time) => {
+      const index = findChapterIndex(chapterList, time);
+      if (index === activeChapter) return;
+      activeChapter = index;
+
+      chapterNav?.querySelectorAll('.lo-chapter-btn').forEach((button, i) => {
+        if (i === index) {
+          button.setAttribute('aria-current', 'true');
+        } else {
+          button.removeAttribute('aria-current');
+        }
+      });
+
+      if (index >= 0) {
+        const chapter = chapterList[index];
+        wrapper.trackContentEvent('chapter_enter', 'Video Player', chapter.title, index + 1);
+        wrapper.dispatchEvent('video:chapter', { index, ...chapter });
+      }
+    };
+
+    // Distinct watched time, for percent-watched and milestone events
+    const progress = new WatchProgress({ milestones });
+    const recordProgress = (time, duration) => {
+      progress.update(time, duration).forEach(milestone => {
+        wrapper.trackContentEvent('video_milestone', 'Video Player', `${milestone}% watched`, milestone);
+        wrapper.dispatchEvent('video:progress', { milestone, duration, ...progress.getState() });
+      });
+    };
+
+    // Saved playback position, offered as "Resume from 12:34" when the player is ready
+    const positions = createPositionStore(wrapper, { id, resume });
+    let resumePrompt = null;
+    const hideResumePrompt = () => {
+      resumePrompt?.remove();
+      resumePrompt = null;
+    };
+    const savePosition = (options) => {
+      if (player && positions) positions.save(player.currentTime, player.duration, options);
+    };
+    const handlePageHide = () => savePosition({ force: true });
+
+    const offerResume = async (playerInstance) => {
+      // A SCORM attempt being resumed already seeks to the LMS's position
+      if (!positions || wrapper.scorm?.getResumePosition() > 0) return;
+
+      const saved = await positions.load();
+      if (!saved || !isResumable(saved.position, playerInstance.duration || saved.duration)) return;
+      // The learner started playing while storage was being read
+      if (!playerInstance.paused || playerInstance.currentTime > 0 || !container.isConnected) return;
+
+      // Directly under the player, above the chapter list
+      resumePrompt = createResumePrompt(container.querySelector('.video-container'), saved.position, {
+        onResume: () => {
+          hideResumePrompt();
+          playerInstance.currentTime = saved.position;
+          playerInstance.play();
+          wrapper.trackContentEvent('video_resume', 'Video Player', `Resumed from ${formatTime(saved.position)}`, saved.position);
+        },
+        onRestart: () => {
+          hideResumePrompt();
+          positions.clear();
+          playerInstance.play();
+          wrapper.trackContentEvent('video_restart', 'Video Player', 'Started over');
+        }
+      });
+      wrapper.announceToScreenReader(`You can resume this video from ${formatTime(saved.position)}`);
+    };
+
     try {
       // Wait for DOM to be ready
       await new Promise(resolve => setTimeout(resolve, 200));
@@ -88,24 +213,25 @@ export const videoPlugin = {
 
         try {
           // Initialize with all controls available (Plyr will handle responsive behavior)
-          let player = new Plyr(videoElement, {
+          player = new Plyr(videoElement, {
             controls: ['play-large', 'play', 'progress', 'current-time', 'mute', 'volume', 'captions', 'settings', 'pip', 'airplay', 'fullscreen'],
             settings: ['captions', 'quality', 'speed'],
             speed: { selected: 1, options: [0.5, 0.75, 1, 1.25, 1.5, 2] },
             // Let Plyr handle responsive controls internally
-            responsive: true
+            responsive: true,
+            // Plyr renders marker labels as HTML, so escape chapter titles
+            markers: {
+              enabled: chapterList.length > 0,
+              points: chapterList.map(chapter => ({ time: chapter.start, label: wrapper.escapeHtml(chapter.title) }))
+            },
+            ...getQualityOptions(stream, fileSources)
           });
 
-          // Add resize listener to trigger wrapper resize without recreating player
-          let resizeTimer;
-
-          const handleResize = () => {
+          // Adapt the controls to the viewport width without recreating the player
+          handleResize = () => {
             clearTimeout(resizeTimer);
             resizeTimer = setTimeout(() => {
-              console.log('🔄 Video resize detected, updating wrapper size:', window.innerWidth);
-
-              // Just trigger wrapper resize - let Plyr handle its own responsive behavior
-              wrapper.triggerResize();
+              console.log('🔄 Video resize detected, updating controls:', window.innerWidth);
 
               // Hide/show volume slider (not mute) and PiP based on screen size
               const volumeSlider = container.querySelector('.plyr__volume input[type="range"]');
@@ -123,20 +249,11 @@ export const videoPlugin = {
                 if (pipButton) pipButton.style.display = '';
                 if (airplayButton) airplayButton.style.display = '';
               }
-
-              // Force a more aggressive resize notification
-              setTimeout(() => {
-                // Use forceResize to bypass threshold when controls change
-                if (wrapper.forceResize) {
-                  wrapper.forceResize();
-                } else {
-                  wrapper.triggerResize();
-                }
-              }, 100);
             }, 250);
           };
 
           window.addEventListener('resize', handleResize);
+          window.addEventListener('pagehide', handlePageHide);
 
           // Apply initial responsive controls
           setTimeout(() => handleResize(), 100);
@@ -146,81 +263,55 @@ export const videoPlugin = {
             playerInstance.on('ready', () => {
               console.log('✅ Plyr player ready');
               wrapperInstance.trackContentEvent('video_ready', 'Video Player', 'Plyr initialized');
-
-              // Multiple resize attempts after ready
-              setTimeout(() => wrapperInstance.triggerResize(), 100);
-              setTimeout(() => wrapperInstance.triggerResize(), 500);
-              setTimeout(() => wrapperInstance.triggerResize(), 1000);
+              wrapperInstance.triggerResize();
+              offerResume(playerInstance);
             });
 
             playerInstance.on('play', () => {
+              hideResumePrompt();
               wrapperInstance.trackContentEvent('video_play', 'Video Player', 'Video started');
-              setTimeout(() => wrapperInstance.triggerResize(), 100);
             });
 
             playerInstance.on('pause', () => {
+              savePosition({ force: true });
               wrapperInstance.trackContentEvent('video_pause', 'Video Player', 'Video paused');
-              setTimeout(() => wrapperInstance.triggerResize(), 100);
             });
 
-            playerInstance.on('ended', () => {
-              wrapperInstance.trackContentEvent('video_complete', 'Video Player', 'Video finished');
-            });
-
-            playerInstance.on('enterfullscreen', () => {
-              setTimeout(() => {
-                if (wrapperInstance.forceResize) {
-                  wrapperInstance.forceResize();
-                } else {
-                  wrapperInstance.triggerResize();
-                }
-              }, 100);
+            // Keep the transcript and watch progress in sync with playback
+            playerInstance.on('timeupdate', () => {
+              wrapperInstance.onMediaTimeUpdate(playerInstance.currentTime);
+              recordProgress(playerInstance.currentTime, playerInstance.duration);
+              savePosition();
+              updateChapter(playerInstance.currentTime);
             });
 
-            playerInstance.on('exitfullscreen', () => {
-              setTimeout(() => {
-                if (wrapperInstance.forceResize) {
-                  wrapperInstance.forceResize();
-                } else {
-                  wrapperInstance.triggerResize();
-                }
-              }, 100);
+            playerInstance.on('seeked', () => {
+              wrapperInstance.onMediaTimeUpdate(playerInstance.currentTime);
+              progress.seek(playerInstance.currentTime);
+              updateChapter(playerInstance.currentTime);
             });
 
-            playerInstance.on('controlsshown', () => {
-              setTimeout(() => {
-                if (wrapperInstance.forceResize) {
-                  wrapperInstance.forceResize();
-                } else {
-                  wrapperInstance.triggerResize();
-                }
-              }, 100);
+            playerInstance.on('languagechange', () => {
+              wrapperInstance.onCaptionLanguageChange(playerInstance.language);
             });
 
-            playerInstance.on('controlshidden', () => {
-              setTimeout(() => {
-                if (wrapperInstance.forceResize) {
-                  wrapperInstance.forceResize();
-                } else {
-                  wrapperInstance.triggerResize();
-                }
-              }, 100);
-            });
-
-            playerInstance.on('loadeddata', () => {
-              setTimeout(() => wrapperInstance.triggerResize(), 100);
+            playerInstance.on('ended', () => {
+              // The last timeupdate usually lands just short of the end
+              recordProgress(playerInstance.duration, playerInstance.duration);
+              positions?.clear();
+              wrapperInstance.trackContentEvent('video_complete', 'Video Player', 'Video finished');
             });
 
+            // Fullscreen and control changes are picked up by the wrapper's ResizeObserver;
+            // metadata gives the player its real aspect ratio, so report that as a load signal
             playerInstance.on('loadedmetadata', () => {
-              setTimeout(() => wrapperInstance.triggerResize(), 100);
+              wrapperInstance.triggerResize();
             });
           };
 
           // Attach initial event listeners
           attachPlayerEvents(player, wrapper);
 
-          return player;
-
         } catch (plyrError) {
           console.error('Failed to initialize Plyr:', plyrError);
           console.log('Falling back to basic video controls');
@@ -234,9 +325,150 @@ export const videoPlugin = {
     }
 
     console.log('✅ Video plugin initialized');
+
+    // Plain <video> element, used when Plyr failed to initialise
+    const nativeVideo = () => container.querySelector('video');
+
+    return {
+      destroy() {
+        savePosition({ force: true });
+        window.removeEventListener('pagehide', handlePageHide);
+        hideResumePrompt();
+        stream?.destroy();
+        if (handleResize) {
+          window.removeEventListener('resize', handleResize);
+        }
+        clearTimeout(resizeTimer);
+        if (player) {
+          player.destroy();
+          player = null;
+        }
+        container.innerHTML = '';
+        container.classList.remove('video-content');
+      },
+
+      pause() {
+        if (player) {
+          player.pause();
+        } else {
+          nativeVideo()?.pause();
+        }
+      },
+
+      resume() {
+        const playback = player ? player.play() : nativeVideo()?.play();
+        // Autoplay policies may reject play(); the learner can still press play
+        if (playback && playback.catch) {
+          playback.catch(error => {
+            console.warn('Video resume blocked:', error);
+            wrapper.showNotice('Press play to continue watching.');
+          });
+        }
+      },
+
+      seek(seconds) {
+        const media = player || nativeVideo();
+        if (media) {
+          media.currentTime = seconds;
+        }
+      },
+
+      setLanguage(language) {
+        const tracks = captions.filter(caption => caption.language === language);
+        if (tracks.length === 0) return false;
+
+        if (player) {
+          // Plyr picks the caption track for the language and shows captions
+          player.language = language;
+          player.toggleCaptions(true);
+        } else {
+          Array.from(nativeVideo()?.textTracks || []).forEach(track => {
+            track.mode = track.language === language ? 'showing' : 'disabled';
+          });
+        }
+        return true;
+      },
+
+      getState() {
+        const media = player || nativeVideo();
+        if (!media) return { type: 'video', provider: videoType, ...progress.getState() };
+
+        return {
+          type: 'video',
+          provider: videoType,
+          format: stream ? streamSource.format : 'progressive',
+          quality: player?.quality ?? null,
+          currentTime: media.currentTime || 0,
+          duration: media.duration || 0,
+          paused: media.paused,
+          ended: media.ended,
+          chapter: activeChapter >= 0 ? { index: activeChapter, ...chapterList[activeChapter] } : null,
+          ...progress.getState()
+        };
+      }
+    };
   }
 };
 
+/**
+ * Plyr quality menu settings
+ * Stream renditions are switched through the streaming library ("Auto" lets it
+ * adapt); file sources with a `size` are switched by Plyr itself.
+ * @param {Object|null} stream - Attached stream (see streaming.js)
+ * @param {Array<{size: number|null}>} fileSources - File sources
+ * @returns {Object} Plyr options
+ */
+function getQualityOptions(stream, fileSources) {
+  if (stream?.qualities.length > 1) {
+    return {
+      quality: {
+        default: AUTO_QUALITY,
+        options: [AUTO_QUALITY, ...stream.qualities],
+        forced: true,
+        onChange: (height) => stream.setQuality(height)
+      },
+      i18n: { qualityLabel: { [AUTO_QUALITY]: 'Auto' } }
+    };
+  }
+
+  const sizes = fileSources.map(source => source.size).filter(Boolean);
+  if (sizes.length > 1) {
+    return { quality: { default: sizes[0], options: sizes } };
+  }
+  return {};
+}
+
+/**
+ * Build the chapter list shown under the player
+ * @param {Object} wrapper - The wrapper instance (for escaping)
+ * @param {Array<{start: number, title: string}>} chapters - Normalised chapters
+ * @param {Function} onSelect - Called with the chapter index when a chapter is chosen
+ * @returns {HTMLElement}
+ */
+function createChapterList(wrapper, chapters, onSelect) {
+  const nav = document.createElement('nav');
+  nav.className = 'lo-chapters';
+  nav.setAttribute('aria-label', 'Chapters');
+  nav.innerHTML = `
+    <h3 class="lo-chapters-title">Chapters</h3>
+    <ol class="lo-chapter-list">
+      ${chapters.map((chapter, index) => `
+        <li>
+          <button type="button" class="lo-chapter-btn" data-chapter="${index}">
+            <span class="lo-chapter-time">${formatTime(chapter.start)}</span>
+            <span class="lo-chapter-label">${wrapper.escapeHtml(chapter.title)}</span>
+          </button>
+        </li>`).join('')}
+    </ol>
+  `;
+
+  nav.addEventListener('click', (event) => {
+    const button = event.target.closest('.lo-chapter-btn');
+    if (button) onSelect(Number(button.dataset.chapter));
+  });
+  return nav;
+}
+
 /**
  * Detect video type from URL
  * @param {string} src - Video source URL
@@ -0,0 +1,174 @@
+/**
+ * Video Sources and Adaptive Streaming
+ * Works out MIME types and stream formats for the video plugin, and attaches
+ * HLS (hls.js) or DASH (dash.js) streams to a <video> element. The streaming
+ * libraries are only downloaded when a stream is played.
+ */
+
+// Quality value Plyr shows as "Auto" (adaptive bitrate)
+export const AUTO_QUALITY = 0;
+
+const MIME_TYPES = {
+  mp4: 'video/mp4',
+  m4v: 'video/mp4',
+  webm: 'video/webm',
+  ogg: 'video/ogg',
+  ogv: 'video/ogg',
+  mov: 'video/quicktime',
+  m3u8: 'application/vnd.apple.mpegurl',
+  mpd: 'application/dash+xml'
+};
+
+const STREAM_FORMATS = {
+  'application/vnd.apple.mpegurl': 'hls',
+  'application/x-mpegurl': 'hls',
+  'application/dash+xml': 'dash'
+};
+
+function getExtension(src) {
+  try {
+    const { pathname } = new URL(src, window.location.href);
+    return pathname.split('.').pop().toLowerCase();
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * MIME type for a video source
+ * @param {string} src - Source URL
+ * @param {string} [type] - Declared MIME type, which wins
+ * @returns {string} MIME type, or '' when unknown
+ */
+export function getMimeType(src, type) {
+  return type || MIME_TYPES[getExtension(src)] || '';
+}
+
+/**
+ * Work out whether a source is an adaptive stream
+ * @param {string} src - Source URL
+ * @param {Object} [hints]
+ * @param {string} [hints.format] - Declared format ('hls', 'dash' or 'progressive'), which wins
+ * @param {string} [hints.type] - Declared MIME type
+ * @returns {string} 'hls', 'dash' or 'progressive'
+ */
+export function detectStreamFormat(src, { format, type } = {}) {
+  if (format) return format;
+  return STREAM_FORMATS[getMimeType(src, type).toLowerCase()] || 'progressive';
+}
+
+/**
+ * Combine `src` and `sources` into one list, first choice first
+ * @param {string} src - Primary source URL
+ * @param {Array<{src: string, type?: string, size?: number}>} [sources] - Alternative sources
+ * @param {string} [format] - Declared format of the primary source
+ * @returns {Array<{src: string, type: string, size: number|null, format: string}>}
+ */
+export function normalizeSources(src, sources = [], format) {
+  const entries = src && !sources.some(source => source.src === src) ? [{ src, format }, ...sources] : sources;
+
+  return entries
+    .filter(source => source?.src)
+    .map(source => ({
+      src: source.src,
+      type: getMimeType(source.src, source.type),
+      size: source.size || null,
+      format: detectStreamFormat(source.src, { format: source.format, type: source.type })
+    }));
+}
+
+/**
+ * Play an HLS or DASH stream in a video element
+ * @param {HTMLVideoElement} video - Target element
+ * @param {{src: string, format: string}} source - Stream source
+ * @returns {Promise<{qualities: number[], setQuality: Function, destroy: Function}>}
+ *   Heights of the available renditions (highest first), a setter taking a
+ *   height or AUTO_QUALITY, and a teardown function
+ */
+export async function attachStream(video, { src, format }) {
+  if (format === 'hls') return attachHls(video, src);
+  if (format === 'dash') return attachDash(video, src);
+  throw new Error(`Unsupported stream format "${format}"`);
+}
+
+async function attachHls(video, src) {
+  const { default: Hls } = await import('hls.js');
+
+  if (!Hls.isSupported()) {
+    // Safari on iOS plays HLS natively, choosing renditions itself
+    if (video.canPlayType('application/vnd.apple.mpegurl')) {
+      video.src = src;
+      return { qualities: [], setQuality() {}, destroy() {} };
+    }
+    throw new Error('HLS streams are not supported in this browser');
+  }
+
+  const hls = new Hls();
+  try {
+    const levels = await new Promise((resolve, reject) => {
+      hls.on(Hls.Events.MANIFEST_PARSED, (event, data) => resolve(data.levels));
+      hls.on(Hls.Events.ERROR, (event, data) => {
+        if (data.fatal) reject(new Error(`HLS stream failed: ${data.details}`));
+      });
+      hls.loadSource(src);
+      hls.attachMedia(video);
+    });
+
+    return {
+      qualities: uniqueHeights(levels.map(level => level.height)),
+      setQuality(height) {
+        // -1 hands the choice back to hls.js's bitrate estimation
+        hls.currentLevel = height === AUTO_QUALITY ? -1 : levels.findIndex(level => level.height === height);
+      },
+      destroy() {
+        hls.destroy();
+      }
+    };
+  } catch (error) {
+    hls.destroy();
+    throw error;
+  }
+}
+
+async function attachDash(video, src) {
+  const { MediaPlayer, supportsMediaSource } = await import('dashjs');
+
+  if (!supportsMediaSource()) {
+    throw new Error('DASH streams need Media Source Extensions, which this browser lacks');
+  }
+
+  const dash = MediaPlayer().create();
+  try {
+    await new Promise((resolve, reject) => {
+      dash.on(MediaPlayer.events.STREAM_INITIALIZED, resolve);
+      dash.on(MediaPlayer.events.ERROR, (event) => {
+        reject(new Error(`DASH stream failed: ${event.error?.message || 'unknown error'}`));
+      });
+      dash.initialize(video, src, false);
+    });
+
+    const representations = dash.getRepresentationsByType('video');
+    return {
+      qualities: uniqueHeights(representations.map(representation => representation.height)),
+      setQuality(height) {
+        const auto = height === AUTO_QUALITY;
+        dash.updateSettings({ streaming: { abr: { autoSwitchBitrate: { video: auto } } } });
+
+        const representation = representations.find(candidate => candidate.height === height);
+        if (!auto && representation) {
+          dash.setRepresentationForTypeById('video', representation.id);
+        }
+      },
+      destroy() {
+        dash.reset();
+      }
+    };
+  } catch (error) {
+    dash.reset();
+    throw error;
+  }
+}
+
+function uniqueHeights(heights) {
+  return [...new Set(heights.filter(height => height > 0))].sort((a, b) => b - a);
+}
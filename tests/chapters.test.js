@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { normalizeChapters, chaptersFromVTT, findChapterIndex } from '../utils/chapters.js';
+import { validateManifest } from '../utils/manifestValidator.js';
+
+describe('chapters', () => {
+  it('sorts manifest chapters and ends each where the next starts', () => {
+    expect(normalizeChapters([
+      { start: 90, title: 'Methods' },
+      { start: 0, title: ' Introduction ' },
+      { start: 'later', title: 'Broken' }
+    ])).toEqual([
+      { start: 0, end: 90, title: 'Introduction' },
+      { start: 90, end: null, title: 'Methods' }
+    ]);
+  });
+
+  it('reads a WebVTT chapters file', () => {
+    const vtt = readFileSync(resolve(process.cwd(), 'assets/captions/sample-chapters.vtt'), 'utf8');
+    const chapters = chaptersFromVTT(vtt);
+
+    expect(chapters).toHaveLength(5);
+    expect(chapters[1]).toEqual({ start: 90, end: 200, title: 'A Morning in the Meadow' });
+    expect(chapters[4].end).toBe(596);
+    expect(findChapterIndex(chapters, 0)).toBe(0);
+    expect(findChapterIndex(chapters, 250)).toBe(2);
+  });
+
+  it('validates the manifest field', () => {
+    const { errors } = validateManifest({ type: 'video', src: 'lecture.mp4', chapters: [{ start: 0 }] });
+    expect(errors.map(error => error.path)).toEqual(['$.chapters']);
+  });
+});
@@ -6,7 +6,47 @@ describe('contentPlugins', () => {
     expect(contentPlugins.detectType('file.mp4')).toBe('video');
   });
 
+  it('detects audio by extension, leaving Ogg video to the video plugin', () => {
+    expect(contentPlugins.detectType('https://example.edu/podcast/episode-3.mp3')).toBe('audio');
+    expect(contentPlugins.detectType('lecture.m4a')).toBe('audio');
+    expect(contentPlugins.detectType('theme.ogg')).toBe('audio');
+    expect(contentPlugins.detectType('clip.ogv')).toBe('video');
+  });
+
   it('detects supersplat by extension', () => {
     expect(contentPlugins.detectType('scene.ply')).toBe('supersplat');
   });
 });
+
+describe('contentPlugins.register', () => {
+  const load = () => Promise.resolve(() => {});
+
+  it('consults registered detectors in priority order', () => {
+    contentPlugins.register('slides', {
+      load,
+      detect: (src, { ext }) => ext === 'pptx',
+      priority: 10
+    });
+    contentPlugins.register('lecture', {
+      load,
+      detect: (src) => src.includes('/lectures/'),
+      priority: 100
+    });
+
+    expect(contentPlugins.detectType('deck.pptx')).toBe('slides');
+    expect(contentPlugins.detectType('/lectures/week1.mp4')).toBe('lecture');
+    expect(contentPlugins.has('lecture')).toBe(true);
+  });
+
+  it('rejects registrations without a loader', () => {
+    expect(() => contentPlugins.register('broken', {})).toThrow(TypeError);
+  });
+
+  it('reports unknown types instead of falling back to iframe', async () => {
+    await expect(contentPlugins.getPlugin('vidoe')).rejects.toThrow('Unknown content type "vidoe"');
+  });
+
+  it('still falls back to iframe when no detector matches', () => {
+    expect(contentPlugins.detectType('https://example.com/page')).toBe('iframe');
+  });
+});
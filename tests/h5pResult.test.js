@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest';
+import { createWrapper } from './helpers/wrapper.js';
+import { readStatement, summarizeStatement, mergeResult } from '../plugins/h5p/xapiResult.js';
+import { buildStatement, XAPI_VERBS } from '../utils/xapi.js';
+
+const activityId = 'https://h5p.example.edu/h5p/embed/42';
+
+const statement = (verb, { result, subContent = false } = {}) => ({
+  actor: { name: 'Learner' },
+  verb: { id: `http://adlnet.gov/expapi/verbs/${verb}` },
+  object: {
+    id: subContent ? `${activityId}?subContentId=abc` : activityId,
+    definition: { name: { 'en-US': subContent ? 'Question 1' : 'Photosynthesis quiz' } }
+  },
+  context: subContent ? { contextActivities: { parent: [{ id: activityId }] } } : {},
+  ...(result && { result })
+});
+
+describe('H5P xAPI results', () => {
+  it('reads statements relayed in the usual message shapes', () => {
+    const answered = statement('answered');
+    expect(readStatement({ context: 'h5p', action: 'xAPI', statement: answered })).toBe(answered);
+    expect(readStatement(answered)).toBe(answered);
+    expect(readStatement(JSON.stringify({ statement: answered }))).toEqual(answered);
+    expect(readStatement({ context: 'h5p', action: 'resize', scrollHeight: 400 })).toBeNull();
+    expect(readStatement('[iFrameSizer]frame:400:300:size')).toBeNull();
+  });
+
+  it('summarises score, success and completion', () => {
+    const summary = summarizeStatement(statement('completed', {
+      result: { score: { raw: 3, min: 0, max: 4 }, success: true, completion: true }
+    }));
+    expect(summary).toEqual({
+      verb: 'completed',
+      name: 'Photosynthesis quiz',
+      score: { raw: 3, min: 0, max: 4, scaled: 0.75 },
+      success: true,
+      completion: true,
+      topLevel: true
+    });
+  });
+
+  it('keeps the activity result and ignores sub-content', () => {
+    const question = summarizeStatement(statement('answered', {
+      subContent: true,
+      result: { score: { raw: 1, max: 1 }, success: true }
+    }));
+    expect(question.topLevel).toBe(false);
+    expect(mergeResult(null, question)).toBeNull();
+
+    const completed = mergeResult(null, summarizeStatement(statement('completed', {
+      result: { score: { raw: 2, max: 4, scaled: 0.5 }, success: false }
+    })));
+    expect(completed).toMatchObject({ score: { raw: 2, max: 4, scaled: 0.5 }, success: false, completion: true });
+
+    // A retry that is answered but not finished keeps the completion
+    const retried = mergeResult(completed, summarizeStatement(statement('answered', {
+      result: { score: { raw: 4, max: 4 }, success: true }
+    })));
+    expect(retried).toMatchObject({ score: { raw: 4, scaled: 1 }, success: true, completion: true });
+
+    const interacted = summarizeStatement(statement('interacted'));
+    expect(mergeResult(retried, interacted)).toBe(retried);
+  });
+
+  it('adds the result to completion statements sent to the LRS', () => {
+    const sent = buildStatement({
+      verb: 'completed',
+      action: 'h5p_completed',
+      label: 'Photosynthesis quiz',
+      actor: { mbox: 'mailto:learner@example.com' },
+      activity: { id: 'https://lor.example.com/learning-objects/photosynthesis', type: 'h5p', title: 'Photosynthesis' },
+      state: { type: 'h5p', result: { score: { raw: 3, min: 0, max: 4, scaled: 0.75 }, success: true, completion: true } },
+      extensionBase: 'https://lor.example.com/xapi/extensions/'
+    });
+
+    expect(sent.verb.id).toBe(XAPI_VERBS.completed);
+    expect(sent.result.score).toEqual({ raw: 3, min: 0, max: 4, scaled: 0.75 });
+    expect(sent.result.success).toBe(true);
+    expect(sent.result.completion).toBe(true);
+  });
+
+  it('tracks statements about the activity but not each sub-content answer', async () => {
+    // Skip fetching the H5P resizer script, which jsdom never loads
+    window.H5PResizer = {};
+    const wrapper = await createWrapper({ type: 'h5p', src: activityId });
+    await wrapper.loadContent();
+
+    const tracked = [];
+    const xapi = [];
+    wrapper.container.addEventListener('analytics:track', (event) => tracked.push(event.detail.action));
+    wrapper.container.addEventListener('h5p:xapi', (event) => xapi.push(event.detail.verb));
+
+    const frame = wrapper.container.querySelector('iframe').contentWindow;
+    const relay = (data) => window.dispatchEvent(new MessageEvent('message', { data, source: frame }));
+    relay({ context: 'h5p', action: 'xAPI', statement: statement('answered', { subContent: true, result: { score: { raw: 1, max: 1 } } }) });
+    relay({ context: 'h5p', action: 'xAPI', statement: statement('answered', { subContent: true, result: { score: { raw: 0, max: 1 } } }) });
+    relay({ context: 'h5p', action: 'xAPI', statement: statement('completed', { result: { score: { raw: 1, max: 2 } } }) });
+
+    expect(xapi).toEqual(['answered', 'answered', 'completed']);
+    expect(tracked).toEqual(['h5p_completed']);
+    expect(wrapper.getResult()).toMatchObject({ score: { raw: 1, max: 2, scaled: 0.5 }, completion: true });
+
+    wrapper.destroy();
+    delete window.H5PResizer;
+  });
+});
@@ -0,0 +1,27 @@
+/**
+ * Shared test fixtures for tests that run a real LearningObjectWrapper
+ */
+
+import LearningObjectWrapper from '../../wrapper.js';
+
+// jsdom has no matchMedia, which theme detection needs
+window.matchMedia = window.matchMedia || ((query) => ({
+  matches: false,
+  media: query,
+  addEventListener() {},
+  removeEventListener() {}
+}));
+
+/**
+ * Create a wrapper in a fresh container and wait until it is ready
+ * @param {Object} [config] - Wrapper config (type, src, manifestUrl, ...)
+ * @returns {Promise<LearningObjectWrapper>}
+ */
+export async function createWrapper(config = {}) {
+  const container = document.createElement('div');
+  document.body.appendChild(container);
+  const ready = new Promise(resolve => container.addEventListener('wrapper:ready', resolve, { once: true }));
+  const wrapper = new LearningObjectWrapper(container, config);
+  await ready;
+  return wrapper;
+}
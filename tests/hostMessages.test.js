@@ -0,0 +1,75 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createWrapper } from './helpers/wrapper.js';
+import { contentPlugins } from '../contentPlugins.js';
+
+// Post a host command and resolve with the wrapper's reply
+function sendCommand(message, origin = 'https://lms.example.com') {
+  return new Promise(resolve => {
+    const source = { postMessage: vi.fn(resolve) };
+    const event = new MessageEvent('message', { data: { source: 'lor-host', ...message }, origin });
+    Object.defineProperty(event, 'source', { value: source });
+    window.dispatchEvent(event);
+  });
+}
+
+describe('HostMessageAPI', () => {
+  const state = { currentTime: 0, paused: true };
+  const handle = {
+    pause: vi.fn(() => { state.paused = true; }),
+    resume: vi.fn(() => { state.paused = false; }),
+    seek: vi.fn((time) => { state.currentTime = time; }),
+    getState: () => ({ ...state })
+  };
+  contentPlugins.register('host-test', { load: async () => () => handle });
+
+  it('runs commands from allowed origins and echoes the request id', async () => {
+    const wrapper = await createWrapper({
+      type: 'host-test',
+      src: 'content.bin',
+      messaging: { allowedOrigins: ['https://*.example.com'] }
+    });
+    await wrapper.loadContent();
+
+    const played = await sendCommand({ id: 'req-1', command: 'play' });
+    expect(played).toMatchObject({ source: 'lor-wrapper', id: 'req-1', command: 'play', ok: true });
+    expect(played.result.content.paused).toBe(false);
+
+    const seeked = await sendCommand({ id: 'req-2', command: 'seek', params: { time: 30 } });
+    expect(handle.seek).toHaveBeenCalledWith(30);
+    expect(seeked.result.content.currentTime).toBe(30);
+
+    const invalid = await sendCommand({ id: 'req-3', command: 'seek', params: { time: 'soon' } });
+    expect(invalid).toMatchObject({ id: 'req-3', ok: false, error: { code: 'invalid_params' } });
+
+    const unknown = await sendCommand({ id: 'req-4', command: 'selfDestruct' });
+    expect(unknown.error.code).toBe('unknown_command');
+
+    const themed = await sendCommand({ id: 'req-5', command: 'setTheme', params: { theme: 'high-contrast' } });
+    expect(themed.result).toEqual({ theme: 'high-contrast' });
+
+    wrapper.destroy();
+  });
+
+  it('ignores commands from other origins', async () => {
+    const wrapper = await createWrapper({
+      type: 'host-test',
+      src: 'content.bin',
+      messaging: { allowedOrigins: ['https://lms.example.com'] }
+    });
+    await wrapper.loadContent();
+    handle.resume.mockClear();
+
+    const source = { postMessage: vi.fn() };
+    const event = new MessageEvent('message', {
+      data: { source: 'lor-host', id: 'req-1', command: 'play' },
+      origin: 'https://evil.test'
+    });
+    Object.defineProperty(event, 'source', { value: source });
+    window.dispatchEvent(event);
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(handle.resume).not.toHaveBeenCalled();
+    expect(source.postMessage).not.toHaveBeenCalled();
+    wrapper.destroy();
+  });
+});
@@ -0,0 +1,11 @@
+import { describe, it, expect } from 'vitest';
+import { escapeHtml } from '../utils/html.js';
+
+describe('escapeHtml', () => {
+  it('escapes markup and quotes so text is safe in content and attributes', () => {
+    expect(escapeHtml('<b class="x">Tom & Jerry</b>')).toBe('&lt;b class=&quot;x&quot;&gt;Tom &amp; Jerry&lt;/b&gt;');
+    expect(escapeHtml(null)).toBe('');
+    expect(escapeHtml(undefined)).toBe('');
+    expect(escapeHtml(0)).toBe('0');
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { createWrapper } from './helpers/wrapper.js';
+import { clampPan, zoomAround } from '../plugins/image/panZoom.js';
+import { validateManifest } from '../utils/manifestValidator.js';
+import { createManifestSchema } from '../utils/manifestSchema.js';
+import { contentPlugins } from '../contentPlugins.js';
+import { resolveContentConfig } from '../utils/manifestResolver.js';
+
+const size = { width: 400, height: 300 };
+
+describe('pan and zoom', () => {
+  it('keeps the zoomed image covering the viewport', () => {
+    expect(clampPan({ scale: 2, x: 50, y: -1000 }, size)).toEqual({ scale: 2, x: 0, y: -300 });
+    expect(clampPan({ scale: 1, x: -20, y: 10 }, size)).toEqual({ scale: 1, x: 0, y: 0 });
+  });
+
+  it('zooms around a fixed point within the scale limits', () => {
+    // The point under the cursor stays put
+    const zoomed = zoomAround({ scale: 1, x: 0, y: 0 }, 2, { x: 100, y: 100 }, size);
+    expect(zoomed).toEqual({ scale: 2, x: -100, y: -100 });
+
+    expect(zoomAround(zoomed, 100, { x: 0, y: 0 }, size, 8).scale).toBe(8);
+    expect(zoomAround(zoomed, 0.1, { x: 0, y: 0 }, size)).toEqual({ scale: 1, x: 0, y: 0 });
+  });
+});
+
+describe('image manifests', () => {
+  const gallery = {
+    type: 'image',
+    images: [
+      { src: 'cell.png', alt: 'Plant cell', longDescription: 'A plant cell with labelled organelles.' },
+      { src: 'leaf.jpg', alt: 'Leaf cross-section', caption: 'Stained section, 40x' }
+    ]
+  };
+
+  it('accepts galleries and requires alt text on every image', () => {
+    const schema = createManifestSchema(contentPlugins.getTypes(), contentPlugins.getManifestProperties());
+    expect(validateManifest(gallery, schema).errors).toEqual([]);
+
+    const { errors } = validateManifest({ type: 'image', images: [{ src: 'cell.png' }] }, schema);
+    expect(errors.map(error => error.path)).toEqual(['$.images[0].alt']);
+  });
+
+  it('starts a gallery at its first image', () => {
+    const resolved = resolveContentConfig({ ...gallery, type: 'auto' });
+    expect(resolved.src).toBe('cell.png');
+    expect(resolved.type).toBe('image');
+    expect(resolved.images).toHaveLength(2);
+  });
+});
+
+describe('image URL parameters', () => {
+  it('shows an image embedded by URL with the alt parameter', async () => {
+    // What embed.html builds from ?src=photo.jpg&alt=...
+    const wrapper = await createWrapper({ type: 'auto', src: 'assets/images/photo.jpg', alt: 'Students at the field station' });
+    await wrapper.loadContent();
+
+    expect(wrapper.content.type).toBe('image');
+    const image = wrapper.container.querySelector('.lo-image');
+    expect(image.getAttribute('alt')).toBe('Students at the field station');
+    expect(wrapper.container.querySelector('.lo-error')).toBeNull();
+    wrapper.destroy();
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import { resolveContentConfig, getManifestSource } from '../utils/manifestResolver.js';
+import { validateManifest } from '../utils/manifestValidator.js';
+
+describe('getManifestSource', () => {
+  it('prefers top-level src over resources', () => {
+    expect(getManifestSource({ src: 'a.mp4', resources: { video: 'b.mp4' } }).src).toBe('a.mp4');
+  });
+
+  it('normalises resources entries', () => {
+    expect(getManifestSource({ resources: { model: 'a.glb', iosSrc: 'a.usdz' } }))
+      .toEqual({ src: 'a.glb', iosSrc: 'a.usdz' });
+  });
+});
+
+describe('resolveContentConfig', () => {
+  const manifest = {
+    id: 'lesson',
+    type: 'video',
+    title: 'Manifest title',
+    src: 'lesson.mp4',
+    poster: 'manifest.jpg',
+    attribution: {
+      author: { text: 'Manifest author', url: 'https://example.com' }
+    }
+  };
+
+  it('never lets URL parameters override manifest type or src', () => {
+    const resolved = resolveContentConfig(manifest, { type: 'iframe', src: 'evil.html' });
+    expect(resolved.type).toBe('video');
+    expect(resolved.src).toBe('lesson.mp4');
+  });
+
+  it('lets URL parameters override other manifest fields', () => {
+    const resolved = resolveContentConfig(manifest, { title: 'URL title', poster: '' });
+    expect(resolved.title).toBe('URL title');
+    expect(resolved.poster).toBe('manifest.jpg');
+  });
+
+  it('merges attribution field by field', () => {
+    const resolved = resolveContentConfig(manifest, {
+      attribution: { author: { text: '', url: '' }, license: { text: 'CC BY 4.0', url: '' } }
+    });
+    expect(resolved.attribution.author).toEqual({ text: 'Manifest author', url: 'https://example.com' });
+    expect(resolved.attribution.license.text).toBe('CC BY 4.0');
+  });
+
+  it('takes LRS credentials only from launch parameters', () => {
+    const xapi = { endpoint: 'https://lrs.example.com/xapi/', auth: 'Basic a2V5OnNlY3JldA==' };
+    expect(validateManifest({ ...manifest, xapi }).errors.map(error => error.path)).toEqual(['$.xapi.auth']);
+
+    expect(resolveContentConfig({ ...manifest, xapi }).xapi).toEqual({ endpoint: 'https://lrs.example.com/xapi/' });
+    expect(resolveContentConfig({ ...manifest, xapi }, { xapi: { auth: 'Basic bGF1bmNoOmtleQ==' } }).xapi.auth)
+      .toBe('Basic bGF1bmNoOmtleQ==');
+  });
+
+  it('auto-detects the type when embedding by URL only', () => {
+    const resolved = resolveContentConfig(null, { type: 'auto', src: 'clip.mp4' });
+    expect(resolved.type).toBe('video');
+    expect(resolved.attribution).toBeNull();
+  });
+
+  it('builds transcripts from caption tracks when none are given', () => {
+    const resolved = resolveContentConfig({
+      ...manifest,
+      captions: [
+        { src: 'en.vtt', language: 'en', label: 'English' },
+        { src: 'es.vtt', language: 'es', label: 'Español', default: true }
+      ]
+    });
+
+    expect(resolved.transcripts).toEqual([
+      { language: 'en', label: 'English', url: 'en.vtt', default: false, format: 'vtt' },
+      { language: 'es', label: 'Español', url: 'es.vtt', default: true, format: 'vtt' }
+    ]);
+  });
+});
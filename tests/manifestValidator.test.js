@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { readdirSync, readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { validateManifest } from '../utils/manifestValidator.js';
+import { createManifestSchema } from '../utils/manifestSchema.js';
+import { contentPlugins } from '../contentPlugins.js';
+
+const manifestDir = resolve(process.cwd(), 'assets/manifests');
+
+describe('validateManifest', () => {
+  it('accepts every sample manifest', () => {
+    // Same schema the wrapper uses, including the fields plugins declare
+    const schema = createManifestSchema(contentPlugins.getTypes(), contentPlugins.getManifestProperties());
+    readdirSync(manifestDir)
+      .filter(file => file.endsWith('.json'))
+      .forEach(file => {
+        const manifest = JSON.parse(readFileSync(resolve(manifestDir, file), 'utf8'));
+        expect(validateManifest(manifest, schema).errors, file).toEqual([]);
+      });
+  });
+
+  it('reports misspelt properties with a suggestion', () => {
+    const { valid, errors } = validateManifest({
+      type: 'model',
+      resources: { model: 'a.glb', modle: 'b.glb' }
+    });
+    expect(valid).toBe(false);
+    expect(errors).toEqual([
+      { path: '$.resources.modle', message: 'Unknown property "modle" (did you mean "model"?)' }
+    ]);
+  });
+
+  it('reports every problem with its JSON path', () => {
+    const { errors } = validateManifest({
+      type: 'vidoe',
+      src: 'video.mp4',
+      transcripts: [{ language: 'en' }]
+    });
+    expect(errors.map(error => error.path)).toEqual(['$.type', '$.transcripts[0].url']);
+  });
+
+  it('requires a content location', () => {
+    const { errors } = validateManifest({ type: 'video' });
+    expect(errors).toHaveLength(1);
+    expect(errors[0].path).toBe('$');
+  });
+});
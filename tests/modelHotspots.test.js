@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import { toModelVector, orbitFacing, normalizeHotspots } from '../plugins/model/hotspots.js';
+import { contentPlugins } from '../contentPlugins.js';
+import { createManifestSchema } from '../utils/manifestSchema.js';
+import { validateManifest } from '../utils/manifestValidator.js';
+
+describe('model hotspots', () => {
+  it('accepts model-viewer strings and [x, y, z] metres', () => {
+    expect(toModelVector('0m 1.2m 0.1m')).toBe('0m 1.2m 0.1m');
+    expect(toModelVector([0, 1.2, -0.5])).toBe('0m 1.2m -0.5m');
+    expect(toModelVector([0, 1])).toBeNull();
+  });
+
+  it('points the camera at the surface a hotspot sits on', () => {
+    expect(orbitFacing('0m 0m 1m')).toBe('0deg 90deg auto');
+    expect(orbitFacing('1m 0m 0m')).toBe('90deg 90deg auto');
+    expect(orbitFacing('0m 1m 0m')).toBe('0deg 0deg auto');
+    expect(orbitFacing('0m 0m 0m')).toBeNull();
+  });
+
+  it('skips hotspots without a position or label and keeps explicit orbits', () => {
+    const hotspots = normalizeHotspots([
+      { position: [0, 1.6, 0.1], normal: [0, 0, 1], label: 'Visor', description: 'Gold-coated sun visor' },
+      { position: [0, 1, 0] },
+      { position: '0.2m 1m 0m', label: 'Backpack', orbit: '180deg 80deg 2m' }
+    ]);
+
+    expect(hotspots).toEqual([
+      { id: 'hotspot-1', position: '0m 1.6m 0.1m', normal: '0m 0m 1m', label: 'Visor', description: 'Gold-coated sun visor', orbit: '0deg 90deg auto' },
+      { id: 'hotspot-3', position: '0.2m 1m 0m', normal: null, label: 'Backpack', description: '', orbit: '180deg 80deg 2m' }
+    ]);
+  });
+
+  it('validates hotspots in model manifests', () => {
+    const schema = createManifestSchema(contentPlugins.getTypes(), contentPlugins.getManifestProperties());
+    const manifest = {
+      type: 'model',
+      src: 'astronaut.glb',
+      hotspots: [{ position: [0, 1.6, 0.1], label: 'Visor' }, { position: 'above', label: '' }]
+    };
+    expect(validateManifest(manifest, schema).errors.map(error => error.path)).toEqual(['$.hotspots[1].label']);
+  });
+});
@@ -0,0 +1,31 @@
+import { describe, it, expect } from 'vitest';
+import { ORBIT_STEP, ZOOM_FACTOR, cameraCommand, moveOrbit, describeOrbit } from '../plugins/model/keyboardCamera.js';
+
+const degrees = value => value * Math.PI / 180;
+
+describe('model keyboard camera', () => {
+  it('maps keys to camera commands', () => {
+    expect(cameraCommand({ key: 'ArrowLeft' })).toEqual({ action: 'orbit', theta: ORBIT_STEP, phi: 0 });
+    expect(cameraCommand({ key: 'ArrowDown' })).toEqual({ action: 'orbit', theta: 0, phi: -ORBIT_STEP });
+    expect(cameraCommand({ key: '+' })).toEqual({ action: 'zoom', factor: 1 / ZOOM_FACTOR });
+    expect(cameraCommand({ key: '-' })).toEqual({ action: 'zoom', factor: ZOOM_FACTOR });
+    expect(cameraCommand({ key: 'Home' }).action).toBe('reset');
+    expect(cameraCommand({ key: 'R' }).action).toBe('rotate');
+    expect(cameraCommand({ key: '?' }).action).toBe('help');
+    expect(cameraCommand({ key: 'r', ctrlKey: true })).toBeNull();
+    expect(cameraCommand({ key: 'Tab' })).toBeNull();
+  });
+
+  it('moves the orbit by the command', () => {
+    const orbit = { theta: 0, phi: degrees(75), radius: 2 };
+    expect(moveOrbit(orbit, { theta: 15, phi: 0 })).toBe('15deg 75deg 2m');
+    expect(moveOrbit(orbit, { factor: 1.25 })).toBe('0deg 75deg 2.5m');
+    expect(moveOrbit({ ...orbit, phi: degrees(175) }, { phi: 15 })).toBe('0deg 180deg 2m');
+  });
+
+  it('describes the view angle in words', () => {
+    expect(describeOrbit({ theta: 0, phi: degrees(90) })).toBe('Viewing from the front, at eye level, turned 0 degrees');
+    expect(describeOrbit({ theta: degrees(45), phi: degrees(60) })).toBe('Viewing from the front right, slightly above, turned 45 degrees');
+    expect(describeOrbit({ theta: degrees(-90), phi: degrees(20) })).toBe('Viewing from the left, from above, turned 270 degrees');
+  });
+});
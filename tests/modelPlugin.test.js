@@ -0,0 +1,42 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createWrapper } from './helpers/wrapper.js';
+
+// Bare <model-viewer> element: enough for the plugin to build its controls
+vi.mock('@google/model-viewer', () => {
+  if (!customElements.get('model-viewer')) {
+    customElements.define('model-viewer', class extends HTMLElement {
+      paused = true;
+      pause() {}
+      play() {}
+    });
+  }
+  return {};
+});
+
+describe('model plugin', () => {
+  it('keeps the rotate button in step when paused and resumed', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const wrapper = await createWrapper({ type: 'model', src: 'https://example.com/cell.glb' });
+    await wrapper.loadContent();
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+    const modelViewer = wrapper.container.querySelector('model-viewer');
+    const button = wrapper.container.querySelector('[data-action="rotate"]');
+    expect(modelViewer.hasAttribute('auto-rotate')).toBe(true);
+    expect(button.getAttribute('aria-pressed')).toBe('true');
+
+    wrapper.plugin.pause();
+    expect(modelViewer.hasAttribute('auto-rotate')).toBe(false);
+    expect(button.textContent.trim()).toBe('Start Rotation');
+    expect(button.getAttribute('aria-pressed')).toBe('false');
+
+    wrapper.plugin.resume();
+    vi.runAllTimers();
+    expect(modelViewer.hasAttribute('auto-rotate')).toBe(true);
+    expect(button.textContent.trim()).toBe('Pause Rotation');
+    expect(button.getAttribute('aria-pressed')).toBe('true');
+
+    wrapper.destroy();
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+});
@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest';
+import { VIEWER_DEFAULTS, resolveViewerSettings, viewerAttributes } from '../plugins/model/viewerConfig.js';
+import { contentPlugins } from '../contentPlugins.js';
+import { createManifestSchema } from '../utils/manifestSchema.js';
+import { validateManifest } from '../utils/manifestValidator.js';
+
+describe('model viewer settings', () => {
+  it('keeps the defaults for anything the manifest leaves out', () => {
+    const settings = resolveViewerSettings({ cameraOrbit: '45deg 60deg 2m', exposure: 0, skyboxImage: '' });
+    expect(settings).toEqual({ ...VIEWER_DEFAULTS, cameraOrbit: '45deg 60deg 2m', exposure: 0 });
+    expect(resolveViewerSettings()).toEqual(VIEWER_DEFAULTS);
+  });
+
+  it('maps settings to model-viewer attributes', () => {
+    const attributes = viewerAttributes(resolveViewerSettings({ autoRotate: false, autoplay: true, animation: 'Walk', arPlacement: 'wall' }));
+    expect(attributes['camera-orbit']).toBe('0deg 75deg 100%');
+    expect(attributes['exposure']).toBe('1');
+    expect(attributes['ar-placement']).toBe('wall');
+    expect(attributes['animation-name']).toBe('Walk');
+    expect(attributes['autoplay']).toBe('');
+    expect(attributes).not.toHaveProperty('auto-rotate');
+    expect(attributes).not.toHaveProperty('skybox-image');
+    expect(attributes).not.toHaveProperty('variant-name');
+  });
+
+  it('validates the viewer block in model manifests', () => {
+    const schema = createManifestSchema(contentPlugins.getTypes(), contentPlugins.getManifestProperties());
+    const manifest = {
+      type: 'model',
+      src: 'astronaut.glb',
+      viewer: { exposure: 1.2, arPlacement: 'ceiling', autoRotate: 'no', zoom: 2 }
+    };
+    expect(validateManifest(manifest, schema).errors.map(error => error.path).sort()).toEqual([
+      '$.viewer.arPlacement',
+      '$.viewer.autoRotate',
+      '$.viewer.zoom'
+    ]);
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { NoticeManager, TOAST_DURATION, trapFocus } from '../utils/notices.js';
+import { createHandoffCode, createHandoffUrl } from '../plugins/model/arHandoff.js';
+
+function createRoot() {
+  const root = document.createElement('div');
+  root.innerHTML = `
+    <div class="lo-wrapper">
+      <main class="lo-content"><button class="outside">Outside</button></main>
+      <div class="lo-notices" aria-live="polite"></div>
+    </div>`;
+  document.body.appendChild(root);
+  return root;
+}
+
+describe('NoticeManager', () => {
+  let root;
+
+  beforeEach(() => {
+    root = createRoot();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    root.remove();
+  });
+
+  it('adds toasts to the live region and removes them after a while', async () => {
+    vi.useFakeTimers();
+    const onClose = vi.fn();
+    const notices = new NoticeManager(root, { onClose });
+
+    const info = notices.show('Press play to continue.');
+    const error = notices.show('Page 3 could not be displayed.', { severity: 'error' });
+
+    expect(root.querySelector('.lo-notices').children).toHaveLength(2);
+    expect(info.element.getAttribute('role')).toBe('status');
+    expect(error.element.getAttribute('role')).toBe('alert');
+
+    vi.advanceTimersByTime(TOAST_DURATION);
+    await expect(info.closed).resolves.toBe('timeout');
+    expect(info.element.isConnected).toBe(false);
+    // Errors stay until dismissed
+    expect(error.element.isConnected).toBe(true);
+
+    error.element.querySelector('.lo-notice-close').click();
+    await expect(error.closed).resolves.toBe('dismiss');
+    expect(onClose).toHaveBeenCalledTimes(2);
+  });
+
+  it('traps focus in dialogs and gives it back when they close', async () => {
+    const outside = root.querySelector('.outside');
+    outside.focus();
+
+    const onSelect = vi.fn();
+    const notices = new NoticeManager(root);
+    const dialog = notices.show('AR works on phones and tablets.', {
+      dialog: true,
+      actions: [{ id: 'copy', label: 'Copy link', primary: true, keepOpen: true, onSelect }]
+    });
+
+    const [copy, close] = dialog.element.querySelectorAll('button');
+    expect(dialog.element.getAttribute('aria-modal')).toBe('true');
+    expect(document.activeElement).toBe(copy);
+    expect(root.querySelector('.lo-content').inert).toBe(true);
+
+    close.focus();
+    const tab = new KeyboardEvent('keydown', { key: 'Tab', cancelable: true });
+    expect(trapFocus(dialog.element, tab)).toBe(true);
+    expect(document.activeElement).toBe(copy);
+
+    copy.click();
+    expect(onSelect).toHaveBeenCalledTimes(1);
+    expect(dialog.element.isConnected).toBe(true);
+
+    dialog.element.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+    await expect(dialog.closed).resolves.toBe('dismiss');
+    expect(root.querySelector('.lo-content').inert).toBe(false);
+    expect(document.activeElement).toBe(outside);
+  });
+});
+
+describe('AR handoff', () => {
+  it('shows a QR code and the link', async () => {
+    const figure = await createHandoffCode('https://lor.example.edu/wrapper/?manifest=heart.json');
+    expect(figure.querySelector('.model-ar-qr svg')).not.toBeNull();
+    expect(figure.querySelector('a').href).toBe('https://lor.example.edu/wrapper/?manifest=heart.json');
+  });
+
+  it('leaves the xAPI launch parameters out of the link', () => {
+    const launch = 'https://lor.example.edu/embed.html?m=heart.json&endpoint=https%3A%2F%2Flrs.example.com%2F'
+      + '&auth=Basic%20a2V5OnNlY3JldA%3D%3D&actor=%7B%22mbox%22%3A%22mailto%3Alearner%40example.com%22%7D'
+      + '&registration=1234&activity_id=https%3A%2F%2Flor.example.edu%2Fheart';
+    expect(createHandoffUrl(launch)).toBe('https://lor.example.edu/embed.html?m=heart.json');
+    expect(createHandoffUrl('https://lor.example.edu/embed.html?auth=x')).toBe('https://lor.example.edu/embed.html');
+  });
+});
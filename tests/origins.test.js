@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest';
+import { matchOrigin, resolveTargetOrigins } from '../utils/origins.js';
+
+describe('matchOrigin', () => {
+  it('matches exact, wildcard and subdomain patterns', () => {
+    expect(matchOrigin('https://lms.example.com', 'https://lms.example.com/')).toBe(true);
+    expect(matchOrigin('https://a.b.example.com', 'https://*.example.com')).toBe(true);
+    expect(matchOrigin('https://example.com.evil.test', 'https://*.example.com')).toBe(false);
+    expect(matchOrigin('http://lms.example.com', 'https://*.example.com')).toBe(false);
+    expect(matchOrigin('https://anything.test', '*')).toBe(true);
+  });
+});
+
+describe('resolveTargetOrigins', () => {
+  it('uses the detected parent origin when nothing is configured', () => {
+    expect(resolveTargetOrigins([], 'https://canvas.example.edu')).toEqual(['https://canvas.example.edu']);
+    expect(resolveTargetOrigins([], null)).toEqual([]);
+  });
+
+  it('only broadcasts to any origin when "*" is allowed explicitly', () => {
+    expect(resolveTargetOrigins(['*'], null)).toEqual(['*']);
+  });
+
+  it('keeps exact origins and only uses wildcards for a matching parent', () => {
+    const allowed = ['https://moodle.example.edu/', 'https://*.instructure.com'];
+    expect(resolveTargetOrigins(allowed, 'https://school.instructure.com'))
+      .toEqual(['https://moodle.example.edu', 'https://school.instructure.com']);
+    expect(resolveTargetOrigins(allowed, 'https://evil.test')).toEqual(['https://moodle.example.edu']);
+  });
+});
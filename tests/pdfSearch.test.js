@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import { pageText, searchPages, matchRanges } from '../plugins/pdf/search.js';
+
+describe('PDF search', () => {
+  it('joins text runs and line ends into page text', () => {
+    const content = {
+      items: [
+        { str: 'Cell ', hasEOL: false },
+        { str: 'membrane', hasEOL: true },
+        { str: 'transport', hasEOL: false }
+      ]
+    };
+    expect(pageText(content)).toBe('Cell membrane transport');
+  });
+
+  it('finds matches on every page in reading order', () => {
+    const pages = ['Osmosis and diffusion', 'No match here', 'Diffusion rates; facilitated diffusion'];
+    expect(searchPages(pages, 'DIFFUSION')).toEqual([
+      { page: 1, index: 0 },
+      { page: 3, index: 0 },
+      { page: 3, index: 1 }
+    ]);
+    expect(searchPages(pages, '  ')).toEqual([]);
+  });
+
+  it('maps page matches onto the text runs they cover', () => {
+    const items = [
+      { str: 'Cell wa', hasEOL: false },
+      { str: 'lls and  cell', hasEOL: true },
+      { str: 'walls', hasEOL: false }
+    ];
+    const runs = ['Cell wa', 'lls and  cell', null, 'walls'];
+
+    const ranges = matchRanges(runs, 'walls');
+    expect(ranges).toEqual([
+      [{ run: 0, start: 5, end: 7 }, { run: 1, start: 0, end: 3 }],
+      [{ run: 3, start: 0, end: 5 }]
+    ]);
+    // Numbered the same way as searchPages()
+    expect(searchPages([pageText({ items })], 'walls')).toHaveLength(ranges.length);
+    expect(matchRanges(runs, 'and cell walls')).toEqual([[{ run: 1, start: 4, end: 13 }, { run: 3, start: 0, end: 5 }]]);
+  });
+});
@@ -0,0 +1,145 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createWrapper } from './helpers/wrapper.js';
+
+const pdfjs = vi.hoisted(() => ({ fail: false, renders: 0, runs: ['Cell walls and cell membranes'], textContent: null }));
+
+// One-page document whose text layer holds `pdfjs.runs` (null for a line break)
+vi.mock('pdfjs-dist', () => {
+  const page = {
+    getViewport: ({ scale }) => ({ width: 600 * scale, height: 800 * scale }),
+    render: () => {
+      pdfjs.renders++;
+      return { promise: Promise.resolve(), cancel() {} };
+    },
+    streamTextContent: () => null,
+    getTextContent: () => pdfjs.textContent || Promise.resolve({
+      items: pdfjs.runs.filter(run => run !== null).map(str => ({ str, hasEOL: false }))
+    })
+  };
+
+  class TextLayer {
+    constructor({ container }) {
+      this.container = container;
+    }
+
+    render() {
+      pdfjs.runs.forEach(run => {
+        const element = document.createElement(run === null ? 'br' : 'span');
+        if (run !== null) element.textContent = run;
+        this.container.appendChild(element);
+      });
+      return Promise.resolve();
+    }
+
+    cancel() {}
+  }
+
+  return {
+    GlobalWorkerOptions: {},
+    TextLayer,
+    getDocument: () => ({
+      // pdf.js can't fetch cross-origin PDFs served without CORS headers
+      promise: pdfjs.fail ? Promise.reject(new Error('Failed to fetch')) : Promise.resolve({
+        numPages: 1,
+        getPage: async () => page
+      }),
+      destroy() {}
+    })
+  };
+});
+
+HTMLCanvasElement.prototype.getContext = () => ({});
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('PDF viewer', () => {
+  afterEach(() => {
+    pdfjs.fail = false;
+    pdfjs.renders = 0;
+    pdfjs.runs = ['Cell walls and cell membranes'];
+    pdfjs.textContent = null;
+  });
+
+  const search = async (wrapper, query) => {
+    const input = wrapper.container.querySelector('.lo-pdf-search-input');
+    input.value = query;
+    input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
+    await flush();
+  };
+
+  it('moves between matches on the same page without rendering it again', async () => {
+    const wrapper = await createWrapper({ type: 'pdf', src: 'assets/cells.pdf' });
+    await wrapper.loadContent();
+    const rendered = pdfjs.renders;
+
+    const input = wrapper.container.querySelector('.lo-pdf-search-input');
+    input.value = 'cell';
+    input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
+    await flush();
+
+    const marks = () => [...wrapper.container.querySelectorAll('mark.lo-pdf-match')];
+    expect(marks().map(mark => mark.classList.contains('is-current'))).toEqual([true, false]);
+
+    wrapper.container.querySelector('[data-search-step="1"]').click();
+    expect(marks().map(mark => mark.classList.contains('is-current'))).toEqual([false, true]);
+    expect(pdfjs.renders).toBe(rendered);
+
+    // Clearing the search puts the text back as it was
+    input.value = '';
+    input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+    await flush();
+    expect(marks()).toHaveLength(0);
+    expect(wrapper.container.querySelector('.textLayer').textContent).toBe('Cell walls and cell membranes');
+    expect(pdfjs.renders).toBe(rendered);
+
+    wrapper.destroy();
+  });
+
+  it('highlights the right match when an earlier one spans two text runs', async () => {
+    pdfjs.runs = ['Cell wa', 'lls, plant ', 'walls'];
+    const wrapper = await createWrapper({ type: 'pdf', src: 'assets/cells.pdf' });
+    await wrapper.loadContent();
+    await search(wrapper, 'walls');
+
+    const current = () => [...wrapper.container.querySelectorAll('mark.is-current')].map(mark => mark.textContent);
+    expect(current()).toEqual(['wa', 'lls']);
+
+    wrapper.container.querySelector('[data-search-step="1"]').click();
+    expect(current()).toEqual(['walls']);
+    wrapper.destroy();
+  });
+
+  it('stays quiet when destroyed during a search', async () => {
+    let extract;
+    pdfjs.textContent = new Promise((resolve, reject) => { extract = reject; });
+    const wrapper = await createWrapper({ type: 'pdf', src: 'assets/cells.pdf' });
+    await wrapper.loadContent();
+    const notice = vi.spyOn(wrapper, 'showNotice');
+
+    await search(wrapper, 'cell');
+    wrapper.destroy();
+    extract(new Error('Worker was terminated'));
+    await flush();
+
+    expect(notice).not.toHaveBeenCalled();
+  });
+
+  it('falls back to the browser viewer when pdf.js cannot open the file', async () => {
+    pdfjs.fail = true;
+    const src = 'https://files.example.edu/course/syllabus.pdf';
+    const wrapper = await createWrapper({ type: 'pdf', src, title: 'Syllabus' });
+    const tracked = [];
+    wrapper.container.addEventListener('analytics:track', (event) => tracked.push(event.detail.action));
+    await wrapper.loadContent();
+
+    const object = wrapper.container.querySelector('object.lo-pdf-object');
+    expect(object.getAttribute('data')).toBe(src);
+    expect(object.getAttribute('type')).toBe('application/pdf');
+    expect(wrapper.container.querySelector('.lo-pdf-open').getAttribute('href')).toBe(src);
+    expect(wrapper.container.querySelector('.lo-error')).toBeNull();
+    expect(tracked).toContain('pdf_fallback');
+    expect(wrapper.plugin.getState()).toEqual({ type: 'pdf', src, viewer: 'native' });
+
+    wrapper.destroy();
+  });
+});
@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import { PlaybackPositionStore, createPositionStore, isResumable } from '../utils/playbackPosition.js';
+
+describe('isResumable', () => {
+  it('skips positions near the start or end', () => {
+    expect(isResumable(2, 600)).toBe(false);
+    expect(isResumable(754, 1200)).toBe(true);
+    expect(isResumable(598, 600)).toBe(false);
+    expect(isResumable(30)).toBe(true);
+  });
+});
+
+describe('PlaybackPositionStore', () => {
+  it('saves at intervals and forgets the position near the end', async () => {
+    const store = new PlaybackPositionStore('lecture-1', window.localStorage);
+    await store.save(10.6, 600);
+    await store.save(12, 600);
+    expect(await store.load()).toMatchObject({ position: 10, duration: 600 });
+
+    await store.save(12, 600, { force: true });
+    expect((await store.load()).position).toBe(12);
+
+    await store.save(598, 600);
+    expect(await store.load()).toBeNull();
+  });
+
+  it('uses a host storage adapter and honours resume: false', async () => {
+    const data = new Map();
+    const positionStorage = {
+      getItem: async (key) => data.get(key) ?? null,
+      setItem: async (key, value) => { data.set(key, value); },
+      removeItem: async (key) => { data.delete(key); }
+    };
+    const wrapper = { config: { positionStorage } };
+
+    const store = createPositionStore(wrapper, { id: 'lecture-2' });
+    await store.save(754, 1200);
+    expect(JSON.parse(data.get('lor-position:lecture-2')).position).toBe(754);
+    expect((await store.load()).position).toBe(754);
+
+    expect(createPositionStore(wrapper, { id: 'lecture-2', resume: false })).toBeNull();
+    expect(createPositionStore(wrapper, { id: '' })).toBeNull();
+  });
+});
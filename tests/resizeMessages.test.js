@@ -0,0 +1,78 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createWrapper } from './helpers/wrapper.js';
+import { RESIZE_FORMATS, ResizeMessenger } from '../utils/resizeMessages.js';
+
+describe('ResizeMessenger', () => {
+  it('formats messages for each platform', () => {
+    const size = { height: 480, width: 640, type: 'size' };
+    expect(RESIZE_FORMATS.lti(size, {})).toEqual({ subject: 'lti.frameResize', height: 480 });
+    expect(JSON.parse(RESIZE_FORMATS.moodle(size, {}))).toEqual({ subject: 'lti.frameResize', height: 480 });
+    expect(RESIZE_FORMATS.brightspace(size, {}).height).toBe('480px');
+    expect(RESIZE_FORMATS['iframe-resizer'](size, { frameId: 'lesson' })).toBe('[iFrameSizer]lesson:480:640:size');
+  });
+
+  it('learns the frame id from the iframe-resizer handshake', () => {
+    const messenger = new ResizeMessenger({ formats: ['iframe-resizer', 'unknown'] });
+    expect(messenger.formats).toEqual(['iframe-resizer']);
+
+    const message = (data) => new MessageEvent('message', { data, source: window, origin: 'https://lms.example.edu' });
+    expect(messenger.handleMessage(message('[iFrameSizer]resize'))).toBe(false);
+    expect(messenger.handleMessage(message('[iFrameSizer]lesson-3:8:false:true:32'))).toBe(true);
+    expect(messenger.frameId).toBe('lesson-3');
+  });
+});
+
+describe('ResizeMessenger origins', () => {
+  it('drops malformed target origins so later messages still go out', () => {
+    const parent = { postMessage: vi.fn() };
+    vi.spyOn(window, 'parent', 'get').mockReturnValue(parent);
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const messenger = new ResizeMessenger({ targetOrigins: ['example.com', 'https://lms.example.edu', 'file:///course'] });
+    expect(messenger.targets).toEqual(['https://lms.example.edu']);
+
+    expect(() => messenger.send(480, 640)).not.toThrow();
+    expect(parent.postMessage).toHaveBeenCalledWith({ subject: 'lti.frameResize', height: 480 }, 'https://lms.example.edu');
+    vi.restoreAllMocks();
+  });
+
+  it('sends nothing when the host origin is unknown and no origins are allowed', () => {
+    const parent = { postMessage: vi.fn() };
+    vi.spyOn(window, 'parent', 'get').mockReturnValue(parent);
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const messenger = new ResizeMessenger();
+    expect(messenger.targets).toEqual([]);
+    expect(warn).toHaveBeenCalled();
+
+    messenger.send(480, 640);
+    expect(parent.postMessage).not.toHaveBeenCalled();
+    vi.restoreAllMocks();
+  });
+});
+
+describe('wrapper resize engine', () => {
+  it('coalesces resize signals into one message per frame', async () => {
+    const parent = { postMessage: vi.fn() };
+    vi.spyOn(window, 'parent', 'get').mockReturnValue(parent);
+
+    const wrapper = await createWrapper({
+      type: 'iframe',
+      src: 'https://example.com',
+      resize: { targetOrigins: ['https://lms.example.edu'] }
+    });
+    await new Promise(resolve => requestAnimationFrame(resolve));
+    parent.postMessage.mockClear();
+
+    wrapper.triggerResize();
+    wrapper.triggerResize();
+    wrapper.forceResize();
+    await new Promise(resolve => requestAnimationFrame(resolve));
+
+    expect(parent.postMessage).toHaveBeenCalledTimes(1);
+    expect(parent.postMessage.mock.calls[0][0]).toMatchObject({ subject: 'lti.frameResize' });
+
+    wrapper.destroy();
+    vi.restoreAllMocks();
+  });
+});
@@ -0,0 +1,135 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { createWrapper } from './helpers/wrapper.js';
+import { contentPlugins } from '../contentPlugins.js';
+import { findScormAPI, formatSessionTime } from '../utils/scorm.js';
+import { createMockScormAPI, installMockScormAPI } from '../utils/scormMock.js';
+
+describe('findScormAPI', () => {
+  it('prefers SCORM 2004 and climbs parent frames', () => {
+    const api12 = createMockScormAPI('1.2');
+    const api2004 = createMockScormAPI('2004');
+    const top = { API: api12, API_1484_11: api2004 };
+    top.parent = top;
+    const middle = { parent: top };
+    const frame = { parent: middle };
+
+    expect(findScormAPI(frame)).toEqual({ api: api2004, version: '2004' });
+  });
+
+  it('stops at cross-origin frames', () => {
+    const blocked = {};
+    Object.defineProperty(blocked, 'API', { get() { throw new Error('SecurityError'); } });
+    expect(findScormAPI({ parent: blocked })).toBeNull();
+  });
+});
+
+describe('formatSessionTime', () => {
+  it('formats SCORM 1.2 and 2004 timespans', () => {
+    expect(formatSessionTime(3723450, '1.2')).toBe('01:02:03.45');
+    expect(formatSessionTime(3723450, '2004')).toBe('PT1H2M3.45S');
+  });
+});
+
+describe('SCORM adapter', () => {
+  const state = { currentTime: 0, duration: 90 };
+  const seek = vi.fn((time) => { state.currentTime = time; });
+  contentPlugins.register('scorm-test', {
+    load: async () => () => ({ seek, getState: () => ({ ...state }) })
+  });
+
+  afterEach(() => {
+    delete window.API;
+    delete window.API_1484_11;
+    seek.mockClear();
+  });
+
+  it('reports SCORM 1.2 completion, position and session time', async () => {
+    const api = installMockScormAPI(window, '1.2');
+    const wrapper = await createWrapper({ type: 'scorm-test', src: 'content.bin' });
+    expect(wrapper.scorm.version).toBe('1.2');
+    expect(api.data['cmi.core.lesson_status']).toBe('incomplete');
+
+    await wrapper.loadContent();
+
+    state.currentTime = 42.7;
+    wrapper.trackContentEvent('video_pause', 'Video Player', 'Video paused');
+    expect(JSON.parse(api.data['cmi.suspend_data'])).toEqual({ position: 42 });
+    expect(api.data['cmi.core.lesson_location']).toBe('42');
+
+    wrapper.trackContentEvent('video_complete', 'Video Player', 'Video finished');
+    wrapper.destroy();
+
+    // The test plugin is not a video, so loading alone completes it
+    expect(api.data['cmi.core.lesson_status']).toBe('completed');
+    expect(api.data['cmi.core.exit']).toBe('');
+    expect(api.data['cmi.core.session_time']).toMatch(/^\d{2}:\d{2}:\d{2}\.\d{2}$/);
+    expect(api.terminated).toBe(true);
+  });
+
+  it('waits for the completion event and resumes the saved SCORM 2004 position', async () => {
+    const api = installMockScormAPI(window, '2004', {
+      'cmi.entry': 'resume',
+      'cmi.suspend_data': '{"position":30}'
+    });
+    const wrapper = await createWrapper({
+      type: 'scorm-test',
+      src: 'content.bin',
+      scorm: { completeOn: ['video_complete'], passOn: ['video_complete'] }
+    });
+    await wrapper.loadContent();
+
+    expect(seek).toHaveBeenCalledWith(30);
+    expect(api.data['cmi.completion_status']).toBe('incomplete');
+
+    wrapper.destroy();
+    expect(api.data['cmi.exit']).toBe('suspend');
+    expect(api.terminated).toBe(true);
+  });
+
+  it('sets success and completion together', async () => {
+    const api = installMockScormAPI(window, '2004');
+    const wrapper = await createWrapper({
+      type: 'scorm-test',
+      src: 'content.bin',
+      scorm: { completeOn: ['video_complete'], passOn: ['video_complete'] }
+    });
+
+    wrapper.trackContentEvent('video_complete', 'Video Player', 'Video finished');
+    expect(api.data['cmi.completion_status']).toBe('completed');
+    expect(api.data['cmi.success_status']).toBe('passed');
+
+    wrapper.destroy();
+    expect(api.data['cmi.exit']).toBe('normal');
+  });
+
+  it('records scores reported by graded content', async () => {
+    const api = installMockScormAPI(window, '1.2');
+    const wrapper = await createWrapper({ type: 'scorm-test', src: 'content.bin' });
+    const reported = vi.fn();
+    wrapper.container.addEventListener('content:result', reported);
+
+    wrapper.reportResult({ score: { raw: 7, min: 0, max: 10, scaled: 0.7 }, success: false, completion: true });
+
+    expect(reported.mock.calls[0][0].detail).toMatchObject({ type: 'scorm-test', success: false });
+    expect(api.data['cmi.core.score.raw']).toBe('7');
+    expect(api.data['cmi.core.score.max']).toBe('10');
+    // Failed is kept rather than replaced by completed
+    expect(api.data['cmi.core.lesson_status']).toBe('failed');
+    wrapper.destroy();
+  });
+
+  it('leaves H5P incomplete until the content reports a result', async () => {
+    // Skip fetching the H5P resizer script, which jsdom never loads
+    window.H5PResizer = {};
+    const api = installMockScormAPI(window, '2004');
+    const wrapper = await createWrapper({ type: 'h5p', src: 'https://h5p.example.edu/h5p/embed/42' });
+    await wrapper.loadContent();
+
+    expect(wrapper.getResult()).toBeNull();
+    expect(api.data['cmi.completion_status']).toBe('incomplete');
+
+    wrapper.destroy();
+    delete window.H5PResizer;
+    expect(api.data['cmi.exit']).toBe('suspend');
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_VIEWER_URL, buildViewerUrl, applyCameraOptions } from '../plugins/supersplat/index.js';
+import { contentPlugins } from '../contentPlugins.js';
+import { createManifestSchema } from '../utils/manifestSchema.js';
+import { validateManifest } from '../utils/manifestValidator.js';
+
+const page = 'https://lor.example.edu/wrapper/embed.html';
+
+describe('SuperSplat viewer', () => {
+  it('points a self-hosted viewer at absolute file URLs', () => {
+    const url = new URL(buildViewerUrl('/supersplat-viewer/', {
+      content: 'assets/splats/statue.ply',
+      poster: '/posters/statue.jpg',
+      showUI: false
+    }, page));
+
+    expect(url.origin + url.pathname).toBe('https://lor.example.edu/supersplat-viewer/');
+    expect(url.searchParams.get('content')).toBe('https://lor.example.edu/wrapper/assets/splats/statue.ply');
+    expect(url.searchParams.get('poster')).toBe('https://lor.example.edu/posters/statue.jpg');
+    expect(url.searchParams.has('noui')).toBe(true);
+    expect(url.searchParams.has('noanim')).toBe(false);
+  });
+
+  it('defaults to the public viewer and passes data: settings through', () => {
+    const settings = 'data:application/json,%7B%7D';
+    const url = new URL(buildViewerUrl(DEFAULT_VIEWER_URL, { content: 'https://cdn.example.edu/a.ply', settings }, page));
+    expect(url.hostname).toBe('superspl.at');
+    expect(url.searchParams.get('settings')).toBe(settings);
+  });
+
+  it('applies manifest camera options over the settings', () => {
+    const settings = { camera: { fov: 50, position: [2, 2, 2], target: [0, 0, 0] }, animTracks: [] };
+    expect(applyCameraOptions(settings, { fov: 35, position: [0, 1, 4] })).toEqual({
+      camera: { fov: 35, position: [0, 1, 4], target: [0, 0, 0] },
+      animTracks: []
+    });
+    expect(applyCameraOptions(null, { startAnim: 'orbit' }).camera.startAnim).toBe('orbit');
+  });
+
+  it('validates SuperSplat manifest options', () => {
+    const schema = createManifestSchema(contentPlugins.getTypes(), contentPlugins.getManifestProperties());
+    const manifest = {
+      type: 'supersplat',
+      src: 'statue.ply',
+      viewerUrl: '/supersplat-viewer/',
+      camera: { position: [0, 1], fov: 35, startAnim: 'spin' }
+    };
+    expect(validateManifest(manifest, schema).errors.map(error => error.path)).toEqual([
+      '$.camera.position',
+      '$.camera.startAnim'
+    ]);
+  });
+});
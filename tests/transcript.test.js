@@ -0,0 +1,102 @@
+import { describe, it, expect } from 'vitest';
+import { parseTranscript, parseVTT, mergeCues, transcriptFromVTT, findActiveCue, findMatches, formatTime } from '../utils/transcript.js';
+
+describe('parseTranscript', () => {
+  it('splits timestamped paragraphs into cues', () => {
+    const lines = parseTranscript([
+      'Big Buck Bunny Video Transcript',
+      '',
+      '[00:00] Big Buck Bunny sits peacefully',
+      'in a field of flowers.',
+      '',
+      '[01:05] Frank flies around.',
+      '[1:00:02] Much later.'
+    ].join('\n'));
+
+    expect(lines).toEqual([
+      { start: null, text: 'Big Buck Bunny Video Transcript' },
+      { start: 0, text: 'Big Buck Bunny sits peacefully in a field of flowers.' },
+      { start: 65, text: 'Frank flies around.' },
+      { start: 3602, text: 'Much later.' }
+    ]);
+  });
+});
+
+describe('findActiveCue', () => {
+  const lines = parseTranscript('Title\n\n[00:00] One\n\n[00:05] Two\n\n[00:12] Three');
+
+  it('returns the last cue that has started', () => {
+    expect(findActiveCue(lines, 0)).toBe(1);
+    expect(findActiveCue(lines, 7.5)).toBe(2);
+    expect(findActiveCue(lines, 600)).toBe(3);
+  });
+});
+
+describe('formatTime', () => {
+  it('formats minutes and hours', () => {
+    expect(formatTime(65)).toBe('01:05');
+    expect(formatTime(3602)).toBe('1:00:02');
+  });
+});
+
+describe('parseVTT', () => {
+  it('skips header and note blocks and strips cue markup', () => {
+    const cues = parseVTT([
+      'WEBVTT',
+      '',
+      'NOTE reviewed by the captioning team',
+      '',
+      'intro',
+      '00:00:01.500 --> 00:00:04.000 align:start',
+      '<v Narrator>Welcome to <b>the</b> lab &amp; workshop</v>',
+      '',
+      '01:02.000 --> 01:05.000',
+      '<00:01:02.500><c.highlight>Second</c>',
+      'line'
+    ].join('\r\n'));
+
+    expect(cues).toEqual([
+      { start: 1.5, end: 4, text: 'Welcome to the lab & workshop' },
+      { start: 62, end: 65, text: 'Second line' }
+    ]);
+  });
+});
+
+describe('mergeCues', () => {
+  const cue = (start, text) => ({ start, end: start + 5, text });
+
+  it('merges short cues until a pause or the paragraph gets long', () => {
+    const paragraphs = mergeCues([
+      cue(0, 'one'),
+      cue(5, 'two'),
+      cue(10, 'three'),
+      cue(30, 'after a pause')
+    ], { maxDuration: 12 });
+
+    expect(paragraphs.map(p => [p.start, p.text])).toEqual([
+      [0, 'one two'],
+      [10, 'three'],
+      [30, 'after a pause']
+    ]);
+  });
+
+  it('ends a paragraph at a sentence once it has enough text', () => {
+    const paragraphs = mergeCues([cue(0, 'Short.'), cue(5, 'Still short.'), cue(10, 'Next')], { minLength: 10 });
+    expect(paragraphs.map(p => p.text)).toEqual(['Short. Still short.', 'Next']);
+  });
+});
+
+describe('transcriptFromVTT', () => {
+  it('returns timed lines that the transcript view can render', () => {
+    const vtt = 'WEBVTT\n\n00:00.000 --> 00:05.000\nHello\n\n00:05.000 --> 00:10.000\nworld';
+    expect(transcriptFromVTT(vtt)).toEqual([{ start: 0, text: 'Hello world' }]);
+  });
+});
+
+describe('findMatches', () => {
+  it('finds non-overlapping case-insensitive matches', () => {
+    expect(findMatches('Aaa bunny BUNNY', 'aa')).toEqual([{ start: 0, end: 2 }]);
+    expect(findMatches('Aaa bunny BUNNY', ' bunny ')).toHaveLength(2);
+    expect(findMatches('anything', '   ')).toEqual([]);
+  });
+});
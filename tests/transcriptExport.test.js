@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import { transcriptToText, transcriptToHTML, transcriptFilename } from '../utils/transcriptExport.js';
+
+const details = {
+  title: 'Optics <Intro>',
+  language: 'en',
+  lines: [
+    { start: null, text: 'Part one' },
+    { start: 65, text: 'Light bends.' }
+  ],
+  attribution: {
+    title: { text: 'Optics', url: '' },
+    author: { text: 'Jo Smith', url: 'javascript:alert(1)' },
+    license: { text: 'CC BY 4.0', url: 'https://creativecommons.org/licenses/by/4.0/' }
+  }
+};
+
+describe('transcriptToText', () => {
+  it('includes the title, timestamps and attribution', () => {
+    expect(transcriptToText(details)).toBe([
+      'Optics <Intro>',
+      'Part one',
+      '[01:05] Light bends.',
+      '"Optics" by Jo Smith (javascript:alert(1)) is licensed under CC BY 4.0 (https://creativecommons.org/licenses/by/4.0/)'
+    ].join('\n\n') + '\n');
+  });
+});
+
+describe('transcriptToHTML', () => {
+  it('escapes content and only links http(s) URLs', () => {
+    const html = transcriptToHTML(details);
+    expect(html).toContain('<html lang="en">');
+    expect(html).toContain('<h1>Optics &lt;Intro&gt;</h1>');
+    expect(html).toContain('<time datetime="PT65S">01:05</time> Light bends.');
+    expect(html).toContain('<a href="https://creativecommons.org/licenses/by/4.0/">CC BY 4.0</a>');
+    expect(html).not.toContain('javascript:');
+  });
+});
+
+describe('transcriptFilename', () => {
+  it('slugifies the title', () => {
+    expect(transcriptFilename('Café Optics: Part 1', 'fr', 'txt')).toBe('cafe-optics-part-1-transcript-fr.txt');
+    expect(transcriptFilename('', 'en', 'html')).toBe('transcript-en.html');
+  });
+});
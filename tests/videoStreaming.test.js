@@ -0,0 +1,29 @@
+import { describe, it, expect } from 'vitest';
+import { detectStreamFormat, getMimeType, normalizeSources } from '../plugins/video/streaming.js';
+
+describe('video sources', () => {
+  it('detects adaptive streams from the URL, MIME type or declared format', () => {
+    expect(detectStreamFormat('https://capture.example.edu/lecture/master.m3u8?token=abc')).toBe('hls');
+    expect(detectStreamFormat('https://cdn.example.edu/lecture/manifest.mpd')).toBe('dash');
+    expect(detectStreamFormat('https://capture.example.edu/play/42', { type: 'application/x-mpegURL' })).toBe('hls');
+    expect(detectStreamFormat('https://capture.example.edu/play/42', { format: 'dash' })).toBe('dash');
+    expect(detectStreamFormat('lecture.mp4')).toBe('progressive');
+  });
+
+  it('lists the primary source first with MIME types for fallbacks', () => {
+    expect(getMimeType('clip.webm')).toBe('video/webm');
+
+    expect(normalizeSources('lecture.m3u8', [
+      { src: 'lecture-720.webm', size: 720 },
+      { src: 'lecture-720.mp4', type: 'video/mp4', size: 720 }
+    ])).toEqual([
+      { src: 'lecture.m3u8', type: 'application/vnd.apple.mpegurl', size: null, format: 'hls' },
+      { src: 'lecture-720.webm', type: 'video/webm', size: 720, format: 'progressive' },
+      { src: 'lecture-720.mp4', type: 'video/mp4', size: 720, format: 'progressive' }
+    ]);
+
+    // A primary source repeated in `sources` keeps its place there
+    expect(normalizeSources('a.mp4', [{ src: 'b.webm' }, { src: 'a.mp4' }]).map(source => source.src))
+      .toEqual(['b.webm', 'a.mp4']);
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { WatchProgress, addRange } from '../utils/watchProgress.js';
+import { buildStatement } from '../utils/xapi.js';
+
+// Simulate playback from `from` to `to` with 250ms time updates
+function play(progress, from, to, duration) {
+  const reached = [];
+  for (let time = from; time <= to + 1e-9; time += 0.25) {
+    reached.push(...progress.update(time, duration));
+  }
+  return reached;
+}
+
+describe('addRange', () => {
+  it('keeps ranges sorted and merges overlaps', () => {
+    let ranges = addRange([], 10, 20);
+    ranges = addRange(ranges, 0, 5);
+    ranges = addRange(ranges, 30, 40);
+    expect(ranges).toEqual([[0, 5], [10, 20], [30, 40]]);
+    expect(addRange(ranges, 4, 31)).toEqual([[0, 40]]);
+  });
+});
+
+describe('WatchProgress', () => {
+  it('counts distinct watched time and ignores scrubbing', () => {
+    const progress = new WatchProgress();
+    play(progress, 0, 10, 100);
+
+    // Jump ahead, then rewatch part of the first section
+    progress.update(60, 100);
+    play(progress, 60, 70, 100);
+    progress.seek(5);
+    play(progress, 5, 10, 100);
+
+    expect(progress.getState()).toMatchObject({
+      percentWatched: 20,
+      watchedSeconds: 20,
+      watchedRanges: [[0, 10], [60, 70]]
+    });
+  });
+
+  it('reports each milestone once', () => {
+    const progress = new WatchProgress({ milestones: [50, 25, 100] });
+    expect(play(progress, 0, 30, 100)).toEqual([25]);
+    expect(play(progress, 30, 100, 100)).toEqual([50, 100]);
+    expect(play(progress, 0, 100, 100)).toEqual([]);
+  });
+
+  it('feeds the xAPI video profile progress and played segments', () => {
+    const statement = buildStatement({
+      verb: 'progressed',
+      action: 'video_milestone',
+      actor: { mbox: 'mailto:learner@example.com' },
+      activity: { id: 'https://example.com/lo/1', type: 'video' },
+      state: { currentTime: 70, duration: 100, percentWatched: 20, watchedRanges: [[0, 10], [60, 70]] },
+      extensionBase: 'https://example.com/xapi/extensions/'
+    });
+
+    expect(statement.result.extensions).toMatchObject({
+      'https://w3id.org/xapi/video/extensions/progress': 0.2,
+      'https://w3id.org/xapi/video/extensions/played-segments': '0[.]10[,]60[.]70'
+    });
+  });
+});
@@ -0,0 +1,186 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import LearningObjectWrapper from '../wrapper.js';
+import { createWrapper } from './helpers/wrapper.js';
+import { contentPlugins } from '../contentPlugins.js';
+import { normalizePluginHandle } from '../utils/pluginHandle.js';
+
+describe('normalizePluginHandle', () => {
+  it('treats a bare function as destroy', () => {
+    const cleanup = vi.fn();
+    normalizePluginHandle(cleanup).destroy();
+    expect(cleanup).toHaveBeenCalled();
+  });
+
+  it('fills missing methods with no-ops', () => {
+    const handle = normalizePluginHandle({ getState: () => ({ loaded: true }) });
+    expect(() => handle.pause()).not.toThrow();
+    expect(handle.getState()).toEqual({ loaded: true });
+  });
+});
+
+describe('LearningObjectWrapper lifecycle', () => {
+  const handle = {
+    destroy: vi.fn(),
+    pause: vi.fn(),
+    resume: vi.fn(),
+    getState: () => ({ type: 'lifecycle-test' })
+  };
+
+  contentPlugins.register('lifecycle-test', {
+    load: async () => () => handle
+  });
+
+  beforeEach(() => {
+    handle.destroy.mockClear();
+  });
+
+  it('stores the plugin handle and destroys it on teardown', async () => {
+    const wrapper = await createWrapper({ type: 'lifecycle-test', src: 'content.bin' });
+    await wrapper.loadContent();
+
+    expect(wrapper.plugin.getState()).toEqual({ type: 'lifecycle-test' });
+
+    wrapper.destroy();
+    expect(handle.destroy).toHaveBeenCalledTimes(1);
+    expect(wrapper.plugin).toBeNull();
+    expect(wrapper.container.innerHTML).toBe('');
+  });
+
+  it('removes every managed listener and interval on destroy', async () => {
+    const wrapper = await createWrapper({ type: 'lifecycle-test', src: 'content.bin' });
+    const listener = vi.fn();
+    const tick = vi.fn();
+
+    vi.useFakeTimers();
+    wrapper.listen(window, 'message', listener);
+    wrapper.setManagedInterval(tick, 500);
+    wrapper.destroy();
+
+    window.dispatchEvent(new MessageEvent('message', { data: {} }));
+    vi.advanceTimersByTime(2000);
+    vi.useRealTimers();
+
+    expect(listener).not.toHaveBeenCalled();
+    expect(tick).not.toHaveBeenCalled();
+    expect(wrapper.cleanups).toHaveLength(0);
+  });
+
+  it('tears down content that finishes loading after destroy or a newer load', async () => {
+    const pending = [];
+    contentPlugins.register('deferred-test', {
+      load: async () => () => new Promise(resolve => pending.push(resolve))
+    });
+    const waitForLoad = (count) => vi.waitFor(() => expect(pending).toHaveLength(count));
+
+    const wrapper = await createWrapper({ type: 'deferred-test', src: 'content.bin' });
+    const first = wrapper.loadContent();
+    await waitForLoad(1);
+    const second = wrapper.loadContent();
+    await waitForLoad(2);
+
+    const replaced = { destroy: vi.fn() };
+    pending[0](replaced);
+    expect(await first).toBeNull();
+    expect(replaced.destroy).toHaveBeenCalledTimes(1);
+
+    wrapper.destroy();
+    const late = { destroy: vi.fn() };
+    pending[1](late);
+    expect(await second).toBeNull();
+    expect(late.destroy).toHaveBeenCalledTimes(1);
+    expect(wrapper.plugin).toBeNull();
+  });
+
+  it('starts nothing when destroyed while the manifest is loading', async () => {
+    const originalFetch = global.fetch;
+    let respond;
+    global.fetch = vi.fn(() => new Promise(resolve => { respond = resolve; }));
+    const addListener = vi.spyOn(window, 'addEventListener');
+    const ready = vi.fn();
+
+    const container = document.createElement('div');
+    document.body.appendChild(container);
+    container.addEventListener('wrapper:ready', ready);
+    const wrapper = new LearningObjectWrapper(container, { manifestUrl: 'lesson.json' });
+    await vi.waitFor(() => expect(global.fetch).toHaveBeenCalled());
+
+    wrapper.destroy();
+    respond({ ok: true, json: async () => ({ type: 'lifecycle-test', src: 'content.bin' }) });
+    await new Promise(resolve => setTimeout(resolve, 0));
+    global.fetch = originalFetch;
+
+    expect(addListener.mock.calls.filter(([type]) => type === 'message')).toHaveLength(0);
+    expect(ready).not.toHaveBeenCalled();
+    expect(wrapper.hostMessages).toBeNull();
+    addListener.mockRestore();
+  });
+});
+
+describe('LearningObjectWrapper transcripts', () => {
+  const seek = vi.fn();
+  contentPlugins.register('transcript-test', {
+    load: async () => () => ({ seek })
+  });
+
+  it('seeks on cue click and highlights the current cue', async () => {
+    const originalFetch = global.fetch;
+    global.fetch = vi.fn(async () => ({
+      ok: true,
+      text: async () => 'Title\n\n[00:00] One\n\n[00:05] Two'
+    }));
+
+    const wrapper = await createWrapper({
+      type: 'transcript-test',
+      src: 'content.bin',
+      transcripts: [{ language: 'en', url: 'transcript.txt' }]
+    });
+    await wrapper.loadContent();
+    await vi.waitFor(() => expect(wrapper.container.querySelectorAll('.lo-transcript-cue')).toHaveLength(2));
+    global.fetch = originalFetch;
+
+    const [first, second] = wrapper.container.querySelectorAll('.lo-transcript-cue');
+    second.click();
+    expect(seek).toHaveBeenCalledWith(5);
+    expect(second.classList.contains('is-active')).toBe(true);
+
+    wrapper.onMediaTimeUpdate(1);
+    expect(first.getAttribute('aria-current')).toBe('true');
+    expect(second.classList.contains('is-active')).toBe(false);
+
+    wrapper.destroy();
+  });
+
+  it('highlights search matches and steps through them', async () => {
+    const originalFetch = global.fetch;
+    global.fetch = vi.fn(async () => ({
+      ok: true,
+      text: async () => '[00:00] The bunny wakes up\n\n[00:05] A butterfly lands on the Bunny'
+    }));
+
+    const wrapper = await createWrapper({
+      type: 'transcript-test',
+      src: 'content.bin',
+      transcripts: [{ language: 'en', url: 'transcript.txt' }]
+    });
+    await vi.waitFor(() => expect(wrapper.container.querySelectorAll('.lo-transcript-cue')).toHaveLength(2));
+    global.fetch = originalFetch;
+
+    const announce = vi.spyOn(wrapper, 'announceToScreenReader');
+    wrapper.searchTranscript('bunny');
+
+    const marks = wrapper.container.querySelectorAll('mark.lo-transcript-match');
+    expect([...marks].map(mark => mark.textContent)).toEqual(['bunny', 'Bunny']);
+    expect(marks[0].classList.contains('is-current')).toBe(true);
+    expect(announce).toHaveBeenCalledWith('2 matches for "bunny"');
+
+    wrapper.goToTranscriptMatch(1);
+    expect(marks[1].classList.contains('is-current')).toBe(true);
+    expect(wrapper.container.querySelector('.lo-transcript-search-count').textContent).toBe('2/2');
+
+    wrapper.searchTranscript('');
+    expect(wrapper.container.querySelector('mark')).toBeNull();
+    expect(wrapper.container.querySelector('.lo-transcript-cue-text').textContent).toBe('The bunny wakes up');
+
+    wrapper.destroy();
+  });
+});
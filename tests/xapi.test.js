@@ -0,0 +1,180 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { createServer } from 'node:http';
+import { XAPIEmitter, buildStatement, getActivityId, XAPI_VERBS } from '../utils/xapi.js';
+
+/**
+ * Minimal LRS: records every statements POST and answers with queued status codes
+ */
+function createStubLRS() {
+  const lrs = { requests: [], statuses: [] };
+
+  lrs.server = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      lrs.requests.push({ url: req.url, headers: req.headers, statements: JSON.parse(body) });
+      res.statusCode = lrs.statuses.shift() || 200;
+      res.end('[]');
+    });
+  });
+
+  return lrs;
+}
+
+function createFakeWrapper(state = {}) {
+  const container = document.createElement('div');
+  return {
+    container,
+    content: { id: 'optics-101', type: 'video', title: 'Optics', src: 'optics.mp4' },
+    plugin: { getState: () => state },
+    dispatchEvent: (name, detail) => container.dispatchEvent(new CustomEvent(name, { detail }))
+  };
+}
+
+describe('buildStatement', () => {
+  it('maps a video event to the video profile with time and progress', () => {
+    const statement = buildStatement({
+      verb: 'paused',
+      action: 'video_pause',
+      label: 'Video paused',
+      actor: { mbox: 'mailto:learner@example.com' },
+      activity: { id: 'https://lor.example.com/learning-objects/optics-101', type: 'video', title: 'Optics' },
+      state: { currentTime: 30.12345, duration: 120 },
+      extensionBase: 'https://lor.example.com/xapi/extensions/'
+    });
+
+    expect(statement.verb.id).toBe(XAPI_VERBS.paused);
+    expect(statement.object.definition.type).toBe('https://w3id.org/xapi/video/activity-type/video');
+    expect(statement.result.extensions).toEqual({
+      'https://lor.example.com/xapi/extensions/event': 'video_pause',
+      'https://lor.example.com/xapi/extensions/label': 'Video paused',
+      'https://w3id.org/xapi/video/extensions/time': 30.123,
+      'https://w3id.org/xapi/video/extensions/progress': 0.251
+    });
+    expect(statement.context.extensions['https://w3id.org/xapi/video/extensions/length']).toBe(120);
+  });
+
+  it('derives activity ids from the manifest id', () => {
+    expect(getActivityId({ id: 'optics 101' }, { activityIdBase: 'https://lor.example.com/lo/' }))
+      .toBe('https://lor.example.com/lo/optics%20101');
+    expect(getActivityId({ id: 'optics' }, { activityId: 'https://lms.example.com/act/1' }))
+      .toBe('https://lms.example.com/act/1');
+  });
+});
+
+describe('XAPIEmitter', () => {
+  const lrs = createStubLRS();
+  let endpoint;
+
+  beforeAll(async () => {
+    await new Promise(resolve => lrs.server.listen(0, '127.0.0.1', resolve));
+    endpoint = `http://127.0.0.1:${lrs.server.address().port}/xapi`;
+  });
+
+  afterAll(() => new Promise(resolve => {
+    lrs.server.closeAllConnections();
+    lrs.server.close(resolve);
+  }));
+
+  it('posts mapped events with auth and retries after a server error', async () => {
+    const wrapper = createFakeWrapper({ currentTime: 12, duration: 60 });
+    const emitter = new XAPIEmitter(wrapper, {
+      endpoint,
+      auth: { username: 'key', password: 'secret' },
+      actor: '{"mbox":"mailto:learner@example.com"}',
+      storage: null,
+      flushDelay: 0,
+      retryDelay: 10,
+      fetch: (...args) => fetch(...args)
+    });
+    const sent = vi.fn();
+    wrapper.container.addEventListener('xapi:sent', sent);
+
+    lrs.statuses.push(503);
+    emitter.start();
+    wrapper.container.dispatchEvent(new CustomEvent('analytics:track', {
+      detail: { action: 'video_play', category: 'Video Player', label: 'Video started' }
+    }));
+    wrapper.container.dispatchEvent(new CustomEvent('analytics:track', {
+      detail: { action: 'camera_change', category: '3D Model', label: 'ignored' }
+    }));
+
+    await vi.waitFor(() => expect(sent).toHaveBeenCalled());
+    emitter.stop();
+    await vi.waitFor(() => expect(lrs.requests).toHaveLength(3));
+
+    const [failed, retried, terminated] = lrs.requests;
+    expect(retried.url).toBe('/xapi/statements');
+    expect(retried.headers.authorization).toBe(`Basic ${btoa('key:secret')}`);
+    expect(retried.headers['x-experience-api-version']).toBe('1.0.3');
+    expect(retried.statements).toEqual(failed.statements);
+    expect(retried.statements).toHaveLength(1);
+
+    const [statement] = retried.statements;
+    expect(statement.verb.id).toBe(XAPI_VERBS.played);
+    expect(statement.actor).toEqual({ mbox: 'mailto:learner@example.com' });
+    expect(statement.object.id).toBe(`${window.location.origin}/learning-objects/optics-101`);
+    expect(terminated.statements[0].verb.id).toBe(XAPI_VERBS.terminated);
+  });
+
+  it('keeps unsent statements in storage for the next session', () => {
+    const storage = new Map();
+    const fakeStorage = {
+      getItem: key => storage.get(key) ?? null,
+      setItem: (key, value) => storage.set(key, value),
+      removeItem: key => storage.delete(key)
+    };
+    const offline = () => Promise.reject(new Error('offline'));
+
+    const first = new XAPIEmitter(createFakeWrapper(), { endpoint, storage: fakeStorage, fetch: offline });
+    first.track('transcript_show', 'toggle');
+
+    const second = new XAPIEmitter(createFakeWrapper(), { endpoint, storage: fakeStorage, fetch: offline });
+    expect(second.queue).toHaveLength(1);
+    expect(second.queue[0].actor).toEqual(first.actor);
+    clearTimeout(first.flushTimer);
+  });
+
+  it("never restores another learner's statements", () => {
+    const storage = new Map();
+    const fakeStorage = {
+      getItem: key => storage.get(key) ?? null,
+      setItem: (key, value) => storage.set(key, value),
+      removeItem: key => storage.delete(key)
+    };
+    const offline = () => Promise.reject(new Error('offline'));
+    const emitterFor = (mbox) => new XAPIEmitter(createFakeWrapper(), {
+      endpoint, storage: fakeStorage, fetch: offline, actor: { mbox }
+    });
+
+    const first = emitterFor('mailto:first@example.com');
+    first.track('transcript_show', 'toggle');
+    clearTimeout(first.flushTimer);
+
+    expect(emitterFor('mailto:second@example.com').queue).toHaveLength(0);
+    expect(emitterFor('mailto:first@example.com').queue).toHaveLength(1);
+  });
+
+  it('starts a new round of retries after giving up', async () => {
+    const errors = [];
+    const wrapper = createFakeWrapper();
+    wrapper.container.addEventListener('xapi:error', (event) => errors.push(event.detail.retrying));
+    const emitter = new XAPIEmitter(wrapper, {
+      endpoint,
+      storage: null,
+      maxRetries: 1,
+      fetch: () => Promise.reject(new Error('offline'))
+    });
+    emitter.track('transcript_show', 'toggle');
+    clearTimeout(emitter.flushTimer);
+
+    await emitter.flush();
+    await emitter.flush();
+    expect(errors).toEqual([true, false]);
+    expect(emitter.attempts).toBe(0);
+
+    // The next statement is retried with backoff again
+    await emitter.flush();
+    expect(errors).toEqual([true, false, true]);
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Video Chapters
+ * Chapters come from the manifest `chapters` field, either as a list of
+ * `{ start, title }` entries or as the URL of a WebVTT file with
+ * `kind="chapters"` cues (one cue per chapter, cue text is the title).
+ */
+
+import logger from './logger.js';
+import { parseVTT } from './transcript.js';
+
+/**
+ * Sort and validate chapter entries and fill in each chapter's end
+ * @param {Array<{start: number, title: string, end?: number}>} chapters - Chapter entries
+ * @returns {Array<{start: number, end: number|null, title: string}>}
+ */
+export function normalizeChapters(chapters) {
+  const valid = chapters
+    .filter(chapter => typeof chapter?.start === 'number' && chapter.start >= 0 && chapter.title)
+    .map(chapter => ({ start: chapter.start, end: chapter.end ?? null, title: String(chapter.title).trim() }))
+    .sort((a, b) => a.start - b.start);
+
+  // A chapter ends where the next one starts
+  return valid.map((chapter, index) => ({
+    ...chapter,
+    end: index < valid.length - 1 ? valid[index + 1].start : chapter.end
+  }));
+}
+
+/**
+ * Build chapters from a WebVTT chapters file
+ * @param {string} text - WebVTT file contents
+ * @returns {Array<{start: number, end: number|null, title: string}>}
+ */
+export function chaptersFromVTT(text) {
+  return normalizeChapters(parseVTT(text).map(cue => ({ start: cue.start, end: cue.end, title: cue.text })));
+}
+
+/**
+ * Resolve the manifest `chapters` field
+ * @param {Array|string} [chapters] - Chapter entries or a WebVTT URL
+ * @returns {Promise<Array<{start: number, end: number|null, title: string}>>} Empty when missing or unreadable
+ */
+export async function loadChapters(chapters) {
+  if (Array.isArray(chapters)) return normalizeChapters(chapters);
+  if (typeof chapters !== 'string' || !chapters) return [];
+
+  try {
+    const response = await fetch(chapters);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    return chaptersFromVTT(await response.text());
+  } catch (error) {
+    logger.warn('Could not load chapters:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Find the chapter playing at a time
+ * @param {Array<{start: number}>} chapters - Normalised chapters
+ * @param {number} time - Playback position in seconds
+ * @returns {number} Chapter index, or -1 before the first chapter
+ */
+export function findChapterIndex(chapters, time) {
+  for (let index = chapters.length - 1; index >= 0; index--) {
+    if (chapters[index].start <= time) return index;
+  }
+  return -1;
+}
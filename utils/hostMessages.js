@@ -0,0 +1,216 @@
+/**
+ * Host Message API
+ * Lets the page that embeds the wrapper (an LMS page or course shell) drive
+ * it with postMessage.
+ *
+ * Request (host -> wrapper):
+ *   { source: 'lor-host', id: 'req-1', command: 'seek', params: { time: 30 } }
+ *
+ * Response (wrapper -> host), sent to the requesting window and origin:
+ *   { source: 'lor-wrapper', id: 'req-1', command: 'seek', ok: true, result: {...} }
+ *   { source: 'lor-wrapper', id: 'req-1', command: 'seek', ok: false,
+ *     error: { code: 'unsupported', message: '...' } }
+ *
+ * Without an allowlist only the parent frame may send commands; with one,
+ * the sender's origin must match an entry (`*` and `https://*.example.com`
+ * wildcards are supported).
+ */
+
+import logger from './logger.js';
+import { matchOrigin, getParentOrigin, resolveTargetOrigins } from './origins.js';
+
+export const MESSAGE_SOURCE_HOST = 'lor-host';
+export const MESSAGE_SOURCE_WRAPPER = 'lor-wrapper';
+
+const THEMES = ['light', 'dark', 'high-contrast', 'auto'];
+
+/**
+ * Error with a machine-readable code, reported back to the host
+ */
+export class HostCommandError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'HostCommandError';
+    this.code = code;
+  }
+}
+
+/**
+ * Command handlers: (wrapper, params) => result
+ */
+export const HOST_COMMANDS = {
+  play(wrapper) {
+    requirePlugin(wrapper).resume();
+    return wrapper.getState();
+  },
+
+  pause(wrapper) {
+    requirePlugin(wrapper).pause();
+    return wrapper.getState();
+  },
+
+  seek(wrapper, { time } = {}) {
+    if (typeof time !== 'number' || !Number.isFinite(time) || time < 0) {
+      throw new HostCommandError('invalid_params', '"time" must be a number of seconds >= 0');
+    }
+    requirePlugin(wrapper);
+    if (!wrapper.seekTo(time)) {
+      throw new HostCommandError('unsupported', `Content type "${wrapper.content?.type}" cannot seek`);
+    }
+    return wrapper.getState();
+  },
+
+  setTheme(wrapper, { theme } = {}) {
+    if (!THEMES.includes(theme)) {
+      throw new HostCommandError('invalid_params', `"theme" must be one of: ${THEMES.join(', ')}`);
+    }
+    wrapper.setTheme(theme);
+    return { theme: wrapper.state.currentTheme };
+  },
+
+  showTranscript(wrapper, { visible = true } = {}) {
+    if (!wrapper.setTranscriptVisible(!!visible)) {
+      throw new HostCommandError('unsupported', 'This content has no transcript');
+    }
+    return { visible: wrapper.state.transcriptVisible };
+  },
+
+  async setLanguage(wrapper, { language } = {}) {
+    if (typeof language !== 'string' || !language) {
+      throw new HostCommandError('invalid_params', '"language" must be a language code');
+    }
+    if (!(await wrapper.setLanguage(language))) {
+      throw new HostCommandError('unsupported', `No transcript or captions in "${language}"`);
+    }
+    return wrapper.getState();
+  },
+
+  getState(wrapper) {
+    return wrapper.getState();
+  },
+
+  getResult(wrapper) {
+    return wrapper.getResult();
+  }
+};
+
+/**
+ * Handles host commands for one wrapper
+ */
+export class HostMessageAPI {
+  /**
+   * @param {LearningObjectWrapper} wrapper - Wrapper to control
+   * @param {Object} [options]
+   * @param {string[]} [options.allowedOrigins] - Origins allowed to send commands
+   */
+  constructor(wrapper, { allowedOrigins = [] } = {}) {
+    this.wrapper = wrapper;
+    this.allowedOrigins = allowedOrigins;
+    this.handleMessage = (event) => this.onMessage(event);
+  }
+
+  /**
+   * Start listening and tell the parent frame which commands are available
+   */
+  start() {
+    this.wrapper.listen(window, 'message', this.handleMessage);
+
+    if (window.parent !== window) {
+      // No state in this message, so any origin may see it
+      window.parent.postMessage({
+        source: MESSAGE_SOURCE_WRAPPER,
+        event: 'ready',
+        commands: Object.keys(HOST_COMMANDS)
+      }, '*');
+    }
+  }
+
+  /**
+   * Push an event to the host page, e.g. a score for gradebook passback:
+   *   { source: 'lor-wrapper', event: 'result', data: {...} }
+   * This is learner data, so it only goes to allowed origins, or to the parent's
+   * origin when there is no allowlist and the browser reveals it.
+   * @param {string} event - Event name
+   * @param {Object} data - Event payload
+   */
+  notify(event, data) {
+    if (window.parent === window) return;
+
+    const targets = resolveTargetOrigins(this.allowedOrigins, getParentOrigin());
+    if (targets.length === 0) {
+      logger.warn(`Not sending "${event}" to the host: its origin is unknown. Add it to messaging.allowedOrigins.`);
+      return;
+    }
+
+    const message = { source: MESSAGE_SOURCE_WRAPPER, event, data };
+    targets.forEach(origin => {
+      try {
+        window.parent.postMessage(message, origin);
+      } catch (error) {
+        logger.warn(`Could not send "${event}" to the host:`, error.message);
+      }
+    });
+  }
+
+  /**
+   * Whether a message may control the wrapper
+   */
+  isAllowed(event) {
+    if (this.allowedOrigins.length === 0) {
+      return event.source === window.parent && window.parent !== window;
+    }
+    return this.allowedOrigins.some(pattern => matchOrigin(event.origin, pattern));
+  }
+
+  async onMessage(event) {
+    const message = event.data;
+    if (!message || typeof message !== 'object' || message.source !== MESSAGE_SOURCE_HOST) return;
+
+    if (!this.isAllowed(event)) {
+      logger.warn(`Ignoring "${message.command}" command from disallowed origin:`, event.origin);
+      return;
+    }
+
+    const { id = null, command, params = {} } = message;
+    const reply = (body) => this.respond(event, { source: MESSAGE_SOURCE_WRAPPER, id, command, ...body });
+
+    const handler = Object.prototype.hasOwnProperty.call(HOST_COMMANDS, command) ? HOST_COMMANDS[command] : null;
+    if (!handler) {
+      reply({ ok: false, error: { code: 'unknown_command', message: `Unknown command "${command}"` } });
+      return;
+    }
+
+    try {
+      const result = await handler(this.wrapper, params);
+      reply({ ok: true, result });
+      this.wrapper.dispatchEvent('host:command', { command, params, origin: event.origin });
+    } catch (error) {
+      const code = error instanceof HostCommandError ? error.code : 'internal_error';
+      if (code === 'internal_error') {
+        logger.error(`❌ Host command "${command}" failed:`, error);
+      }
+      reply({ ok: false, error: { code, message: error.message } });
+    }
+  }
+
+  respond(event, body) {
+    const target = event.source || window.parent;
+    // Opaque origins (sandboxed frames, file://) report "null" and can only be answered with '*'
+    const targetOrigin = event.origin && event.origin !== 'null' ? event.origin : '*';
+
+    try {
+      target.postMessage(body, targetOrigin);
+    } catch (error) {
+      logger.warn('Could not answer host command:', error.message);
+    }
+  }
+}
+
+function requirePlugin(wrapper) {
+  if (!wrapper.plugin) {
+    throw new HostCommandError('not_ready', 'Content has not loaded yet');
+  }
+  return wrapper.plugin;
+}
+
+export default HostMessageAPI;
@@ -0,0 +1,19 @@
+/**
+ * HTML
+ * Escaping for text interpolated into HTML strings. Shared by the wrapper,
+ * content plugins (through wrapper.escapeHtml) and the notice and transcript
+ * export modules.
+ */
+
+/**
+ * Escape text for use in element content and quoted attribute values
+ * @param {*} text - Value to escape; null and undefined become ''
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
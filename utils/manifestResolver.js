@@ -0,0 +1,192 @@
+/**
+ * Manifest Resolver
+ * Fetches a manifest once and resolves it, together with URL parameter
+ * overrides, into the single content config shared by the wrapper and the
+ * content plugin.
+ *
+ * Precedence (highest first):
+ *   1. Manifest `type` and content location (`src` / `resources` / `images`) - never
+ *      overridden, so an embed URL can't repoint a published manifest
+ *   2. URL parameters - override every other manifest field
+ *   3. Other manifest fields
+ *   4. Defaults
+ */
+
+import logger from './logger.js';
+import { contentPlugins } from '../contentPlugins.js';
+import { validateManifest, ManifestValidationError } from './manifestValidator.js';
+import { createManifestSchema } from './manifestSchema.js';
+
+// Order in which `resources` entries are used as the content source
+const RESOURCE_KEYS = ['video', 'audio', 'model', 'pdf', 'iframe', 'src'];
+
+/**
+ * Fetch, parse and validate a manifest
+ * @param {string} manifestUrl - Manifest URL
+ * @returns {Promise<Object>} Parsed manifest
+ * @throws {ManifestValidationError} When the manifest is not valid JSON or fails the schema
+ */
+export async function fetchManifest(manifestUrl) {
+  const response = await fetch(manifestUrl);
+  if (!response.ok) {
+    throw new Error(`Failed to load manifest: ${response.statusText}`);
+  }
+
+  let manifest;
+  try {
+    manifest = await response.json();
+  } catch (error) {
+    throw new ManifestValidationError(
+      [{ path: '$', message: `Manifest is not valid JSON: ${error.message}` }],
+      manifestUrl
+    );
+  }
+
+  // Reject manifests that don't match the schema so authors see why.
+  // Types and fields from registered plugins are accepted too.
+  const schema = createManifestSchema(contentPlugins.getTypes(), contentPlugins.getManifestProperties());
+  const { valid, errors } = validateManifest(manifest, schema);
+  if (!valid) {
+    throw new ManifestValidationError(errors, manifestUrl);
+  }
+
+  return manifest;
+}
+
+/**
+ * Normalise the `src` vs `resources` manifest shapes
+ * @param {Object} manifest - Parsed manifest
+ * @returns {{src: string|undefined, iosSrc: string|undefined}}
+ */
+export function getManifestSource(manifest) {
+  if (manifest.src) {
+    return { src: manifest.src, iosSrc: manifest.resources?.iosSrc };
+  }
+
+  const resources = manifest.resources || {};
+  const key = RESOURCE_KEYS.find(k => resources[k]);
+  if (!key && manifest.images?.length) {
+    // Galleries start at their first image (also used for type detection)
+    return { src: manifest.images[0].src, iosSrc: undefined };
+  }
+  return { src: key ? resources[key] : undefined, iosSrc: resources.iosSrc };
+}
+
+/**
+ * Resolve a manifest and URL overrides into a content config
+ * @param {Object|null} manifest - Parsed manifest, or null when embedding by URL only
+ * @param {Object} [overrides] - Values from URL parameters (empty values are ignored)
+ * @returns {Object} Fully-resolved content config
+ */
+export function resolveContentConfig(manifest, overrides = {}) {
+  const base = manifest || {};
+  const { src: manifestSrc, iosSrc: manifestIosSrc } = getManifestSource(base);
+
+  // Manifest-specific fields (e.g. plugin options) pass straight through
+  const manifestFields = { ...base };
+  delete manifestFields.resources;
+  delete manifestFields.$schema;
+
+  const resolved = {
+    ...manifestFields,
+    id: base.id || overrides.id || '',
+    type: (manifest && base.type) || overrides.type || 'auto',
+    src: (manifest && manifestSrc) || overrides.src || '',
+    title: pick(overrides.title, base.title, ''),
+    description: pick(overrides.description, base.description, ''),
+    showHeader: pick(overrides.showHeader, base.showHeader, false),
+    captions: pick(overrides.captions, base.captions, []),
+    poster: pick(overrides.poster, base.poster, ''),
+    iosSrc: pick(overrides.iosSrc, manifestIosSrc, ''),
+    alt: pick(overrides.alt, base.alt, ''),
+    transcripts: pick(overrides.transcripts, base.transcripts, []),
+    attribution: mergeAttribution(overrides.attribution, base.attribution),
+    xapi: mergeXapi(overrides.xapi, base.xapi),
+    scorm: pick(overrides.scorm, base.scorm, undefined),
+    // Self-hosted viewer for splat content (deployment config wins over the manifest)
+    viewerUrl: pick(overrides.viewerUrl, base.viewerUrl, undefined),
+    messaging: {
+      allowedOrigins: pick(overrides.messaging?.allowedOrigins, base.messaging?.allowedOrigins, [])
+    },
+    resize: {
+      formats: pick(overrides.resize?.formats, base.resize?.formats, ['lti']),
+      targetOrigins: pick(overrides.resize?.targetOrigins, base.resize?.targetOrigins, [])
+    }
+  };
+
+  // Without a transcript file, build the transcript from the caption tracks
+  // (one per caption language, so the language choices line up)
+  if (resolved.transcripts.length === 0 && resolved.captions.length > 0) {
+    resolved.transcripts = resolved.captions.map(caption => ({
+      language: caption.language,
+      label: caption.label,
+      url: caption.src,
+      default: !!caption.default,
+      format: 'vtt'
+    }));
+  }
+
+  // Auto-detect content type if needed
+  if (resolved.type === 'auto' && resolved.src) {
+    resolved.type = contentPlugins.detectType(resolved.src);
+    logger.debug('🔍 Auto-detected type:', resolved.type);
+  }
+
+  return resolved;
+}
+
+/**
+ * Fetch the manifest (if any) and resolve the content config
+ * @param {Object} options - URL parameter overrides plus `manifestUrl`
+ * @returns {Promise<Object>} Fully-resolved content config
+ */
+export async function loadContentConfig({ manifestUrl, ...overrides } = {}) {
+  const manifest = manifestUrl ? await fetchManifest(manifestUrl) : null;
+  const resolved = resolveContentConfig(manifest, overrides);
+  logger.debug('📦 Resolved content config:', resolved);
+  return resolved;
+}
+
+/**
+ * First value that was actually provided (empty strings/arrays count as missing)
+ */
+function pick(...values) {
+  const fallback = values.pop();
+  const found = values.find(value =>
+    value !== undefined && value !== null && value !== '' &&
+    !(Array.isArray(value) && value.length === 0)
+  );
+  return found === undefined ? fallback : found;
+}
+
+/**
+ * Merge attribution field by field (URL params override manifest)
+ * @returns {Object|null} Merged attribution, or null when there is nothing to show
+ */
+function mergeAttribution(fromUrl = {}, fromManifest = {}) {
+  const merged = {};
+  ['title', 'author', 'license'].forEach(field => {
+    merged[field] = {
+      text: pick(fromUrl?.[field]?.text, fromManifest?.[field]?.text, ''),
+      url: pick(fromUrl?.[field]?.url, fromManifest?.[field]?.url, '')
+    };
+  });
+
+  const hasText = Object.values(merged).some(entry => entry.text);
+  return hasText ? merged : null;
+}
+
+/**
+ * Merge xAPI settings field by field (launch parameters override manifest)
+ * Credentials are never taken from the manifest, which anyone can download.
+ * @returns {Object|null} Merged settings, or null when there is no LRS endpoint
+ */
+function mergeXapi(fromUrl = {}, fromManifest = {}) {
+  const merged = { ...fromManifest };
+  delete merged.auth;
+  Object.entries(fromUrl || {}).forEach(([key, value]) => {
+    merged[key] = pick(value, merged[key], undefined);
+  });
+
+  return merged.endpoint ? merged : null;
+}
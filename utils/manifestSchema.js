@@ -0,0 +1,188 @@
+/**
+ * Manifest Schema
+ * JSON Schema (draft-07) describing every manifest shape accepted by the wrapper.
+ * Kept as a plain object so it can be imported without a JSON loader and
+ * serialised as-is for editors and external tooling.
+ */
+
+const url = { type: 'string', minLength: 1 };
+
+/**
+ * Content types provided by the built-in plugins
+ */
+export const BUILT_IN_TYPES = ['video', 'audio', 'image', 'model', 'pdf', 'h5p', 'supersplat', 'iframe', 'website'];
+
+/**
+ * Build the manifest schema for a set of content types
+ * @param {string[]} [contentTypes] - Allowed `type` values besides 'auto'
+ * @param {Object} [extraProperties] - Additional top-level properties (from registered plugins)
+ * @returns {Object} JSON Schema
+ */
+export function createManifestSchema(contentTypes = BUILT_IN_TYPES, extraProperties = {}) {
+  return {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: 'lor-wrapper/manifest.schema.json',
+    title: 'Learning Object Manifest',
+    type: 'object',
+    required: ['type'],
+    // Image galleries (see the image plugin's properties) list their files in "images"
+    anyOf: [{ required: ['src'] }, { required: ['resources'] }, { required: ['images'] }],
+    errorMessage: 'Manifest must provide the content location in "src", "resources" or "images"',
+    properties: {
+      $schema: { type: 'string' },
+      id: { type: 'string', minLength: 1 },
+      type: {
+        type: 'string',
+        enum: ['auto', ...contentTypes]
+      },
+      title: { type: 'string' },
+      description: { type: 'string' },
+      showHeader: { type: 'boolean' },
+      src: url,
+      poster: url,
+      alt: { type: 'string' },
+      resources: { $ref: '#/definitions/resources' },
+      captions: {
+        type: 'array',
+        items: { $ref: '#/definitions/caption' }
+      },
+      // Chapter list, or the URL of a WebVTT chapters file
+      chapters: {
+        anyOf: [
+          { type: 'array', items: { $ref: '#/definitions/chapter' } },
+          url
+        ],
+        errorMessage: 'Chapters must be a list of { start, title } entries or the URL of a WebVTT chapters file'
+      },
+      transcripts: {
+        type: 'array',
+        items: { $ref: '#/definitions/transcript' }
+      },
+      attribution: { $ref: '#/definitions/attribution' },
+      xapi: { $ref: '#/definitions/xapi' },
+      scorm: { $ref: '#/definitions/scorm' },
+      messaging: { $ref: '#/definitions/messaging' },
+      resize: { $ref: '#/definitions/resize' },
+      ...extraProperties
+    },
+    additionalProperties: false,
+    definitions: {
+      resources: {
+        type: 'object',
+        anyOf: [
+          { required: ['video'] },
+          { required: ['audio'] },
+          { required: ['model'] },
+          { required: ['pdf'] },
+          { required: ['iframe'] },
+          { required: ['src'] }
+        ],
+        errorMessage: 'Resources must include one of "video", "audio", "model", "pdf", "iframe" or "src"',
+        properties: {
+          video: url,
+          audio: url,
+          model: url,
+          pdf: url,
+          iframe: url,
+          src: url,
+          iosSrc: url
+        },
+        additionalProperties: false
+      },
+      caption: {
+        type: 'object',
+        required: ['src', 'language'],
+        properties: {
+          src: url,
+          language: { type: 'string', minLength: 1 },
+          label: { type: 'string' },
+          default: { type: 'boolean' }
+        },
+        additionalProperties: false
+      },
+      chapter: {
+        type: 'object',
+        required: ['start', 'title'],
+        properties: {
+          start: { type: 'number', minimum: 0 },
+          title: { type: 'string', minLength: 1 }
+        },
+        additionalProperties: false
+      },
+      transcript: {
+        type: 'object',
+        required: ['language', 'url'],
+        properties: {
+          language: { type: 'string', minLength: 1 },
+          label: { type: 'string' },
+          url,
+          format: { type: 'string', enum: ['text', 'vtt'] },
+          default: { type: 'boolean' }
+        },
+        additionalProperties: false
+      },
+      attributionLink: {
+        type: 'object',
+        properties: {
+          text: { type: 'string' },
+          url: { type: 'string' }
+        },
+        additionalProperties: false
+      },
+      attribution: {
+        type: 'object',
+        properties: {
+          title: { $ref: '#/definitions/attributionLink' },
+          author: { $ref: '#/definitions/attributionLink' },
+          license: { $ref: '#/definitions/attributionLink' }
+        },
+        additionalProperties: false
+      },
+      xapi: {
+        type: 'object',
+        required: ['endpoint'],
+        properties: {
+          // No auth: manifests are public, so LRS credentials only come from launch parameters
+          endpoint: url,
+          activityId: url,
+          activityIdBase: url,
+          extensionBase: url,
+          registration: { type: 'string' }
+        },
+        additionalProperties: false
+      },
+      scorm: {
+        type: 'object',
+        properties: {
+          enabled: { type: 'boolean' },
+          completeOn: { type: 'array', items: { type: 'string' } },
+          passOn: { type: 'array', items: { type: 'string' } },
+          saveOn: { type: 'array', items: { type: 'string' } },
+          resumePosition: { type: 'boolean' }
+        },
+        additionalProperties: false
+      },
+      messaging: {
+        type: 'object',
+        properties: {
+          // '*', exact origins or 'https://*.example.com'
+          allowedOrigins: { type: 'array', items: { type: 'string', minLength: 1 } }
+        },
+        additionalProperties: false
+      },
+      resize: {
+        type: 'object',
+        properties: {
+          // Names from RESIZE_FORMATS in utils/resizeMessages.js (custom formats can be registered)
+          formats: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+          targetOrigins: { type: 'array', items: { type: 'string', minLength: 1 } }
+        },
+        additionalProperties: false
+      }
+    }
+  };
+}
+
+export const manifestSchema = createManifestSchema();
+
+export default manifestSchema;
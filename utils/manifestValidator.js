@@ -0,0 +1,188 @@
+/**
+ * Manifest Validator
+ * Validates manifests against the manifest JSON Schema and reports every
+ * problem with the JSON path where it occurred.
+ *
+ * Supports the subset of draft-07 used by manifestSchema: type, enum,
+ * required, properties, additionalProperties, items, minItems, minLength,
+ * minimum, maximum, anyOf and local $ref, plus an `errorMessage` override
+ * for anyOf failures.
+ */
+
+import { manifestSchema } from './manifestSchema.js';
+
+/**
+ * Error thrown when a manifest cannot be parsed or does not match the schema
+ */
+export class ManifestValidationError extends Error {
+  /**
+   * @param {Array<{path: string, message: string}>} errors - Problems found
+   * @param {string} [manifestUrl] - URL of the offending manifest
+   */
+  constructor(errors, manifestUrl = '') {
+    const count = `${errors.length} problem${errors.length === 1 ? '' : 's'}`;
+    super(`Invalid manifest${manifestUrl ? ` ${manifestUrl}` : ''}: ${count} found`);
+    this.name = 'ManifestValidationError';
+    this.errors = errors;
+    this.manifestUrl = manifestUrl;
+  }
+}
+
+/**
+ * Validate a manifest object
+ * @param {*} manifest - Parsed manifest
+ * @param {Object} [schema] - Schema to validate against (defaults to the manifest schema)
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>}}
+ */
+export function validateManifest(manifest, schema = manifestSchema) {
+  const errors = [];
+  validateNode(manifest, schema, '$', schema, errors);
+  return { valid: errors.length === 0, errors };
+}
+
+function validateNode(value, schema, path, root, errors) {
+  if (schema.$ref) {
+    validateNode(value, resolveRef(schema.$ref, root), path, root, errors);
+    return;
+  }
+
+  if (schema.type) {
+    const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!allowed.some(type => matchesType(value, type))) {
+      errors.push({ path, message: `Expected ${allowed.join(' or ')} but got ${typeOf(value)}` });
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({
+      path,
+      message: `Expected one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')} but got ${JSON.stringify(value)}`
+    });
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push({ path, message: schema.minLength === 1 ? 'Must not be empty' : `Must be at least ${schema.minLength} characters` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `Must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `Must be at most ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `Must contain at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateNode(item, schema.items, `${path}[${index}]`, root, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    validateObject(value, schema, path, root, errors);
+  }
+
+  if (schema.anyOf) {
+    const matches = schema.anyOf.some(option => {
+      const optionErrors = [];
+      validateNode(value, option, path, root, optionErrors);
+      return optionErrors.length === 0;
+    });
+    if (!matches) {
+      errors.push({ path, message: schema.errorMessage || 'Does not match any of the allowed shapes' });
+    }
+  }
+}
+
+function validateObject(value, schema, path, root, errors) {
+  const properties = schema.properties || {};
+
+  (schema.required || []).forEach(key => {
+    if (!(key in value)) {
+      errors.push({ path: joinPath(path, key), message: `Missing required property "${key}"` });
+    }
+  });
+
+  Object.keys(value).forEach(key => {
+    const childPath = joinPath(path, key);
+
+    if (properties[key]) {
+      validateNode(value[key], properties[key], childPath, root, errors);
+    } else if (schema.additionalProperties === false) {
+      const suggestion = closestMatch(key, Object.keys(properties));
+      errors.push({
+        path: childPath,
+        message: `Unknown property "${key}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`
+      });
+    } else if (typeof schema.additionalProperties === 'object') {
+      validateNode(value[key], schema.additionalProperties, childPath, root, errors);
+    }
+  });
+}
+
+function resolveRef(ref, root) {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Unsupported schema reference: ${ref}`);
+  }
+  return ref.slice(2).split('/').reduce((node, segment) => {
+    if (!node || !(segment in node)) {
+      throw new Error(`Unresolvable schema reference: ${ref}`);
+    }
+    return node[segment];
+  }, root);
+}
+
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function joinPath(path, key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Find the known property closest to a misspelt one (edit distance <= 2)
+ */
+function closestMatch(key, candidates) {
+  let best = null;
+  let bestDistance = 3;
+  candidates.forEach(candidate => {
+    const distance = editDistance(key.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  });
+  return best;
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(
+        row[j] + 1,
+        row[j - 1] + 1,
+        previous + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      previous = current;
+    }
+  }
+  return row[b.length];
+}
@@ -0,0 +1,340 @@
+/**
+ * Notices
+ * In-wrapper replacement for alert(): toasts for messages that need no answer
+ * and modal dialogs for ones that do. Toasts are read out through a live
+ * region; dialogs take focus, keep Tab inside them and hand focus back when
+ * closed. Nothing blocks the page, so notices also work in LMS iframes where
+ * alert() is suppressed or looks like the page has broken.
+ */
+
+import logger from './logger.js';
+import { escapeHtml } from './html.js';
+
+export const SEVERITIES = ['info', 'success', 'warning', 'error'];
+
+// How long a toast stays up (ms); errors and toasts with actions stay until closed
+export const TOAST_DURATION = 6000;
+
+const SEVERITY_LABELS = {
+  info: 'Information',
+  success: 'Success',
+  warning: 'Warning',
+  error: 'Error'
+};
+
+const FOCUSABLE = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled]):not([type="hidden"])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])'
+].join(',');
+
+/**
+ * Elements that Tab can reach inside a container
+ * @param {HTMLElement} container
+ * @returns {HTMLElement[]}
+ */
+export function getFocusable(container) {
+  return [...container.querySelectorAll(FOCUSABLE)].filter(element => !element.closest('[hidden], [inert]'));
+}
+
+/**
+ * Keep Tab and Shift+Tab cycling inside a container
+ * @param {HTMLElement} container - Dialog element
+ * @param {KeyboardEvent} event - keydown event
+ * @returns {boolean} Whether focus was moved
+ */
+export function trapFocus(container, event) {
+  if (event.key !== 'Tab') return false;
+
+  const focusable = getFocusable(container);
+  if (focusable.length === 0) {
+    event.preventDefault();
+    container.focus();
+    return true;
+  }
+
+  const first = focusable[0];
+  const last = focusable[focusable.length - 1];
+  const active = container.ownerDocument.activeElement;
+
+  if (event.shiftKey && (active === first || !container.contains(active))) {
+    event.preventDefault();
+    last.focus();
+    return true;
+  }
+  if (!event.shiftKey && (active === last || !container.contains(active))) {
+    event.preventDefault();
+    first.focus();
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Shows toasts and dialogs inside one wrapper
+ */
+export class NoticeManager {
+  /**
+   * @param {HTMLElement} root - Wrapper container; notices go in its `.lo-wrapper`
+   * @param {Object} [options]
+   * @param {Function} [options.onShow] - Called with `{ id, severity, message, dialog }`
+   * @param {Function} [options.onClose] - Called with `{ id, severity, result }`
+   */
+  constructor(root, { onShow = () => {}, onClose = () => {} } = {}) {
+    this.root = root;
+    this.onShow = onShow;
+    this.onClose = onClose;
+    this.open = new Set();
+    this.counter = 0;
+  }
+
+  /**
+   * Show a toast or dialog
+   * @param {string} message - Plain-text message
+   * @param {Object} [options]
+   * @param {string} [options.severity='info'] - info, success, warning or error
+   * @param {string} [options.title] - Heading (dialogs default to the severity name)
+   * @param {boolean} [options.dialog=false] - Show a modal dialog instead of a toast
+   * @param {number} [options.duration] - Toast lifetime in ms; 0 keeps it until closed
+   * @param {Array<{id: string, label: string, primary?: boolean, keepOpen?: boolean, onSelect?: Function}>} [options.actions]
+   *   Buttons; selecting one calls `onSelect(notice)` and closes the notice with its id unless `keepOpen`
+   * @param {Node} [options.content] - Extra content shown under the message (e.g. a QR code)
+   * @param {string} [options.closeLabel] - Label of the close button (dialogs: 'Close')
+   * @returns {{id: string, element: HTMLElement, close: Function, closed: Promise<string>}}
+   *   `closed` resolves with the chosen action id, 'dismiss' or 'timeout'
+   */
+  show(message, {
+    severity = 'info',
+    title = '',
+    dialog = false,
+    duration,
+    actions = [],
+    content = null,
+    closeLabel
+  } = {}) {
+    if (!SEVERITIES.includes(severity)) {
+      logger.warn(`Unknown notice severity "${severity}", using "info"`);
+      severity = 'info';
+    }
+
+    const id = `lo-notice-${++this.counter}`;
+    const notice = dialog
+      ? this.createDialog(id, message, { severity, title, actions, content, closeLabel })
+      : this.createToast(id, message, { severity, title, actions, content });
+
+    let resolveClosed;
+    notice.closed = new Promise(resolve => {
+      resolveClosed = resolve;
+    });
+
+    notice.close = (result = 'dismiss') => {
+      if (!this.open.has(notice)) return;
+      this.open.delete(notice);
+      clearTimeout(notice.timer);
+      notice.teardown();
+      this.onClose({ id, severity, result });
+      resolveClosed(result);
+    };
+
+    notice.element.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-notice-action]');
+      if (!button || !notice.element.contains(button)) return;
+
+      const actionId = button.dataset.noticeAction;
+      if (actionId === 'dismiss') {
+        notice.close('dismiss');
+        return;
+      }
+      const action = actions.find(candidate => candidate.id === actionId);
+      try {
+        action?.onSelect?.(notice);
+      } catch (error) {
+        logger.error(`Notice action "${actionId}" failed:`, error);
+      }
+      if (!action?.keepOpen) notice.close(actionId);
+    });
+
+    this.open.add(notice);
+    notice.mount();
+
+    if (!dialog) {
+      const lifetime = duration ?? (severity === 'error' || actions.length > 0 ? 0 : TOAST_DURATION);
+      this.startTimer(notice, lifetime);
+    }
+
+    this.onShow({ id, severity, message, dialog });
+    return { id, element: notice.element, close: notice.close, closed: notice.closed };
+  }
+
+  /**
+   * Close every open notice (e.g. when the wrapper is destroyed)
+   */
+  closeAll() {
+    [...this.open].forEach(notice => notice.close('dismiss'));
+  }
+
+  /**
+   * Toasts are appended to the live region, so screen readers read them as they arrive
+   */
+  createToast(id, message, { severity, title, actions, content }) {
+    const element = document.createElement('div');
+    element.id = id;
+    element.className = `lo-notice lo-notice-toast lo-notice-${severity}`;
+    // Warnings and errors interrupt; the rest wait their turn
+    element.setAttribute('role', severity === 'warning' || severity === 'error' ? 'alert' : 'status');
+    element.innerHTML = this.renderBody(id, message, { severity, title, actions, closeLabel: 'Dismiss', closeIcon: true });
+    this.appendContent(element, content);
+
+    const notice = { element };
+
+    notice.mount = () => this.getRegion().appendChild(element);
+    notice.teardown = () => element.remove();
+
+    // Hovering or focusing a toast holds it open so it can be read (WCAG 2.2.1)
+    const hold = () => clearTimeout(notice.timer);
+    const release = () => {
+      if (!element.matches(':hover') && !element.contains(document.activeElement)) {
+        this.startTimer(notice, notice.lifetime);
+      }
+    };
+    element.addEventListener('mouseenter', hold);
+    element.addEventListener('focusin', hold);
+    element.addEventListener('mouseleave', release);
+    element.addEventListener('focusout', () => setTimeout(release, 0));
+    element.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') notice.close('dismiss');
+    });
+
+    return notice;
+  }
+
+  /**
+   * Dialogs are modal: the rest of the wrapper is made inert and focus stays inside
+   */
+  createDialog(id, message, { severity, title, actions, content, closeLabel = 'Close' }) {
+    const backdrop = document.createElement('div');
+    backdrop.className = 'lo-notice-backdrop';
+
+    const element = document.createElement('div');
+    element.id = id;
+    element.className = `lo-notice lo-notice-dialog lo-notice-${severity}`;
+    element.setAttribute('role', severity === 'warning' || severity === 'error' ? 'alertdialog' : 'dialog');
+    element.setAttribute('aria-modal', 'true');
+    element.setAttribute('aria-labelledby', `${id}-title`);
+    element.setAttribute('aria-describedby', `${id}-message`);
+    element.tabIndex = -1;
+    element.innerHTML = this.renderBody(id, message, {
+      severity,
+      title: title || SEVERITY_LABELS[severity],
+      actions,
+      closeLabel
+    });
+    this.appendContent(element, content);
+    backdrop.appendChild(element);
+
+    const notice = { element };
+    let returnFocus = null;
+    let inerted = [];
+
+    notice.mount = () => {
+      returnFocus = document.activeElement;
+      const wrapperElement = this.getWrapperElement();
+      // Everything else in the wrapper is taken out of reach while the dialog is open
+      inerted = [...wrapperElement.children].filter(child =>
+        !child.classList.contains('lo-notice-backdrop') && !child.classList.contains('lo-notices') && !child.inert);
+      inerted.forEach(child => {
+        child.inert = true;
+        child.setAttribute('aria-hidden', 'true');
+      });
+      wrapperElement.appendChild(backdrop);
+
+      const primary = element.querySelector('.lo-notice-btn-primary') || getFocusable(element)[0] || element;
+      primary.focus();
+    };
+
+    notice.teardown = () => {
+      backdrop.remove();
+      inerted.forEach(child => {
+        child.inert = false;
+        child.removeAttribute('aria-hidden');
+      });
+      if (returnFocus && returnFocus.isConnected && typeof returnFocus.focus === 'function') {
+        returnFocus.focus();
+      }
+    };
+
+    element.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        notice.close('dismiss');
+        return;
+      }
+      trapFocus(element, event);
+    });
+
+    return notice;
+  }
+
+  renderBody(id, message, { severity, title, actions, closeLabel, closeIcon = false }) {
+    const buttons = actions.map(action => `
+        <button type="button" class="lo-notice-btn${action.primary ? ' lo-notice-btn-primary' : ''}"
+                data-notice-action="${escapeHtml(action.id)}">${escapeHtml(action.label)}</button>`).join('');
+
+    return `
+      <div class="lo-notice-icon" aria-hidden="true"></div>
+      <div class="lo-notice-body">
+        ${title ? `<div class="lo-notice-title" id="${id}-title">${escapeHtml(title)}</div>` : ''}
+        <div class="lo-notice-message" id="${id}-message">
+          <span class="sr-only">${SEVERITY_LABELS[severity]}: </span>${escapeHtml(message)}
+        </div>
+        <div class="lo-notice-content"></div>
+        <div class="lo-notice-actions">${buttons}
+          <button type="button" class="lo-notice-btn lo-notice-close" data-notice-action="dismiss"
+                  ${closeIcon ? `aria-label="${escapeHtml(closeLabel)}">×` : `>${escapeHtml(closeLabel)}`}</button>
+        </div>
+      </div>`;
+  }
+
+  appendContent(element, content) {
+    const slot = element.querySelector('.lo-notice-content');
+    if (content) {
+      slot.appendChild(content);
+    } else {
+      slot.remove();
+    }
+  }
+
+  startTimer(notice, lifetime) {
+    notice.lifetime = lifetime;
+    clearTimeout(notice.timer);
+    if (lifetime > 0) {
+      notice.timer = setTimeout(() => notice.close('timeout'), lifetime);
+    }
+  }
+
+  getWrapperElement() {
+    return this.root.querySelector('.lo-wrapper') || this.root;
+  }
+
+  /**
+   * Live region holding the toasts, created on first use
+   */
+  getRegion() {
+    const wrapperElement = this.getWrapperElement();
+    let region = wrapperElement.querySelector(':scope > .lo-notices');
+    if (!region) {
+      region = document.createElement('div');
+      region.className = 'lo-notices';
+      region.setAttribute('role', 'region');
+      region.setAttribute('aria-label', 'Notifications');
+      region.setAttribute('aria-live', 'polite');
+      wrapperElement.appendChild(region);
+    }
+    return region;
+  }
+}
+
+export default NoticeManager;
@@ -0,0 +1,59 @@
+/**
+ * Origins
+ * Allowlist matching and parent-origin detection shared by the messages the
+ * wrapper sends to and accepts from the embedding page (resize messages,
+ * host commands and results).
+ */
+
+/**
+ * Check an origin against an allowlist entry
+ * @param {string} origin - Origin of the incoming message
+ * @param {string} pattern - '*', an exact origin or one with a `*.` subdomain wildcard
+ * @returns {boolean}
+ */
+export function matchOrigin(origin, pattern) {
+  if (pattern === '*') return true;
+  if (!pattern.includes('*')) return origin === pattern.replace(/\/+$/, '');
+
+  const escaped = pattern.replace(/\/+$/, '').split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('[a-z0-9-]+(?:\\.[a-z0-9-]+)*')}$`, 'i').test(origin);
+}
+
+/**
+ * Best guess at the embedding page's origin
+ * @param {Window} [win] - Window whose parent to look up
+ * @returns {string|null} Origin, or null when the browser doesn't tell us
+ */
+export function getParentOrigin(win = window) {
+  if (win.location.ancestorOrigins?.length > 0) {
+    return win.location.ancestorOrigins[0];
+  }
+
+  try {
+    return win.document.referrer ? new URL(win.document.referrer).origin : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Turn an allowlist into concrete postMessage target origins
+ * postMessage takes one exact origin, so wildcard entries are only used when
+ * the parent's origin is known and matches them. Without an allowlist the
+ * parent's origin is the only target; when it is unknown there is none, and
+ * broadcasting to '*' needs an explicit '*' entry.
+ * @param {string[]} allowedOrigins - Allowlist ('*', exact origins, `https://*.example.com`)
+ * @param {string|null} parentOrigin - Result of getParentOrigin()
+ * @returns {string[]}
+ */
+export function resolveTargetOrigins(allowedOrigins, parentOrigin) {
+  if (allowedOrigins.length === 0) {
+    return parentOrigin ? [parentOrigin] : [];
+  }
+
+  const targets = allowedOrigins.flatMap(pattern => {
+    if (pattern === '*' || !pattern.includes('*')) return [pattern.replace(/\/+$/, '')];
+    return parentOrigin && matchOrigin(parentOrigin, pattern) ? [parentOrigin] : [];
+  });
+  return [...new Set(targets)];
+}
@@ -0,0 +1,133 @@
+/**
+ * Playback Position
+ * Remembers where a learner stopped a video, per manifest `id`, so the
+ * video plugin can offer to resume there.
+ *
+ * Positions go to localStorage unless the host passes its own storage as
+ * `positionStorage` in the wrapper config. Any object with the Storage
+ * methods works, and they may return promises:
+ *
+ *   new LearningObjectWrapper(container, {
+ *     positionStorage: {
+ *       getItem: (key) => lms.get(key),
+ *       setItem: (key, value) => lms.put(key, value),
+ *       removeItem: (key) => lms.delete(key)
+ *     }
+ *   });
+ */
+
+import logger from './logger.js';
+
+const KEY_PREFIX = 'lor-position:';
+
+// Positions this close to the start or end are not worth resuming
+const MIN_POSITION = 5;
+const END_MARGIN = 5;
+
+// Save at most once per this many seconds of playback
+const SAVE_INTERVAL = 5;
+
+/**
+ * Whether a position is worth offering to resume
+ * @param {number} position - Saved position (seconds)
+ * @param {number} [duration] - Media duration (seconds), if known
+ * @returns {boolean}
+ */
+export function isResumable(position, duration) {
+  if (!(position >= MIN_POSITION)) return false;
+  return !(duration > 0) || position < duration - END_MARGIN;
+}
+
+/**
+ * Saves and restores the playback position of one learning object
+ */
+export class PlaybackPositionStore {
+  /**
+   * @param {string} id - Manifest id of the learning object
+   * @param {Storage|Object} storage - Storage-like object (getItem, setItem, removeItem)
+   */
+  constructor(id, storage) {
+    this.key = `${KEY_PREFIX}${id}`;
+    this.storage = storage;
+    this.lastSaved = null;
+  }
+
+  /**
+   * Read the saved position
+   * @returns {Promise<{position: number, duration: number, savedAt: number}|null>}
+   */
+  async load() {
+    try {
+      const raw = await this.storage.getItem(this.key);
+      const saved = raw ? JSON.parse(raw) : null;
+      return saved && typeof saved.position === 'number' ? saved : null;
+    } catch (error) {
+      logger.warn('Could not read saved playback position:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Save a position, or forget it once the learner is near the end
+   * @param {number} position - Current position (seconds)
+   * @param {number} [duration] - Media duration (seconds)
+   * @param {Object} [options]
+   * @param {boolean} [options.force=false] - Skip the save interval (pause, page hide)
+   */
+  async save(position, duration, { force = false } = {}) {
+    if (!force && this.lastSaved !== null && Math.abs(position - this.lastSaved) < SAVE_INTERVAL) return;
+
+    if (duration > 0 && position >= duration - END_MARGIN) {
+      await this.clear();
+      return;
+    }
+    if (position < MIN_POSITION) return;
+
+    this.lastSaved = position;
+    try {
+      await this.storage.setItem(this.key, JSON.stringify({
+        position: Math.floor(position),
+        duration: duration > 0 ? Math.floor(duration) : 0,
+        savedAt: Date.now()
+      }));
+    } catch (error) {
+      logger.warn('Could not save playback position:', error.message);
+    }
+  }
+
+  /**
+   * Forget the saved position
+   */
+  async clear() {
+    this.lastSaved = null;
+    try {
+      await this.storage.removeItem(this.key);
+    } catch (error) {
+      logger.warn('Could not clear saved playback position:', error.message);
+    }
+  }
+}
+
+/**
+ * Create the position store for a learning object
+ * @param {LearningObjectWrapper} wrapper - Wrapper whose config may hold `positionStorage`
+ * @param {Object} content - Resolved content config
+ * @returns {PlaybackPositionStore|null} Null without a manifest id, storage, or when `resume` is false
+ */
+export function createPositionStore(wrapper, content) {
+  if (!content.id || content.resume === false) return null;
+
+  const storage = wrapper.config.positionStorage || getLocalStorage();
+  return storage ? new PlaybackPositionStore(content.id, storage) : null;
+}
+
+function getLocalStorage() {
+  try {
+    return window.localStorage;
+  } catch (error) {
+    // Blocked in some sandboxed iframes
+    return null;
+  }
+}
+
+export default PlaybackPositionStore;
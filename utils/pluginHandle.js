@@ -0,0 +1,50 @@
+/**
+ * Plugin Handle
+ * Contract for the value a content plugin's load() resolves to. The wrapper
+ * keeps the handle for the lifetime of the content and calls destroy() from
+ * wrapper.destroy().
+ *
+ *   destroy()  - remove the plugin's DOM, listeners, timers and player instances
+ *   pause()    - pause playback or animation (no-op for static content)
+ *   resume()   - undo pause()
+ *   getState() - plain-object snapshot of the plugin state
+ *
+ * Optional capabilities, only present when the plugin supports them:
+ *
+ *   seek(seconds)         - jump media playback to a position (used by transcripts)
+ *   setLanguage(language) - switch captions/audio language; return false if unavailable
+ *   getResult()           - score/success/completion of graded content, or null before there is one
+ */
+
+const noop = () => {};
+
+const HANDLE_METHODS = ['destroy', 'pause', 'resume', 'getState'];
+const OPTIONAL_METHODS = ['seek', 'setLanguage', 'getResult'];
+
+/**
+ * Normalise whatever a plugin returned into a full handle
+ * Accepts a handle (missing methods become no-ops), a bare cleanup function
+ * (used as destroy) or nothing at all.
+ * @param {Object|Function|undefined} result - Value returned by plugin load()
+ * @returns {{destroy: Function, pause: Function, resume: Function, getState: Function}}
+ */
+export function normalizePluginHandle(result) {
+  const handle = {
+    destroy: noop,
+    pause: noop,
+    resume: noop,
+    getState: () => ({})
+  };
+
+  if (typeof result === 'function') {
+    handle.destroy = result;
+  } else if (result && typeof result === 'object') {
+    [...HANDLE_METHODS, ...OPTIONAL_METHODS].forEach(method => {
+      if (typeof result[method] === 'function') {
+        handle[method] = result[method].bind(result);
+      }
+    });
+  }
+
+  return handle;
+}
@@ -0,0 +1,136 @@
+/**
+ * Resize Messages
+ * Tells the embedding page how tall the wrapper is. Each platform listens for
+ * a different message, so the formats to send are chosen per deployment, and
+ * messages only go to allowed parent origins.
+ *
+ *   lti            - { subject: 'lti.frameResize', height } (Canvas and other LTI hosts)
+ *   moodle         - the LTI message as a JSON string (Moodle's LTI module parses strings)
+ *   brightspace    - the LTI message with a CSS height ('480px'), as Brightspace expects
+ *   iframe-resizer - '[iFrameSizer]<frameId>:<height>:<width>:<type>' for hosts
+ *                    using the iframe-resizer library (davidjbradshaw/iframe-resizer)
+ */
+
+import logger from './logger.js';
+import { matchOrigin, getParentOrigin, resolveTargetOrigins } from './origins.js';
+
+const IFRAME_RESIZER_PREFIX = '[iFrameSizer]';
+
+/**
+ * Message formatters: ({ height, width, type }, { frameId }) => message
+ */
+export const RESIZE_FORMATS = {
+  lti: ({ height }) => ({ subject: 'lti.frameResize', height }),
+
+  moodle: ({ height }) => JSON.stringify({ subject: 'lti.frameResize', height }),
+
+  brightspace: ({ height }) => ({ subject: 'lti.frameResize', height: `${height}px` }),
+
+  'iframe-resizer': ({ height, width, type }, { frameId }) =>
+    `${IFRAME_RESIZER_PREFIX}${frameId}:${height}:${width}:${type}`
+};
+
+/**
+ * Add or replace a resize message format
+ * @param {string} name - Name used in the `resize.formats` config
+ * @param {Function} formatter - ({ height, width, type }, { frameId }) => message
+ */
+export function registerResizeFormat(name, formatter) {
+  if (typeof formatter !== 'function') {
+    throw new TypeError(`Resize format "${name}" must be a function`);
+  }
+  RESIZE_FORMATS[name] = formatter;
+}
+
+/**
+ * Whether an allowlist entry can be used as a postMessage target
+ * @param {string} origin - '*', an origin, or one with a `*.` subdomain wildcard
+ * @returns {boolean}
+ */
+function isValidOrigin(origin) {
+  if (origin === '*') return true;
+  try {
+    return new URL(origin).origin !== 'null';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Sends resize messages to the parent frame
+ */
+export class ResizeMessenger {
+  /**
+   * @param {Object} [options]
+   * @param {string[]} [options.formats] - Names from RESIZE_FORMATS (default: ['lti'])
+   * @param {string[]} [options.targetOrigins=[]] - Allowed parent origins; empty means the detected parent origin
+   */
+  constructor(options = {}) {
+    this.frameId = 'iFrameResizer0';
+    this.configure(options);
+  }
+
+  /**
+   * Change formats or origins (e.g. once the manifest has loaded)
+   */
+  configure({ formats = [], targetOrigins = [] } = {}) {
+    const names = formats.length > 0 ? formats : ['lti'];
+    const unknown = names.filter(name => !RESIZE_FORMATS[name]);
+    if (unknown.length > 0) {
+      logger.warn(`Unknown resize format(s): ${unknown.join(', ')}. Available: ${Object.keys(RESIZE_FORMATS).join(', ')}`);
+    }
+
+    this.formats = names.filter(name => RESIZE_FORMATS[name]);
+    // postMessage throws on a malformed origin, which would stop every later resize message
+    this.allowedOrigins = targetOrigins.filter(origin => {
+      const valid = isValidOrigin(origin);
+      if (!valid) logger.warn(`Ignoring invalid resize target origin "${origin}" (expected e.g. https://lms.example.edu)`);
+      return valid;
+    });
+    this.targets = resolveTargetOrigins(this.allowedOrigins, getParentOrigin());
+    if (this.targets.length === 0 && this.allowedOrigins.length === 0 && window.parent !== window) {
+      logger.warn('Not sending resize messages: the host origin is unknown. Add it to resize.targetOrigins, or "*" to allow any host.');
+    }
+    logger.debug('📏 Resize messages:', this.formats, '→', this.targets);
+  }
+
+  /**
+   * Post the size in every configured format to every target origin
+   * @param {number} height - Content height in pixels
+   * @param {number} width - Viewport width in pixels
+   * @param {string} [type='size'] - iframe-resizer message type ('init' answers the handshake)
+   */
+  send(height, width, type = 'size') {
+    if (window.parent === window) return;
+
+    this.formats.forEach(name => {
+      const message = RESIZE_FORMATS[name]({ height, width, type }, { frameId: this.frameId });
+      this.targets.forEach(origin => {
+        window.parent.postMessage(message, origin);
+      });
+    });
+  }
+
+  /**
+   * Pick up the frame id from an iframe-resizer parent's init message
+   * @param {MessageEvent} event - Message received by this window
+   * @returns {boolean} True when the parent is waiting for an 'init' reply
+   */
+  handleMessage(event) {
+    if (!this.formats.includes('iframe-resizer') || event.source !== window.parent) return false;
+    if (typeof event.data !== 'string' || !event.data.startsWith(IFRAME_RESIZER_PREFIX)) return false;
+
+    const allowed = this.allowedOrigins.length === 0 ||
+      this.allowedOrigins.some(pattern => matchOrigin(event.origin, pattern));
+    if (!allowed) return false;
+
+    // Init is '<frameId>:<settings...>'; 'reset', 'resize' and 'message:...' are other commands
+    const [frameId, ...settings] = event.data.slice(IFRAME_RESIZER_PREFIX.length).split(':');
+    if (!frameId || settings.length === 0 || frameId === 'message') return false;
+
+    this.frameId = frameId;
+    return true;
+  }
+}
+
+export default ResizeMessenger;
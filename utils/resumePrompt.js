@@ -0,0 +1,34 @@
+/**
+ * Resume Prompt
+ * The "Resume from 12:34 / Start over" bar that media plugins show under the
+ * player when a saved playback position is found (see playbackPosition.js).
+ */
+
+import { formatTime } from './transcript.js';
+
+/**
+ * Show the resume prompt after an element
+ * @param {HTMLElement} anchor - Element the prompt is inserted after (usually the player)
+ * @param {number} position - Saved position (seconds)
+ * @param {Object} actions - `onResume` and `onRestart` callbacks
+ * @returns {HTMLElement} The prompt element
+ */
+export function createResumePrompt(anchor, position, { onResume, onRestart }) {
+  const prompt = document.createElement('div');
+  prompt.className = 'lo-resume-prompt';
+  prompt.setAttribute('role', 'group');
+  prompt.setAttribute('aria-label', 'Resume playback');
+  prompt.innerHTML = `
+    <span class="lo-resume-text">You stopped at ${formatTime(position)}.</span>
+    <button type="button" class="lo-resume-btn lo-resume-btn-primary" data-resume="continue">Resume from ${formatTime(position)}</button>
+    <button type="button" class="lo-resume-btn" data-resume="restart">Start over</button>
+  `;
+
+  prompt.querySelector('[data-resume="continue"]').addEventListener('click', onResume);
+  prompt.querySelector('[data-resume="restart"]').addEventListener('click', onRestart);
+
+  anchor.after(prompt);
+  return prompt;
+}
+
+export default createResumePrompt;
@@ -0,0 +1,421 @@
+/**
+ * SCORM Runtime Adapter
+ * Finds a SCORM 1.2 (`API`) or SCORM 2004 (`API_1484_11`) runtime in the
+ * parent frames (or opener), opens a session and reports wrapper progress:
+ * completion/success status from analytics events, media position as suspend
+ * data, and session time on termination.
+ */
+
+import logger from './logger.js';
+
+/**
+ * Method and data model names for each SCORM version
+ */
+const RUNTIMES = {
+  '1.2': {
+    initialize: 'LMSInitialize',
+    terminate: 'LMSFinish',
+    getValue: 'LMSGetValue',
+    setValue: 'LMSSetValue',
+    commit: 'LMSCommit',
+    getLastError: 'LMSGetLastError',
+    getErrorString: 'LMSGetErrorString',
+    entry: 'cmi.core.entry',
+    location: 'cmi.core.lesson_location',
+    suspendData: 'cmi.suspend_data',
+    exit: 'cmi.core.exit',
+    sessionTime: 'cmi.core.session_time',
+    score: 'cmi.core.score',
+    suspendDataLimit: 4096
+  },
+  '2004': {
+    initialize: 'Initialize',
+    terminate: 'Terminate',
+    getValue: 'GetValue',
+    setValue: 'SetValue',
+    commit: 'Commit',
+    getLastError: 'GetLastError',
+    getErrorString: 'GetErrorString',
+    entry: 'cmi.entry',
+    location: 'cmi.location',
+    suspendData: 'cmi.suspend_data',
+    exit: 'cmi.exit',
+    sessionTime: 'cmi.session_time',
+    score: 'cmi.score',
+    suspendDataLimit: 64000
+  }
+};
+
+const DEFAULTS = {
+  // Analytics actions that complete the object; other content types complete once loaded.
+  // H5P completes only through the result its xAPI statements report (reportResult())
+  completeOn: { video: ['video_complete'], audio: ['audio_complete'], h5p: [], default: ['content_loaded'] },
+  // Analytics actions that mark the object as passed
+  passOn: [],
+  // Analytics actions that save the current position
+  saveOn: ['video_pause', 'audio_pause'],
+  // Seek back to the saved position when the learner resumes an attempt
+  resumePosition: true
+};
+
+/**
+ * Find the SCORM API in this window's parents or opener
+ * SCORM 2004 is preferred when a frame exposes both.
+ * @param {Window} [win] - Window to start from
+ * @param {number} [maxDepth=10] - Frames to climb before giving up
+ * @returns {{api: Object, version: string}|null}
+ */
+export function findScormAPI(win = window, maxDepth = 10) {
+  const search = (start) => {
+    let current = start;
+    for (let depth = 0; current && depth <= maxDepth; depth++) {
+      try {
+        if (current.API_1484_11) return { api: current.API_1484_11, version: '2004' };
+        if (current.API) return { api: current.API, version: '1.2' };
+      } catch (error) {
+        // Cross-origin frame: nothing more to find on this path
+        return null;
+      }
+      if (current.parent === current) break;
+      current = current.parent;
+    }
+    return null;
+  };
+
+  let opener = null;
+  try {
+    opener = win.opener;
+  } catch (error) {
+    opener = null;
+  }
+
+  return search(win) || (opener ? search(opener) : null);
+}
+
+/**
+ * Format a duration for the SCORM session time element
+ * @param {number} ms - Elapsed milliseconds
+ * @param {string} version - '1.2' (HHHH:MM:SS.SS) or '2004' (ISO 8601)
+ * @returns {string}
+ */
+export function formatSessionTime(ms, version) {
+  // Work in whole hundredths of a second to avoid floating point drift
+  const centiseconds = Math.floor(Math.max(0, ms) / 10);
+  const hours = Math.floor(centiseconds / 360000);
+  const minutes = Math.floor((centiseconds % 360000) / 6000);
+  const seconds = (centiseconds % 6000) / 100;
+
+  if (version === '1.2') {
+    const pad = value => String(value).padStart(2, '0');
+    const [whole, fraction] = seconds.toFixed(2).split('.');
+    return `${pad(Math.min(hours, 9999))}:${pad(minutes)}:${pad(whole)}.${fraction}`;
+  }
+
+  return `PT${hours}H${minutes}M${seconds}S`;
+}
+
+/**
+ * Reports wrapper progress to a SCORM runtime
+ */
+export class ScormAdapter {
+  /**
+   * @param {LearningObjectWrapper} wrapper - Wrapper whose events are reported
+   * @param {{api: Object, version: string}} runtime - Result of findScormAPI()
+   * @param {Object} [options] - See DEFAULTS
+   */
+  constructor(wrapper, { api, version }, options = {}) {
+    this.wrapper = wrapper;
+    this.api = api;
+    this.version = version;
+    this.names = RUNTIMES[version];
+    this.options = { ...DEFAULTS, ...options };
+
+    if (!this.names) {
+      throw new TypeError(`Unsupported SCORM version "${version}"`);
+    }
+
+    this.active = false;
+    this.startTime = 0;
+    this.suspendData = {};
+
+    this.handleTrack = (event) => this.onEvent(event.detail.action);
+    this.handleLoaded = () => this.onContentLoaded();
+    this.handleUnload = () => this.stop();
+  }
+
+  /**
+   * Initialise the SCORM session and start listening for wrapper events
+   * @returns {boolean} Whether the LMS accepted the session
+   */
+  start() {
+    if (this.active) return true;
+
+    if (!this.call('initialize', '')) {
+      logger.error('❌ SCORM initialise failed:', this.getLastError());
+      return false;
+    }
+
+    this.active = true;
+    this.startTime = Date.now();
+    this.suspendData = this.readSuspendData();
+
+    // First launch: move from "not attempted" to "incomplete"
+    const status = this.getValue(this.version === '2004' ? 'cmi.completion_status' : 'cmi.core.lesson_status');
+    if (['', 'not attempted', 'unknown'].includes(status) && this.setCompletion('incomplete')) {
+      this.commit();
+    }
+
+    this.wrapper.container.addEventListener('analytics:track', this.handleTrack);
+    this.wrapper.container.addEventListener('content:loaded', this.handleLoaded);
+    window.addEventListener('pagehide', this.handleUnload);
+    window.addEventListener('beforeunload', this.handleUnload);
+
+    logger.debug(`📚 SCORM ${this.version} session started`);
+    this.wrapper.dispatchEvent('scorm:initialized', { version: this.version, entry: this.getValue(this.names.entry) });
+    return true;
+  }
+
+  /**
+   * Save progress, record session time and terminate the session
+   */
+  stop() {
+    if (!this.active) return;
+
+    this.saveProgress();
+    const completed = this.isCompleted();
+
+    if (this.version === '1.2') {
+      this.setValue(this.names.exit, completed ? '' : 'suspend');
+    } else {
+      this.setValue(this.names.exit, completed ? 'normal' : 'suspend');
+    }
+    this.setValue(this.names.sessionTime, formatSessionTime(Date.now() - this.startTime, this.version));
+    this.commit();
+    this.call('terminate', '');
+
+    this.active = false;
+    this.wrapper.container.removeEventListener('analytics:track', this.handleTrack);
+    this.wrapper.container.removeEventListener('content:loaded', this.handleLoaded);
+    window.removeEventListener('pagehide', this.handleUnload);
+    window.removeEventListener('beforeunload', this.handleUnload);
+
+    logger.debug('📚 SCORM session terminated');
+    this.wrapper.dispatchEvent('scorm:terminated', { version: this.version, completed });
+  }
+
+  /**
+   * React to a wrapper analytics action
+   * @param {string} action - e.g. 'video_complete'
+   */
+  onEvent(action) {
+    let changed = false;
+
+    if (this.options.passOn.includes(action)) {
+      changed = this.setSuccess(true) || changed;
+    }
+    if (this.getCompletionEvents().includes(action)) {
+      changed = this.setCompletion('completed') || changed;
+    }
+    if (this.options.saveOn.includes(action)) {
+      changed = this.saveProgress() || changed;
+    }
+
+    // Most events (e.g. camera moves) change nothing, so only commit when needed
+    if (changed) this.commit();
+  }
+
+  onContentLoaded() {
+    this.onEvent('content_loaded');
+
+    const position = this.getResumePosition();
+    if (position > 0 && this.wrapper.seekTo(position)) {
+      logger.debug('📚 Resumed SCORM attempt at', position);
+    }
+  }
+
+  /**
+   * Position this adapter seeks to when the learner resumes an attempt
+   * @returns {number} Seconds, or 0 when there is nothing to resume
+   */
+  getResumePosition() {
+    const position = this.suspendData.position;
+    const resuming = this.getValue(this.names.entry) === 'resume';
+    return this.options.resumePosition && resuming && position > 0 ? position : 0;
+  }
+
+  getCompletionEvents() {
+    const { completeOn } = this.options;
+    if (Array.isArray(completeOn)) return completeOn;
+
+    const type = this.wrapper.content?.type;
+    return completeOn[type] || completeOn.default || [];
+  }
+
+  /**
+   * Record the current media position in suspend data and the location element
+   * @returns {boolean} Whether a position was saved
+   */
+  saveProgress() {
+    let state = {};
+    try {
+      state = this.wrapper.plugin?.getState() || {};
+    } catch (error) {
+      state = {};
+    }
+
+    if (typeof state.currentTime !== 'number' || state.currentTime <= 0) return false;
+
+    const position = Math.floor(state.currentTime);
+    this.setValue(this.names.location, String(position));
+    return this.setSuspendData({ position });
+  }
+
+  /**
+   * Merge values into the JSON suspend data
+   * @param {Object} values - Values to store
+   * @returns {boolean} Whether the data fitted the LMS limit
+   */
+  setSuspendData(values) {
+    const next = { ...this.suspendData, ...values };
+    const serialised = JSON.stringify(next);
+
+    if (serialised.length > this.names.suspendDataLimit) {
+      logger.warn(`SCORM suspend data exceeds ${this.names.suspendDataLimit} characters; not saved`);
+      return false;
+    }
+
+    this.suspendData = next;
+    return this.setValue(this.names.suspendData, serialised);
+  }
+
+  readSuspendData() {
+    const raw = this.getValue(this.names.suspendData);
+    if (!raw) return {};
+
+    try {
+      const data = JSON.parse(raw);
+      return data && typeof data === 'object' ? data : {};
+    } catch (error) {
+      logger.warn('Ignoring SCORM suspend data that is not JSON');
+      return {};
+    }
+  }
+
+  /**
+   * Set completion status ('incomplete' or 'completed')
+   * @returns {boolean} Whether the status changed
+   */
+  setCompletion(status) {
+    if (this.version === '2004') {
+      return this.updateValue('cmi.completion_status', status);
+    }
+
+    // SCORM 1.2 has a single status; don't replace passed/failed with completed
+    const current = this.getValue('cmi.core.lesson_status');
+    if (status === 'completed' && (current === 'passed' || current === 'failed')) return false;
+    return this.updateValue('cmi.core.lesson_status', status);
+  }
+
+  /**
+   * Set success status
+   * @param {boolean} passed - Passed or failed
+   * @returns {boolean} Whether the status changed
+   */
+  setSuccess(passed) {
+    const element = this.version === '2004' ? 'cmi.success_status' : 'cmi.core.lesson_status';
+    return this.updateValue(element, passed ? 'passed' : 'failed');
+  }
+
+  /**
+   * Report a score
+   * @param {Object} score
+   * @param {number} score.raw - Raw score
+   * @param {number} [score.min=0] - Minimum possible score
+   * @param {number} [score.max=100] - Maximum possible score
+   */
+  setScore({ raw, min = 0, max = 100 }) {
+    const prefix = this.names.score;
+    this.setValue(`${prefix}.min`, String(min));
+    this.setValue(`${prefix}.max`, String(max));
+    this.setValue(`${prefix}.raw`, String(raw));
+
+    if (this.version === '2004' && max > min) {
+      const scaled = Math.max(-1, Math.min(1, (raw - min) / (max - min)));
+      this.setValue('cmi.score.scaled', String(Math.round(scaled * 10000) / 10000));
+    }
+  }
+
+  /**
+   * Record a result reported by graded content (see wrapper.reportResult())
+   * @param {Object} result
+   * @param {Object} [result.score] - `{ raw, min, max }`
+   * @param {boolean|null} [result.success] - Passed or failed, when the content decides
+   * @param {boolean} [result.completion] - Whether the activity is finished
+   */
+  reportResult({ score, success, completion } = {}) {
+    if (!this.active) return;
+
+    if (score && typeof score.raw === 'number') {
+      this.setScore({ raw: score.raw, min: score.min ?? 0, max: score.max ?? 100 });
+    }
+    // Success first: on SCORM 1.2, passed/failed then wins over completed
+    if (typeof success === 'boolean') {
+      this.setSuccess(success);
+    }
+    if (completion) {
+      this.setCompletion('completed');
+    }
+    this.commit();
+  }
+
+  isCompleted() {
+    if (this.version === '2004') {
+      return this.getValue('cmi.completion_status') === 'completed';
+    }
+    return ['completed', 'passed'].includes(this.getValue('cmi.core.lesson_status'));
+  }
+
+  getValue(element) {
+    return this.api[this.names.getValue](element) || '';
+  }
+
+  setValue(element, value) {
+    const ok = this.call('setValue', element, value);
+    if (!ok) {
+      logger.warn(`SCORM could not set ${element}:`, this.getLastError());
+    }
+    return ok;
+  }
+
+  /**
+   * Set a value only if it differs from the stored one
+   * @returns {boolean} Whether the value changed
+   */
+  updateValue(element, value) {
+    if (this.getValue(element) === value) return false;
+    return this.setValue(element, value);
+  }
+
+  commit() {
+    return this.call('commit', '');
+  }
+
+  getLastError() {
+    const code = this.api[this.names.getLastError]();
+    return `${code} ${this.api[this.names.getErrorString](code) || ''}`.trim();
+  }
+
+  /**
+   * Call a runtime method; SCORM returns the strings "true"/"false"
+   */
+  call(method, ...args) {
+    try {
+      return String(this.api[this.names[method]](...args)) === 'true';
+    } catch (error) {
+      logger.error(`❌ SCORM ${this.names[method]} threw:`, error);
+      return false;
+    }
+  }
+}
+
+export default ScormAdapter;
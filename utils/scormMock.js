@@ -0,0 +1,147 @@
+/**
+ * Mock SCORM Runtime
+ * In-memory SCORM 1.2 / 2004 API for tests and for trying a package
+ * without an LMS. Values and calls are kept on `api.data` and `api.calls`.
+ *
+ *   import { installMockScormAPI } from './utils/scormMock.js';
+ *   installMockScormAPI(window, '2004');
+ */
+
+const METHODS = {
+  '1.2': {
+    LMSInitialize: 'initialize',
+    LMSFinish: 'terminate',
+    LMSGetValue: 'getValue',
+    LMSSetValue: 'setValue',
+    LMSCommit: 'commit',
+    LMSGetLastError: 'getLastError',
+    LMSGetErrorString: 'getErrorString',
+    LMSGetDiagnostic: 'getErrorString'
+  },
+  '2004': {
+    Initialize: 'initialize',
+    Terminate: 'terminate',
+    GetValue: 'getValue',
+    SetValue: 'setValue',
+    Commit: 'commit',
+    GetLastError: 'getLastError',
+    GetErrorString: 'getErrorString',
+    GetDiagnostic: 'getErrorString'
+  }
+};
+
+const INITIAL_DATA = {
+  '1.2': {
+    'cmi.core.lesson_status': 'not attempted',
+    'cmi.core.entry': 'ab-initio',
+    'cmi.suspend_data': ''
+  },
+  '2004': {
+    'cmi.completion_status': 'unknown',
+    'cmi.success_status': 'unknown',
+    'cmi.entry': 'ab-initio',
+    'cmi.suspend_data': ''
+  }
+};
+
+// Error codes used by the mock (not initialised / already terminated)
+const ERRORS = {
+  '1.2': { notInitialized: '301', terminated: '301' },
+  '2004': { notInitialized: '122', terminated: '123' }
+};
+
+/**
+ * Create a mock SCORM API
+ * @param {string} [version='2004'] - '1.2' or '2004'
+ * @param {Object} [data] - Initial CMI values (e.g. `{ 'cmi.entry': 'resume' }`)
+ * @returns {Object} API object with `data`, `calls`, `initialized` and `terminated`
+ */
+export function createMockScormAPI(version = '2004', data = {}) {
+  const api = {
+    version,
+    data: { ...INITIAL_DATA[version], ...data },
+    calls: [],
+    initialized: false,
+    terminated: false,
+    lastError: '0'
+  };
+
+  const fail = (code) => {
+    api.lastError = code;
+    return 'false';
+  };
+
+  const checkSession = () => {
+    if (api.terminated) return ERRORS[version].terminated;
+    if (!api.initialized) return ERRORS[version].notInitialized;
+    return null;
+  };
+
+  const handlers = {
+    initialize() {
+      if (api.initialized || api.terminated) return fail('103');
+      api.initialized = true;
+      api.lastError = '0';
+      return 'true';
+    },
+    terminate() {
+      const error = checkSession();
+      if (error) return fail(error);
+      api.terminated = true;
+      api.lastError = '0';
+      return 'true';
+    },
+    getValue(element) {
+      const error = checkSession();
+      if (error) {
+        api.lastError = error;
+        return '';
+      }
+      api.lastError = '0';
+      return api.data[element] ?? '';
+    },
+    setValue(element, value) {
+      const error = checkSession();
+      if (error) return fail(error);
+      api.data[element] = String(value);
+      api.lastError = '0';
+      return 'true';
+    },
+    commit() {
+      const error = checkSession();
+      if (error) return fail(error);
+      api.lastError = '0';
+      return 'true';
+    },
+    getLastError() {
+      return api.lastError;
+    },
+    getErrorString(code) {
+      return code === '0' ? 'No error' : `Mock SCORM error ${code}`;
+    }
+  };
+
+  Object.entries(METHODS[version]).forEach(([method, handler]) => {
+    api[method] = (...args) => {
+      api.calls.push([method, ...args]);
+      return handlers[handler](...args);
+    };
+  });
+
+  return api;
+}
+
+/**
+ * Expose a mock API where the adapter looks for it
+ * @param {Window} [target=window] - Window to install on
+ * @param {string} [version='2004'] - '1.2' or '2004'
+ * @param {Object} [data] - Initial CMI values
+ * @returns {Object} The mock API
+ */
+export function installMockScormAPI(target = window, version = '2004', data = {}) {
+  const api = createMockScormAPI(version, data);
+  target[version === '1.2' ? 'API' : 'API_1484_11'] = api;
+  return api;
+}
+
+export default createMockScormAPI;
@@ -0,0 +1,208 @@
+/**
+ * Transcript Utilities
+ * Parses plain-text transcripts with `[mm:ss]` / `[hh:mm:ss]` timestamps into
+ * cue lines the wrapper can sync with media playback.
+ */
+
+const TIMESTAMP_PATTERN = /^\s*\[(\d{1,2}:)?(\d{1,2}):(\d{2})(?:\.\d+)?\]\s*/;
+
+/**
+ * Parse transcript text into lines
+ * Blank lines separate paragraphs; a paragraph starting with a timestamp
+ * becomes a timed cue, anything else is kept as an untimed line (e.g. a heading).
+ * @param {string} text - Transcript text
+ * @returns {Array<{start: number|null, text: string}>}
+ */
+export function parseTranscript(text) {
+  const lines = [];
+  let current = null;
+
+  String(text || '').split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+
+    if (!line) {
+      current = null;
+      return;
+    }
+
+    const match = line.match(TIMESTAMP_PATTERN);
+    if (match) {
+      const [, hours = '0:', minutes, seconds] = match;
+      current = {
+        start: parseInt(hours, 10) * 3600 + parseInt(minutes, 10) * 60 + parseInt(seconds, 10),
+        text: line.slice(match[0].length)
+      };
+      lines.push(current);
+    } else if (current) {
+      // Continuation of the previous paragraph
+      current.text += ` ${line}`;
+    } else {
+      current = { start: null, text: line };
+      lines.push(current);
+    }
+  });
+
+  return lines;
+}
+
+/**
+ * Check whether parsed lines carry any timestamps
+ * @param {Array<{start: number|null}>} lines - Parsed transcript lines
+ * @returns {boolean}
+ */
+export function hasTimedCues(lines) {
+  return lines.some(line => line.start !== null);
+}
+
+/**
+ * Find the line that is current at a playback time
+ * @param {Array<{start: number|null}>} lines - Parsed transcript lines (in time order)
+ * @param {number} time - Playback position in seconds
+ * @returns {number} Index of the active line, or -1 before the first cue
+ */
+export function findActiveCue(lines, time) {
+  let active = -1;
+  lines.forEach((line, index) => {
+    if (line.start !== null && line.start <= time) {
+      active = index;
+    }
+  });
+  return active;
+}
+
+/**
+ * Format seconds as mm:ss (or h:mm:ss for long media)
+ * @param {number} totalSeconds - Time in seconds
+ * @returns {string}
+ */
+export function formatTime(totalSeconds) {
+  const seconds = Math.max(0, Math.floor(totalSeconds || 0));
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = seconds % 60;
+  const pad = value => String(value).padStart(2, '0');
+  return h > 0 ? `${h}:${pad(m)}:${pad(s)}` : `${pad(m)}:${pad(s)}`;
+}
+
+/**
+ * Parse a WebVTT file into cues
+ * Header, NOTE, STYLE and REGION blocks are skipped and cue markup is stripped.
+ * @param {string} text - WebVTT file contents
+ * @returns {Array<{start: number, end: number, text: string}>}
+ */
+export function parseVTT(text) {
+  const cues = [];
+  const blocks = String(text || '').replace(/\r\n?/g, '\n').split(/\n{2,}/);
+
+  blocks.forEach(block => {
+    const lines = block.split('\n').filter(line => line.trim() !== '');
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) return;
+
+    // Cue settings (e.g. "align:start") follow the end time
+    const [startText, endText] = lines[timingIndex].split('-->').map(part => part.trim().split(/\s+/)[0]);
+    const cueText = stripCueMarkup(lines.slice(timingIndex + 1).join(' '));
+    if (!cueText) return;
+
+    cues.push({ start: parseVTTTime(startText), end: parseVTTTime(endText), text: cueText });
+  });
+
+  return cues;
+}
+
+/**
+ * Merge short caption cues into readable paragraphs
+ * A new paragraph starts after a pause, once a paragraph gets long, or at the
+ * end of a sentence once the paragraph has enough text.
+ * @param {Array<{start: number, end: number, text: string}>} cues - Parsed cues
+ * @param {Object} [options]
+ * @param {number} [options.maxGap=2] - Pause (seconds) that always starts a new paragraph
+ * @param {number} [options.maxDuration=30] - Longest paragraph in seconds
+ * @param {number} [options.minLength=80] - Characters needed before a sentence end closes a paragraph
+ * @returns {Array<{start: number, end: number, text: string}>}
+ */
+export function mergeCues(cues, { maxGap = 2, maxDuration = 30, minLength = 80 } = {}) {
+  const paragraphs = [];
+  let current = null;
+
+  cues.forEach(cue => {
+    const startsParagraph = !current ||
+      cue.start - current.end > maxGap ||
+      cue.end - current.start > maxDuration ||
+      (current.text.length >= minLength && /[.!?…]["')\]]?$/.test(current.text));
+
+    if (startsParagraph) {
+      current = { ...cue };
+      paragraphs.push(current);
+    } else {
+      current.text += ` ${cue.text}`;
+      current.end = cue.end;
+    }
+  });
+
+  return paragraphs;
+}
+
+/**
+ * Build transcript lines from a WebVTT caption file
+ * @param {string} text - WebVTT file contents
+ * @returns {Array<{start: number, text: string}>} Lines in the parseTranscript() format
+ */
+export function transcriptFromVTT(text) {
+  return mergeCues(parseVTT(text)).map(({ start, text: paragraph }) => ({ start, text: paragraph }));
+}
+
+/**
+ * Check whether transcript content is WebVTT
+ * @param {string} content - Transcript file contents
+ * @param {string} [format] - Declared format ('vtt' or 'text')
+ * @returns {boolean}
+ */
+export function isVTT(content, format) {
+  if (format) return format === 'vtt';
+  return /^\uFEFF?WEBVTT/.test(String(content || ''));
+}
+
+function parseVTTTime(value) {
+  const parts = value.split(':').map(Number);
+  return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+const CUE_ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&nbsp;': ' ',
+  '&lrm;': '',
+  '&rlm;': ''
+};
+
+function stripCueMarkup(text) {
+  return text
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(amp|lt|gt|nbsp|lrm|rlm);/g, entity => CUE_ENTITIES[entity])
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Find case-insensitive occurrences of a search query
+ * @param {string} text - Text to search
+ * @param {string} query - Search query
+ * @returns {Array<{start: number, end: number}>} Non-overlapping match ranges
+ */
+export function findMatches(text, query) {
+  const needle = String(query || '').trim().toLowerCase();
+  if (!needle) return [];
+
+  const haystack = String(text || '').toLowerCase();
+  const matches = [];
+  let index = haystack.indexOf(needle);
+
+  while (index !== -1) {
+    matches.push({ start: index, end: index + needle.length });
+    index = haystack.indexOf(needle, index + needle.length);
+  }
+
+  return matches;
+}
@@ -0,0 +1,117 @@
+/**
+ * Transcript Export
+ * Builds downloadable plain-text and HTML documents from parsed transcript
+ * lines, including the content title and attribution.
+ */
+
+import { formatTime } from './transcript.js';
+import { escapeHtml } from './html.js';
+
+/**
+ * Build a plain-text transcript
+ * @param {Object} details
+ * @param {string} [details.title] - Content title
+ * @param {Array<{start: number|null, text: string}>} details.lines - Parsed transcript lines
+ * @param {Object|null} [details.attribution] - Resolved attribution
+ * @returns {string}
+ */
+export function transcriptToText({ title, lines, attribution }) {
+  const blocks = [];
+
+  if (title) blocks.push(title);
+
+  lines.forEach(line => {
+    blocks.push(line.start === null ? line.text : `[${formatTime(line.start)}] ${line.text}`);
+  });
+
+  const credit = formatAttribution(attribution, part => (part.url ? `${part.text} (${part.url})` : part.text));
+  if (credit) blocks.push(credit);
+
+  return `${blocks.join('\n\n')}\n`;
+}
+
+/**
+ * Build a standalone HTML transcript document
+ * @param {Object} details
+ * @param {string} [details.title] - Content title
+ * @param {string} [details.language] - Transcript language code
+ * @param {Array<{start: number|null, text: string}>} details.lines - Parsed transcript lines
+ * @param {Object|null} [details.attribution] - Resolved attribution
+ * @returns {string}
+ */
+export function transcriptToHTML({ title, language, lines, attribution }) {
+  const heading = escapeHtml(title || 'Transcript');
+
+  const body = lines.map(line => {
+    if (line.start === null) {
+      return `    <h2>${escapeHtml(line.text)}</h2>`;
+    }
+    return `    <p><time datetime="PT${Math.floor(line.start)}S">${formatTime(line.start)}</time> ${escapeHtml(line.text)}</p>`;
+  }).join('\n');
+
+  const credit = formatAttribution(attribution, part => (
+    isSafeUrl(part.url) ?
+      `<a href="${escapeHtml(part.url)}">${escapeHtml(part.text)}</a>` :
+      escapeHtml(part.text)
+  ));
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(language || 'en')}">
+<head>
+  <meta charset="utf-8">
+  <title>${heading} - Transcript</title>
+  <style>
+    body { font-family: system-ui, sans-serif; line-height: 1.6; max-width: 40rem; margin: 2rem auto; padding: 0 1rem; }
+    time { color: #6b7280; font-variant-numeric: tabular-nums; margin-right: 0.5rem; }
+    footer { border-top: 1px solid #e5e7eb; margin-top: 2rem; padding-top: 1rem; font-size: 0.875rem; }
+  </style>
+</head>
+<body>
+  <h1>${heading}</h1>
+  <main>
+${body}
+  </main>${credit ? `\n  <footer>${credit}</footer>` : ''}
+</body>
+</html>
+`;
+}
+
+/**
+ * Suggest a file name for a downloaded transcript
+ * @param {string} [title] - Content title
+ * @param {string} [language] - Transcript language code
+ * @param {string} extension - File extension without the dot
+ * @returns {string} e.g. "intro-to-optics-transcript-en.txt"
+ */
+export function transcriptFilename(title, language, extension) {
+  const slug = String(title || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+  const parts = [slug, 'transcript', language].filter(Boolean);
+  return `${parts.join('-')}.${extension}`;
+}
+
+/**
+ * Attribution sentence: "Title" by Author is licensed under License
+ * (same wording as the wrapper's attribution footer)
+ */
+function formatAttribution(attribution, formatPart) {
+  if (!attribution) return '';
+
+  const { title, author, license } = attribution;
+  let text = '';
+
+  if (title?.text) text += `"${formatPart(title)}"`;
+  if (author?.text) text += `${text ? ' ' : ''}by ${formatPart(author)}`;
+  if (license?.text) text += text ? ` is licensed under ${formatPart(license)}` : formatPart(license);
+
+  return text;
+}
+
+function isSafeUrl(url) {
+  return /^https?:\/\//i.test(url || '');
+}
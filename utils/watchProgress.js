@@ -0,0 +1,131 @@
+/**
+ * Watch Progress
+ * Records which parts of a video were actually played, so "percent watched"
+ * means distinct time covered rather than how far the playhead was dragged.
+ * Jumps between time updates (seeking or scrubbing) are not counted, and
+ * rewatching a part doesn't count twice.
+ */
+
+export const DEFAULT_MILESTONES = [25, 50, 75, 90];
+
+// Largest gap between two time updates still treated as continuous playback
+// (browsers fire timeupdate every 250ms or so; 2s leaves room for 2x speed and jank)
+const MAX_PLAYBACK_STEP = 2;
+
+/**
+ * Add a range to a sorted list of non-overlapping ranges
+ * @param {Array<[number, number]>} ranges - Sorted `[start, end]` pairs (seconds)
+ * @param {number} start - Range start
+ * @param {number} end - Range end
+ * @returns {Array<[number, number]>} New sorted, merged list
+ */
+export function addRange(ranges, start, end) {
+  if (!(end > start)) return ranges;
+
+  const merged = [];
+  let inserted = false;
+
+  ranges.forEach(([rangeStart, rangeEnd]) => {
+    if (rangeEnd < start) {
+      merged.push([rangeStart, rangeEnd]);
+    } else if (rangeStart > end) {
+      if (!inserted) merged.push([start, end]);
+      inserted = true;
+      merged.push([rangeStart, rangeEnd]);
+    } else {
+      // Overlapping or touching: absorb into the new range
+      start = Math.min(start, rangeStart);
+      end = Math.max(end, rangeEnd);
+    }
+  });
+
+  if (!inserted) merged.push([start, end]);
+  return merged;
+}
+
+/**
+ * Total seconds covered by a list of ranges
+ * @param {Array<[number, number]>} ranges - Non-overlapping ranges
+ * @returns {number}
+ */
+export function totalWatched(ranges) {
+  return ranges.reduce((total, [start, end]) => total + (end - start), 0);
+}
+
+/**
+ * Tracks watched ranges and milestones for one video
+ */
+export class WatchProgress {
+  /**
+   * @param {Object} [options]
+   * @param {number[]} [options.milestones] - Percentages to report (default 25/50/75/90)
+   */
+  constructor({ milestones = DEFAULT_MILESTONES } = {}) {
+    this.milestones = [...new Set(milestones)].filter(m => m > 0 && m <= 100).sort((a, b) => a - b);
+    this.reached = new Set();
+    this.ranges = [];
+    this.duration = 0;
+    this.lastTime = 0;
+  }
+
+  /**
+   * Record a playback time update
+   * @param {number} time - Current playback position (seconds)
+   * @param {number} duration - Media duration (seconds)
+   * @returns {number[]} Milestones reached by this update
+   */
+  update(time, duration) {
+    if (duration > 0) this.duration = duration;
+
+    const step = time - this.lastTime;
+    if (step > 0 && step <= MAX_PLAYBACK_STEP) {
+      this.ranges = addRange(this.ranges, this.lastTime, time);
+    }
+    this.lastTime = time;
+
+    const percent = this.getPercent();
+    const newlyReached = this.milestones.filter(m => percent >= m && !this.reached.has(m));
+    newlyReached.forEach(m => this.reached.add(m));
+    return newlyReached;
+  }
+
+  /**
+   * Move the playhead without counting the skipped part
+   * @param {number} time - New position (seconds)
+   */
+  seek(time) {
+    this.lastTime = time;
+  }
+
+  /**
+   * Seconds of distinct content watched
+   */
+  getWatchedSeconds() {
+    return totalWatched(this.ranges);
+  }
+
+  /**
+   * Percentage of the video watched (0-100, one decimal place)
+   */
+  getPercent() {
+    if (!this.duration) return 0;
+    const watched = Math.min(this.duration, this.getWatchedSeconds());
+    // Round down so a milestone is never reported a fraction early
+    return Math.floor((watched / this.duration) * 1000 + 1e-6) / 10;
+  }
+
+  /**
+   * Snapshot for plugin state and analytics
+   * @returns {{percentWatched: number, watchedSeconds: number, watchedRanges: Array<[number, number]>, milestonesReached: number[]}}
+   */
+  getState() {
+    return {
+      percentWatched: this.getPercent(),
+      watchedSeconds: Math.round(this.getWatchedSeconds() * 10) / 10,
+      watchedRanges: this.ranges.map(([start, end]) => [Math.round(start * 1000) / 1000, Math.round(end * 1000) / 1000]),
+      milestonesReached: [...this.reached].sort((a, b) => a - b)
+    };
+  }
+}
+
+export default WatchProgress;
@@ -0,0 +1,514 @@
+/**
+ * xAPI Statement Emitter
+ * Optional module that turns wrapper analytics events (`analytics:track`)
+ * into xAPI statements and posts them to a Learning Record Store.
+ *
+ * Statements are queued, sent in batches and retried with exponential
+ * backoff. Unsent statements are kept in localStorage so they survive a
+ * reload, and are flushed with `keepalive` when the page is hidden.
+ */
+
+import logger from './logger.js';
+
+const XAPI_VERSION = '1.0.3';
+
+const VIDEO_EXTENSIONS = {
+  time: 'https://w3id.org/xapi/video/extensions/time',
+  timeTo: 'https://w3id.org/xapi/video/extensions/time-to',
+  progress: 'https://w3id.org/xapi/video/extensions/progress',
+  playedSegments: 'https://w3id.org/xapi/video/extensions/played-segments',
+  length: 'https://w3id.org/xapi/video/extensions/length',
+  sessionId: 'https://w3id.org/xapi/video/extensions/session-id'
+};
+
+/**
+ * Verbs used by the emitter (ADL and xAPI Video Profile vocabularies)
+ */
+export const XAPI_VERBS = {
+  initialized: 'http://adlnet.gov/expapi/verbs/initialized',
+  terminated: 'http://adlnet.gov/expapi/verbs/terminated',
+  completed: 'http://adlnet.gov/expapi/verbs/completed',
+  interacted: 'http://adlnet.gov/expapi/verbs/interacted',
+  progressed: 'http://adlnet.gov/expapi/verbs/progressed',
+  played: 'https://w3id.org/xapi/video/verbs/played',
+  paused: 'https://w3id.org/xapi/video/verbs/paused',
+  seeked: 'https://w3id.org/xapi/video/verbs/seeked',
+  answered: 'http://adlnet.gov/expapi/verbs/answered',
+  passed: 'http://adlnet.gov/expapi/verbs/passed',
+  failed: 'http://adlnet.gov/expapi/verbs/failed'
+};
+
+/**
+ * Activity types by content type (anything else is reported as media)
+ */
+export const XAPI_ACTIVITY_TYPES = {
+  video: 'https://w3id.org/xapi/video/activity-type/video',
+  default: 'http://adlnet.gov/expapi/activities/media'
+};
+
+/**
+ * Wrapper analytics actions that produce a statement, and their verb.
+ * Actions not listed here (e.g. `camera_change`, which fires continuously
+ * while orbiting) are ignored; pass `eventMap` to add or override entries.
+ */
+export const XAPI_EVENT_MAP = {
+  video_play: 'played',
+  video_pause: 'paused',
+  video_complete: 'completed',
+  video_milestone: 'progressed',
+  audio_play: 'played',
+  audio_pause: 'paused',
+  audio_complete: 'completed',
+  audio_milestone: 'progressed',
+  h5p_answered: 'answered',
+  h5p_completed: 'completed',
+  h5p_passed: 'passed',
+  h5p_failed: 'failed',
+  transcript_seek: 'seeked',
+  transcript_show: 'interacted',
+  transcript_hide: 'interacted',
+  transcript_download: 'interacted',
+  chapter_select: 'interacted',
+  image_view: 'interacted',
+  image_zoom: 'interacted',
+  image_description: 'interacted',
+  pdf_page: 'interacted',
+  pdf_zoom: 'interacted',
+  pdf_search: 'interacted',
+  pdf_download: 'interacted',
+  pdf_open: 'interacted',
+  hotspot_open: 'interacted',
+  animation_play: 'interacted',
+  animation_pause: 'interacted',
+  animation_select: 'interacted',
+  variant_select: 'interacted',
+  keyboard_help: 'interacted',
+  camera_reset: 'interacted',
+  auto_rotate_enabled: 'interacted',
+  auto_rotate_disabled: 'interacted',
+  ar_activated: 'interacted',
+  ar_handoff: 'interacted',
+  ar_link_copied: 'interacted',
+  ar_started: 'interacted',
+  ar_ended: 'interacted'
+};
+
+const DEFAULTS = {
+  endpoint: '',
+  auth: '',
+  actor: null,
+  registration: '',
+  activityId: '',
+  activityIdBase: '',
+  extensionBase: '',
+  eventMap: {},
+  batchSize: 20,
+  flushDelay: 1000,
+  retryDelay: 2000,
+  maxRetryDelay: 60000,
+  maxRetries: 5,
+  storageKey: 'lor-xapi-queue',
+  storage: undefined,
+  fetch: undefined
+};
+
+/**
+ * Build an xAPI statement for a wrapper event
+ * @param {Object} details
+ * @param {string} details.verb - Key of XAPI_VERBS
+ * @param {string} details.action - Wrapper analytics action (e.g. 'video_play')
+ * @param {string} [details.label] - Wrapper analytics label
+ * @param {Object} details.actor - xAPI Agent
+ * @param {Object} details.activity - `{ id, type, title }` of the learning object
+ * @param {Object} [details.state] - Plugin state snapshot (`currentTime`, `duration` for media)
+ * @param {string} [details.registration] - Registration UUID from the launch
+ * @param {string} [details.sessionId] - Identifies this viewing session
+ * @param {string} details.extensionBase - IRI prefix for wrapper-specific extensions
+ * @returns {Object} xAPI statement
+ */
+export function buildStatement({ verb, action, label, actor, activity, state = {}, registration, sessionId, extensionBase }) {
+  const resultExtensions = { [`${extensionBase}event`]: action };
+  if (label) resultExtensions[`${extensionBase}label`] = label;
+
+  const contextExtensions = { [`${extensionBase}content-type`]: activity.type };
+  const result = { extensions: resultExtensions };
+
+  const hasTime = typeof state.currentTime === 'number' && !Number.isNaN(state.currentTime);
+  const hasDuration = typeof state.duration === 'number' && state.duration > 0;
+
+  if (hasTime) {
+    resultExtensions[verb === 'seeked' ? VIDEO_EXTENSIONS.timeTo : VIDEO_EXTENSIONS.time] = round(state.currentTime);
+    if (hasDuration) {
+      resultExtensions[VIDEO_EXTENSIONS.progress] = round(Math.min(1, state.currentTime / state.duration));
+    }
+  }
+  // The video profile defines progress as the share of distinct time watched, when known
+  if (typeof state.percentWatched === 'number') {
+    resultExtensions[VIDEO_EXTENSIONS.progress] = round(state.percentWatched / 100);
+  }
+  if (Array.isArray(state.watchedRanges) && state.watchedRanges.length > 0) {
+    resultExtensions[VIDEO_EXTENSIONS.playedSegments] = state.watchedRanges
+      .map(([start, end]) => `${round(start)}[.]${round(end)}`)
+      .join('[,]');
+  }
+  if (hasDuration) {
+    contextExtensions[VIDEO_EXTENSIONS.length] = round(state.duration);
+  }
+  if (sessionId) {
+    contextExtensions[VIDEO_EXTENSIONS.sessionId] = sessionId;
+  }
+
+  if (verb === 'completed') {
+    result.completion = true;
+    if (hasDuration && typeof state.percentWatched !== 'number') resultExtensions[VIDEO_EXTENSIONS.progress] = 1;
+  }
+
+  // Graded content (e.g. H5P) carries its activity result on the statements that end it
+  if (state.result && ['completed', 'passed', 'failed'].includes(verb)) {
+    const { score, success } = state.result;
+    if (score && typeof score.raw === 'number') {
+      result.score = { raw: score.raw, min: score.min };
+      if (typeof score.max === 'number') result.score.max = score.max;
+      if (typeof score.scaled === 'number') result.score.scaled = score.scaled;
+    }
+    if (typeof success === 'boolean') result.success = success;
+    result.completion = true;
+  }
+
+  const definition = { type: XAPI_ACTIVITY_TYPES[activity.type] || XAPI_ACTIVITY_TYPES.default };
+  if (activity.title) definition.name = { 'en-US': activity.title };
+
+  const context = { platform: 'Learning Object Wrapper', extensions: contextExtensions };
+  if (registration) context.registration = registration;
+
+  return {
+    id: createUUID(),
+    actor,
+    verb: { id: XAPI_VERBS[verb], display: { 'en-US': verb } },
+    object: { objectType: 'Activity', id: activity.id, definition },
+    result,
+    context,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Derive the activity IRI for a learning object
+ * @param {Object} content - Resolved content config (`id`, `src`)
+ * @param {Object} options - `activityId` (used as-is) or `activityIdBase`
+ * @returns {string}
+ */
+export function getActivityId(content, { activityId, activityIdBase } = {}) {
+  if (activityId) return activityId;
+
+  const base = (activityIdBase || `${window.location.origin}/learning-objects`).replace(/\/+$/, '');
+  if (content.id) return `${base}/${encodeURIComponent(content.id)}`;
+
+  // Objects embedded by URL only are identified by their source
+  return new URL(content.src || window.location.href, window.location.href).href;
+}
+
+/**
+ * Sends wrapper analytics events to an LRS as xAPI statements
+ */
+export class XAPIEmitter {
+  /**
+   * @param {LearningObjectWrapper} wrapper - Wrapper whose events are reported
+   * @param {Object} options - LRS and mapping options (see DEFAULTS)
+   */
+  constructor(wrapper, options = {}) {
+    this.wrapper = wrapper;
+    this.options = { ...DEFAULTS, ...options };
+
+    if (!this.options.endpoint) {
+      throw new TypeError('xAPI endpoint is required');
+    }
+
+    this.endpoint = this.options.endpoint.replace(/\/*$/, '/');
+    this.eventMap = { ...XAPI_EVENT_MAP, ...this.options.eventMap };
+    this.extensionBase = this.options.extensionBase || `${window.location.origin}/xapi/extensions/`;
+    this.fetch = this.options.fetch || ((...args) => window.fetch(...args));
+    this.storage = this.options.storage === undefined ? getLocalStorage() : this.options.storage;
+    this.sessionId = createUUID();
+    this.actor = this.createActor();
+
+    this.queue = this.restoreQueue();
+    this.sending = false;
+    this.attempts = 0;
+    this.flushTimer = null;
+    this.started = false;
+
+    this.handleTrack = (event) => this.track(event.detail.action, event.detail.label);
+    this.handleLoaded = () => this.send('initialized', 'content_loaded');
+    this.handlePageHide = () => this.flush({ keepalive: true });
+  }
+
+  /**
+   * Start listening for wrapper events (and retry anything left from a previous session)
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    this.wrapper.container.addEventListener('analytics:track', this.handleTrack);
+    this.wrapper.container.addEventListener('content:loaded', this.handleLoaded);
+    window.addEventListener('pagehide', this.handlePageHide);
+
+    if (this.queue.length > 0) this.scheduleFlush(0);
+  }
+
+  /**
+   * Record the end of the session, send what is queued and stop listening
+   */
+  stop() {
+    if (!this.started) return;
+
+    this.send('terminated', 'wrapper_destroy');
+    this.flush({ keepalive: true });
+
+    this.wrapper.container.removeEventListener('analytics:track', this.handleTrack);
+    this.wrapper.container.removeEventListener('content:loaded', this.handleLoaded);
+    window.removeEventListener('pagehide', this.handlePageHide);
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    this.started = false;
+  }
+
+  /**
+   * Report a wrapper analytics event, if it maps to a verb
+   * @param {string} action - Analytics action (e.g. 'video_play')
+   * @param {string} [label] - Analytics label
+   */
+  track(action, label) {
+    const verb = this.eventMap[action];
+    if (!verb) return;
+    this.send(verb, action, label);
+  }
+
+  /**
+   * Queue a statement for the current learning object
+   * @param {string} verb - Key of XAPI_VERBS
+   * @param {string} action - Wrapper action the statement describes
+   * @param {string} [label] - Optional label
+   * @returns {Object} The queued statement
+   */
+  send(verb, action, label) {
+    const content = this.wrapper.content || this.wrapper.config;
+    const statement = buildStatement({
+      verb,
+      action,
+      label,
+      actor: this.actor,
+      activity: {
+        id: getActivityId(content, this.options),
+        type: content.type,
+        title: content.title
+      },
+      state: this.getPluginState(),
+      registration: this.options.registration,
+      sessionId: this.sessionId,
+      extensionBase: this.extensionBase
+    });
+
+    this.queue.push(statement);
+    this.saveQueue();
+
+    // Completion matters most; don't risk losing it to a closing tab
+    this.scheduleFlush(verb === 'completed' ? 0 : this.options.flushDelay);
+    return statement;
+  }
+
+  /**
+   * Post queued statements to the LRS
+   * @param {Object} [options]
+   * @param {boolean} [options.keepalive=false] - Let the request outlive the page
+   * @returns {Promise<void>}
+   */
+  async flush({ keepalive = false } = {}) {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    if (this.sending || this.queue.length === 0) return;
+
+    const batch = this.queue.slice(0, this.options.batchSize);
+    this.sending = true;
+
+    try {
+      const response = await this.fetch(`${this.endpoint}statements`, {
+        method: 'POST',
+        headers: this.getHeaders(),
+        body: JSON.stringify(batch),
+        keepalive
+      });
+
+      // 409: the LRS already has these statement ids (an earlier attempt got through)
+      if (response.ok || response.status === 409) {
+        this.removeFromQueue(batch);
+        this.attempts = 0;
+        this.wrapper.dispatchEvent('xapi:sent', { statements: batch });
+      } else if (response.status === 429 || response.status >= 500) {
+        throw new Error(`LRS responded with HTTP ${response.status}`);
+      } else {
+        // Retrying a rejected batch won't help
+        this.removeFromQueue(batch);
+        this.attempts = 0;
+        logger.error(`❌ LRS rejected ${batch.length} xAPI statement(s): HTTP ${response.status}`);
+        this.wrapper.dispatchEvent('xapi:error', { status: response.status, statements: batch, retrying: false });
+      }
+    } catch (error) {
+      this.attempts++;
+      const retrying = this.attempts <= this.options.maxRetries;
+      logger.warn(`xAPI send failed (attempt ${this.attempts}):`, error.message);
+      this.wrapper.dispatchEvent('xapi:error', { error, statements: batch, retrying });
+
+      if (!retrying) {
+        // Give up for now; the statements stay queued and the next event (or session)
+        // starts a fresh round of retries with backoff
+        this.attempts = 0;
+      } else if (this.started) {
+        const delay = Math.min(this.options.retryDelay * 2 ** (this.attempts - 1), this.options.maxRetryDelay);
+        this.scheduleFlush(delay);
+      }
+      return;
+    } finally {
+      this.sending = false;
+    }
+
+    if (this.queue.length > 0) this.scheduleFlush(0);
+  }
+
+  /**
+   * Schedule a flush, keeping an earlier one if already scheduled
+   */
+  scheduleFlush(delay) {
+    if (this.flushTimer !== null) {
+      if (delay > 0) return;
+      clearTimeout(this.flushTimer);
+    }
+    this.flushTimer = setTimeout(() => this.flush(), delay);
+  }
+
+  getHeaders() {
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Experience-API-Version': XAPI_VERSION
+    };
+
+    const { auth } = this.options;
+    if (typeof auth === 'string' && auth) {
+      headers.Authorization = auth;
+    } else if (auth && auth.username) {
+      headers.Authorization = `Basic ${btoa(`${auth.username}:${auth.password || ''}`)}`;
+    }
+
+    return headers;
+  }
+
+  /**
+   * Actor from the launch, or an anonymous account that is stable per browser
+   */
+  createActor() {
+    const { actor } = this.options;
+    if (actor && typeof actor === 'object') return actor;
+
+    if (typeof actor === 'string' && actor) {
+      try {
+        return JSON.parse(actor);
+      } catch (error) {
+        logger.warn('Ignoring invalid xAPI actor, reporting anonymously:', error.message);
+      }
+    }
+
+    let name = this.storage?.getItem(`${this.options.storageKey}:anonymous`);
+    if (!name) {
+      name = createUUID();
+      this.storage?.setItem(`${this.options.storageKey}:anonymous`, name);
+    }
+
+    return {
+      objectType: 'Agent',
+      account: { homePage: window.location.origin, name }
+    };
+  }
+
+  getPluginState() {
+    try {
+      return this.wrapper.plugin?.getState() || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  removeFromQueue(batch) {
+    const sent = new Set(batch.map(statement => statement.id));
+    this.queue = this.queue.filter(statement => !sent.has(statement.id));
+    this.saveQueue();
+  }
+
+  /**
+   * Storage key for unsent statements, per LRS and learner, so a shared computer
+   * never sends one learner's statements with the next learner's credentials
+   */
+  get queueKey() {
+    return `${this.options.storageKey}:${this.endpoint}:${actorKey(this.actor)}`;
+  }
+
+  restoreQueue() {
+    try {
+      const saved = JSON.parse(this.storage?.getItem(this.queueKey) || '[]');
+      return Array.isArray(saved) ? saved : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  saveQueue() {
+    try {
+      if (this.queue.length > 0) {
+        this.storage?.setItem(this.queueKey, JSON.stringify(this.queue));
+      } else {
+        this.storage?.removeItem(this.queueKey);
+      }
+    } catch (error) {
+      logger.warn('Could not persist xAPI queue:', error.message);
+    }
+  }
+}
+
+/**
+ * Stable identifier of an xAPI Agent (its inverse functional identifier)
+ * @param {Object} actor - xAPI Agent
+ * @returns {string}
+ */
+function actorKey(actor) {
+  if (actor.mbox) return actor.mbox;
+  if (actor.mbox_sha1sum) return `sha1:${actor.mbox_sha1sum}`;
+  if (actor.openid) return actor.openid;
+  if (actor.account) return `${actor.account.homePage}|${actor.account.name}`;
+  return JSON.stringify(actor);
+}
+
+function getLocalStorage() {
+  try {
+    return window.localStorage;
+  } catch (error) {
+    // Blocked in some sandboxed iframes
+    return null;
+  }
+}
+
+function createUUID() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, char => {
+    const random = Math.random() * 16 | 0;
+    return (char === 'x' ? random : (random & 0x3 | 0x8)).toString(16);
+  });
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+export default XAPIEmitter;
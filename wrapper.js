@@ -1,10 +1,20 @@
 import logger from './utils/logger.js';
+import { ManifestValidationError } from './utils/manifestValidator.js';
+import { loadContentConfig } from './utils/manifestResolver.js';
+import { normalizePluginHandle } from './utils/pluginHandle.js';
+import { escapeHtml } from './utils/html.js';
+import { HostMessageAPI } from './utils/hostMessages.js';
+import { ResizeMessenger } from './utils/resizeMessages.js';
+import { NoticeManager } from './utils/notices.js';
+import { contentPlugins } from './contentPlugins.js';
+import { parseTranscript, transcriptFromVTT, isVTT, hasTimedCues, findActiveCue, findMatches, formatTime } from './utils/transcript.js';
+import { transcriptToText, transcriptToHTML, transcriptFilename } from './utils/transcriptExport.js';
 
 /**
  * Learning Object Wrapper - Vanilla JavaScript Version
  *
  * Universal wrapper for embedding different types of learning content
- * Supports: video, 3D models, PDFs, H5P, websites, auto-detection
+ * Supports: video, audio, 3D models, PDFs, H5P, websites, auto-detection
  * Features: theming, iframe resize, transcript support, analytics ready
  */
 
@@ -18,6 +28,7 @@ class LearningObjectWrapper {
       manifestUrl: null,
       theme: 'auto',
       backgroundColor: null,
+      debug: false,
       ...config
     };
     
@@ -26,11 +37,52 @@ class LearningObjectWrapper {
       isReady: false,
       currentTheme: 'light',
       transcriptVisible: false,
+      transcriptLanguage: null,
+      transcriptParagraphs: [],
+      transcriptLines: [],
+      activeCueIndex: -1,
+      searchQuery: '',
+      searchMatches: [],
+      searchIndex: -1,
+      searchTimer: null,
+      mediaTime: 0,
       lastHeight: 0,
       lastWidth: 0,
-      resizeTimer: null,
-      mediaQuery: null
+      resizeFrame: null,
+      resizeForced: false,
+      mediaQuery: null,
+      destroyed: false
     };
+
+    // Fully-resolved content config (manifest + URL parameters), shared with the plugin
+    this.content = null;
+
+    // Handle returned by the active content plugin (see utils/pluginHandle.js)
+    this.plugin = null;
+
+    // Incremented per loadContent() call, so a load that finishes late can tell it was replaced
+    this.loadToken = 0;
+
+    // Teardown callbacks for listeners, observers and intervals, run by destroy()
+    this.cleanups = [];
+
+    // Optional xAPI reporter (utils/xapi.js), created when an LRS is configured
+    this.xapi = null;
+
+    // SCORM adapter (utils/scorm.js), created when a SCORM API is found
+    this.scorm = null;
+
+    // Inbound postMessage commands from the host page (utils/hostMessages.js)
+    this.hostMessages = null;
+
+    // Outbound resize messages (utils/resizeMessages.js), reconfigured once the manifest loads
+    this.resizeMessenger = new ResizeMessenger(this.config.resize);
+
+    // Toasts and dialogs shown in place of alert() (utils/notices.js)
+    this.notices = new NoticeManager(this.container, {
+      onShow: ({ id, severity, message, dialog }) => this.dispatchEvent('notice:show', { id, severity, message, dialog }),
+      onClose: ({ id, severity, result }) => this.dispatchEvent('notice:close', { id, severity, result })
+    });
     
     // Initialize wrapper
     this.initialize();
@@ -55,22 +107,32 @@ class LearningObjectWrapper {
       this.initializeResize();
       logger.debug('✅ Resize handling initialized');
       
-      // Load manifest if provided
-      if (this.config.manifestUrl) {
-        logger.debug('📄 Loading manifest:', this.config.manifestUrl);
-        await this.loadManifest();
-      }
+      // Resolve manifest (if provided) and URL parameters into one content config
+      await this.resolveContent();
+
+      // destroy() may have run while the manifest was loading
+      if (this.state.destroyed) return;
       
       // Mark as ready and dispatch event
       this.state.isReady = true;
+
+      // Accept commands (play, seek, getState, ...) from the host page
+      this.hostMessages = new HostMessageAPI(this, this.content.messaging);
+      this.hostMessages.start();
+
       logger.debug('🎉 Dispatching wrapper:ready event');
       this.dispatchEvent('wrapper:ready', {
         wrapper: this,
         config: this.config,
+        content: this.content,
         container: this.container
       });
       
     } catch (error) {
+      if (error instanceof ManifestValidationError) {
+        this.showManifestErrors(error.errors);
+        return;
+      }
       logger.error('Error initializing wrapper:', error);
       this.showError(`Failed to initialize learning object wrapper: ${error.message}`);
     }
@@ -94,6 +156,7 @@ class LearningObjectWrapper {
             <!-- Content will be injected here -->
           </div>
         </main>
+        <div class="lo-notices" role="region" aria-label="Notifications" aria-live="polite"></div>
       </div>`;
   }
 
@@ -170,19 +233,58 @@ class LearningObjectWrapper {
    * Setup theme change listeners
    */
   setupThemeListener() {
-    if (this.config.theme === 'auto') {
-      this.state.mediaQuery = window.matchMedia('(prefers-color-scheme: dark)');
-      this.state.mediaQuery.addEventListener('change', (e) => {
-        const newTheme = e.matches ? 'dark' : 'light';
-        if (newTheme !== this.state.currentTheme) {
-          this.applyTheme(newTheme);
-        }
-      });
-    }
+    // Always listening, since setTheme('auto') can switch to the system theme later
+    this.state.mediaQuery = window.matchMedia('(prefers-color-scheme: dark)');
+    this.listen(this.state.mediaQuery, 'change', (e) => {
+      if (this.config.theme !== 'auto') return;
+
+      const newTheme = e.matches ? 'dark' : 'light';
+      if (newTheme !== this.state.currentTheme) {
+        this.applyTheme(newTheme);
+      }
+    });
+  }
+
+  /**
+   * Switch theme
+   * @param {string} theme - 'light', 'dark', 'high-contrast' or 'auto' (follow the system)
+   */
+  setTheme(theme) {
+    this.config.theme = theme;
+    this.applyTheme(this.detectTheme());
+  }
+
+  /**
+   * Add an event listener that destroy() removes
+   */
+  listen(target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    this.cleanups.push(() => target.removeEventListener(type, handler, options));
+  }
+
+  /**
+   * Start an interval that destroy() clears
+   * @returns {number} Interval ID (clear early with clearInterval as usual)
+   */
+  setManagedInterval(callback, delay) {
+    const intervalId = setInterval(callback, delay);
+    this.cleanups.push(() => clearInterval(intervalId));
+    return intervalId;
+  }
+
+  /**
+   * Register an observer (ResizeObserver, MutationObserver...) that destroy() disconnects
+   */
+  manageObserver(observer) {
+    this.cleanups.push(() => observer.disconnect());
+    return observer;
   }
 
   /**
    * Initialize iframe resize functionality
+   * Event-driven: a ResizeObserver on the wrapper plus content-load signals
+   * (images, iframes, plugin load events, H5P messages) schedule one
+   * measurement per animation frame. Nothing runs while the page is idle.
    */
   initializeResize() {
     // Only run if we're in an iframe
@@ -191,40 +293,28 @@ class LearningObjectWrapper {
     // Send initial height
     this.sendResizeMessage();
 
-    // Set up listeners (enhanced from IframeResizeManager)
-    window.addEventListener('load', () => this.sendResizeMessage());
-    window.addEventListener('resize', () => this.debouncedResize());
+    // iframe-resizer parents start with a handshake that names this frame
+    this.listen(window, 'message', (event) => {
+      if (this.resizeMessenger.handleMessage(event)) {
+        this.resizeMessenger.send(this.getContentHeight(), window.innerWidth, 'init');
+      }
+    });
+
+    this.listen(window, 'load', () => this.scheduleResize());
+    this.listen(window, 'resize', () => this.scheduleResize());
 
-    // Use ResizeObserver on document.body for more reliable width change detection
+    // Watch the wrapper itself: transcripts, plugin DOM and player chrome all change its size
     if (window.ResizeObserver) {
-      const resizeObserver = new ResizeObserver(() => this.debouncedResize());
+      const resizeObserver = this.manageObserver(new ResizeObserver(() => this.scheduleResize()));
+      const wrapperElement = this.container.querySelector('.lo-wrapper');
+      if (wrapperElement) resizeObserver.observe(wrapperElement);
       resizeObserver.observe(document.body);
     }
 
-    // Also check for width changes periodically (fallback)
-    setInterval(() => {
-      const currentWidth = window.innerWidth;
-      if (currentWidth !== this.state.lastWidth) {
-        this.debouncedResize();
-      }
-    }, 500);
-
-    // Watch for DOM changes (modern browsers)
-    if (window.MutationObserver) {
-      const observer = new MutationObserver(() => this.debouncedResize());
-      observer.observe(document.body, {
-        childList: true,
-        subtree: true,
-        attributes: true,
-        attributeFilter: ['style', 'class']
-      });
-    }
+    // Image and iframe loads don't bubble, so catch them during capture
+    this.listen(document, 'load', () => this.scheduleResize(), true);
 
-    // Watch for image loads (can change height)
-    document.addEventListener('load', () => this.sendResizeMessage(), true);
-    
-    // Enhanced checking for dynamic content like H5P
-    this.setupDynamicContentWatcher();
+    this.setupH5PResizeHandling();
   }
 
   /**
@@ -257,20 +347,18 @@ class LearningObjectWrapper {
 
   /**
    * Send resize message to parent frame (enhanced version)
+   * @param {boolean} [force=false] - Send even if the size hasn't changed
    */
-  sendResizeMessage() {
-    if (window.parent === window) return;
+  sendResizeMessage(force = false) {
+    if (window.parent === window || this.state.destroyed) return;
     
     const height = this.getContentHeight();
     const width = window.innerWidth;
     
     // Send if height changed (>1px threshold) OR if width changed at all
     // Lower threshold to ensure iframe shrinks when content gets smaller
-    if (Math.abs(height - this.state.lastHeight) > 1 || width !== this.state.lastWidth) {
-      window.parent.postMessage({
-        subject: 'lti.frameResize',
-        height: height
-      }, '*');
+    if (force || Math.abs(height - this.state.lastHeight) > 1 || width !== this.state.lastWidth) {
+      this.resizeMessenger.send(height, width);
       
       // Update last values after sending
       this.state.lastHeight = height;
@@ -279,94 +367,44 @@ class LearningObjectWrapper {
   }
 
   /**
-   * Debounced resize function
+   * Measure and send on the next animation frame
+   * Any number of signals in the same frame produce a single measurement.
+   * @param {boolean} [force=false] - Send even if the size hasn't changed
    */
-  debouncedResize() {
-    clearTimeout(this.state.resizeTimer);
-    this.state.resizeTimer = setTimeout(() => {
-      this.sendResizeMessage();
-    }, 100);
+  scheduleResize(force = false) {
+    if (window.parent === window || this.state.destroyed) return;
+
+    this.state.resizeForced = this.state.resizeForced || force;
+    if (this.state.resizeFrame) return;
+
+    this.state.resizeFrame = requestAnimationFrame(() => {
+      const forced = this.state.resizeForced;
+      this.state.resizeFrame = null;
+      this.state.resizeForced = false;
+      this.sendResizeMessage(forced);
+    });
   }
 
   /**
    * Trigger manual resize (useful after content loads)
    */
   triggerResize() {
-    setTimeout(() => this.sendResizeMessage(), 100);
+    this.scheduleResize();
   }
 
   /**
    * Force resize (bypasses threshold check)
    */
   forceResize() {
-    if (window.parent === window) return;
-    
-    // Force layout recalculation by briefly changing display
-    const wrapper = this.container.querySelector('.lo-wrapper');
-    if (wrapper) {
-      const originalDisplay = wrapper.style.display;
-      wrapper.style.display = 'none';
-      // Force reflow
-      wrapper.offsetHeight;
-      wrapper.style.display = originalDisplay;
-    }
-    
-    const height = this.getContentHeight();
-    const width = window.innerWidth;
-    
-    logger.debug(`🔄 Force resize: ${height}px (was ${this.state.lastHeight}px)`);
-    
-    // Always send regardless of threshold
-    window.parent.postMessage({
-      subject: 'lti.frameResize',
-      height: height
-    }, '*');
-    
-    // Update last values after sending
-    this.state.lastHeight = height;
-    this.state.lastWidth = width;
-  }
-
-  /**
-   * Set up enhanced watching for dynamic content (H5P, etc.)
-   */
-  setupDynamicContentWatcher() {
-    // More frequent checking for the first 30 seconds (for slow-loading content)
-    let checkCount = 0;
-    const maxChecks = 60; // 30 seconds at 500ms intervals
-    
-    const dynamicChecker = setInterval(() => {
-      this.sendResizeMessage();
-      checkCount++;
-      
-      if (checkCount >= maxChecks) {
-        clearInterval(dynamicChecker);
-        logger.debug('🔄 Dynamic content checking completed');
-      }
-    }, 500);
-    
-    // Enhanced H5P detection and resize handling
-    this.setupH5PResizeHandling();
-    
-    // Watch for iframe content changes
-    const iframes = document.querySelectorAll('iframe');
-    iframes.forEach(iframe => {
-      iframe.addEventListener('load', () => {
-        logger.debug('📄 Iframe content loaded, checking size');
-        setTimeout(() => this.sendResizeMessage(), 100);
-        setTimeout(() => this.sendResizeMessage(), 500);
-        setTimeout(() => this.sendResizeMessage(), 1000);
-        setTimeout(() => this.sendResizeMessage(), 2000);
-      });
-    });
+    this.scheduleResize(true);
   }
 
   /**
-   * Enhanced H5P resize handling (simplified - relies on official H5P resizer)
+   * Treat H5P resizer messages from embedded content as load signals
+   * (the official H5P resizer sizes the H5P iframe; the ResizeObserver sees the result)
    */
   setupH5PResizeHandling() {
-    // Listen for H5P resize events (fallback if official resizer fails)
-    window.addEventListener('message', (event) => {
+    this.listen(window, 'message', (event) => {
       const data = event.data;
       if (!data) return;
       
@@ -375,84 +413,161 @@ class LearningObjectWrapper {
         data.type === 'h5p' ||
         data.action === 'resize' ||
         (data.context && data.context === 'h5p') ||
-        (data.subject && data.subject.includes('h5p'))
+        (typeof data.subject === 'string' && data.subject.includes('h5p'))
       );
       
       if (isH5PResize) {
-        logger.debug('📏 H5P resize event detected (fallback handling):', data);
-        this.debouncedResize();
+        logger.debug('📏 H5P resize event detected:', data);
+        this.scheduleResize();
       }
     });
-    
-    // Light monitoring for H5P content (official resizer should handle most cases)
-    const isH5PContent = window.location.href.includes('h5p') || 
-                        document.querySelector('iframe[src*="h5p"]') ||
-                        document.querySelector('.h5p-content');
-    
-    if (isH5PContent) {
-      logger.debug('🎮 H5P content detected - official H5P resizer should handle resize');
-      
-      // Lighter checking as fallback (official resizer should handle primary resizing)
-      let fallbackCount = 0;
-      const fallbackMax = 30; // 15 seconds at 500ms intervals
-      
-      const fallbackChecker = setInterval(() => {
-        this.sendResizeMessage();
-        fallbackCount++;
-        
-        if (fallbackCount >= fallbackMax) {
-          clearInterval(fallbackChecker);
-          logger.debug('🔄 H5P fallback checking completed');
-        }
-      }, 500);
-    }
   }
 
   /**
-   * Load manifest configuration
+   * Resolve manifest and URL parameters into the shared content config
+   * and apply the wrapper-level parts (title, header, transcripts, attribution)
    */
-  async loadManifest() {
-    try {
-      const response = await fetch(this.config.manifestUrl);
-      if (!response.ok) {
-        throw new Error(`Failed to load manifest: ${response.statusText}`);
-      }
-      
-      const manifest = await response.json();
-      
-      // Update config with manifest values
-      const hadTitle = !!this.config.title;
-      this.config.title = this.config.title || manifest.title;
-      this.config.type = this.config.type === 'auto' ? manifest.type : this.config.type;
-      
-      // If we got a title from manifest and showHeader is true, update the header
-      if (manifest.title && this.config.showHeader && !hadTitle) {
-        this.updateHeaderAfterManifest();
-      } else if (manifest.title && this.config.showHeader && hadTitle) {
+  async resolveContent() {
+    if (this.config.manifestUrl) {
+      logger.debug('📄 Loading manifest:', this.config.manifestUrl);
+    }
+
+    const content = await loadContentConfig(this.config);
+    if (this.state.destroyed) return;
+    this.content = content;
+    this.resizeMessenger.configure(content.resize);
+
+    const hadHeader = !!this.container.querySelector('.lo-header');
+    Object.assign(this.config, {
+      id: content.id,
+      type: content.type,
+      title: content.title,
+      showHeader: content.showHeader,
+      transcripts: content.transcripts,
+      attribution: content.attribution
+    });
+
+    const wrapperElement = this.container.querySelector('.lo-wrapper');
+    if (wrapperElement) {
+      wrapperElement.dataset.objectId = content.id || 'auto';
+      wrapperElement.dataset.objectType = content.type;
+    }
+
+    // Add the header if resolving gave us a title, or refresh the existing one
+    if (this.config.showHeader && this.config.title) {
+      if (hadHeader) {
         this.updateTitle(this.config.title);
+      } else {
+        this.updateHeaderAfterManifest();
       }
-      
-      // Handle transcripts
-      if (manifest.transcripts) {
-        this.config.transcripts = manifest.transcripts;
-        logger.debug('📝 Transcripts found in manifest:', manifest.transcripts);
-        
-        // Create transcript UI after loading manifest
-        this.createTranscriptUI();
-      }
-      
-      // Handle attribution
-      if (manifest.attribution) {
-        this.config.attribution = manifest.attribution;
-        logger.debug('📄 Attribution found in manifest:', manifest.attribution);
-        
-        // Create attribution footer after loading manifest
-        this.createAttributionFooter();
+    }
+
+    if (content.transcripts.length > 0) {
+      logger.debug('📝 Transcripts found:', content.transcripts);
+      this.createTranscriptUI();
+    }
+
+    if (content.attribution) {
+      logger.debug('📄 Attribution found:', content.attribution);
+      this.createAttributionFooter();
+    }
+
+    if (content.xapi) {
+      await this.enableXAPI(content.xapi);
+    }
+
+    if (content.scorm?.enabled !== false) {
+      await this.enableSCORM(content.scorm);
+    }
+  }
+
+  /**
+   * Report analytics events to an LRS as xAPI statements
+   * The module is only loaded when an LRS endpoint is configured.
+   * @param {Object} options - XAPIEmitter options (endpoint, auth, actor, ...)
+   */
+  async enableXAPI(options) {
+    try {
+      const { XAPIEmitter } = await import('./utils/xapi.js');
+      if (this.state.destroyed) return;
+      this.xapi = new XAPIEmitter(this, options);
+      this.xapi.start();
+      this.cleanups.push(() => this.xapi.stop());
+      logger.debug('📡 xAPI reporting to:', options.endpoint);
+    } catch (error) {
+      // Reporting problems must never block the content
+      logger.error('❌ Could not start xAPI reporting:', error);
+    }
+  }
+
+  /**
+   * Report progress to a SCORM runtime, if one is found in a parent frame
+   * @param {Object} [options] - ScormAdapter options (completeOn, passOn, ...)
+   */
+  async enableSCORM(options = {}) {
+    try {
+      const { findScormAPI, ScormAdapter } = await import('./utils/scorm.js');
+      if (this.state.destroyed) return;
+      const runtime = findScormAPI(window);
+      if (!runtime) return;
+
+      const adapter = new ScormAdapter(this, runtime, options);
+      if (adapter.start()) {
+        this.scorm = adapter;
+        this.cleanups.push(() => adapter.stop());
       }
-      
     } catch (error) {
-      logger.warn('Failed to load manifest:', error);
+      logger.error('❌ Could not start SCORM reporting:', error);
+    }
+  }
+
+  /**
+   * Load the content plugin for the resolved content config
+   * Replaces (and tears down) any plugin that is already active.
+   * @param {Object} [content] - Content config (defaults to the resolved config)
+   * @returns {Promise<Object|null>} The plugin handle, or null when the wrapper was destroyed
+   *   or another load started before this one finished
+   */
+  async loadContent(content = this.content) {
+    this.unloadContent();
+    const token = ++this.loadToken;
+    const isStale = () => this.state.destroyed || token !== this.loadToken;
+
+    const load = await contentPlugins.getPlugin(content.type);
+    if (isStale()) return null;
+    logger.debug('🚀 Using handler for type:', content.type);
+
+    const result = await load(this, content);
+    if (isStale()) {
+      // Nothing else will ever tear this plugin down
+      logger.debug('Discarding content that finished loading after it was replaced');
+      normalizePluginHandle(result).destroy();
+      return null;
     }
+    this.plugin = normalizePluginHandle(result);
+    logger.debug('✅ Content loaded successfully');
+
+    // Transcript lines can seek media plugins
+    this.container.querySelector('.lo-transcript')
+      ?.classList.toggle('is-seekable', typeof this.plugin.seek === 'function');
+
+    this.dispatchEvent('content:loaded', { type: content.type });
+    this.triggerResize();
+    return this.plugin;
+  }
+
+  /**
+   * Destroy the active content plugin, if any
+   */
+  unloadContent() {
+    if (!this.plugin) return;
+
+    try {
+      this.plugin.destroy();
+    } catch (error) {
+      logger.warn('Plugin destroy failed:', error);
+    }
+    this.plugin = null;
   }
 
   /**
@@ -506,6 +621,64 @@ class LearningObjectWrapper {
     }
   }
 
+  /**
+   * Show a toast or, with `dialog: true`, a modal dialog. Use this instead of alert():
+   * it doesn't block the page and works inside LMS iframes.
+   * @param {string} message - Plain-text message
+   * @param {Object} [options] - severity ('info', 'success', 'warning', 'error'), title,
+   *   dialog, duration, actions and content; see NoticeManager.show()
+   * @returns {{id: string, element: HTMLElement, close: Function, closed: Promise<string>}}
+   */
+  showNotice(message, options = {}) {
+    return this.notices.show(message, options);
+  }
+
+  /**
+   * Show manifest validation problems
+   * In debug mode every problem is listed with its JSON path for authors,
+   * otherwise learners get a friendly summary.
+   */
+  showManifestErrors(errors) {
+    errors.forEach(error => logger.error(`Manifest error at ${error.path}: ${error.message}`));
+
+    this.dispatchEvent('manifest:error', {
+      manifestUrl: this.config.manifestUrl,
+      errors: errors
+    });
+
+    const contentContainer = this.getContentContainer();
+    if (!contentContainer) return;
+
+    if (!this.config.debug) {
+      contentContainer.innerHTML = `
+        <div class="lo-error" role="alert">
+          <div class="lo-error-title">Content unavailable</div>
+          <div class="lo-error-message">
+            This learning content is not set up correctly and can't be displayed.
+            Please let your instructor or course coordinator know.
+          </div>
+        </div>`;
+      return;
+    }
+
+    const problems = errors.map(error => `
+          <li>
+            <code class="lo-manifest-error-path">${this.escapeHtml(error.path)}</code>
+            ${this.escapeHtml(error.message)}
+          </li>`).join('');
+
+    contentContainer.innerHTML = `
+      <div class="lo-error lo-manifest-error" role="alert">
+        <div class="lo-error-title">Invalid manifest</div>
+        <div class="lo-error-message">
+          <code>${this.escapeHtml(this.config.manifestUrl || '')}</code> has
+          ${errors.length} problem${errors.length === 1 ? '' : 's'}:
+        </div>
+        <ul class="lo-manifest-error-list">${problems}
+        </ul>
+      </div>`;
+  }
+
   /**
    * Show loading state
    */
@@ -553,15 +726,20 @@ class LearningObjectWrapper {
 
   /**
    * Track content events (placeholder for analytics)
+   * @param {string} action - Event name, e.g. 'video_play'
+   * @param {string} category - Event group, e.g. 'Video Player'
+   * @param {string} label - Human-readable description
+   * @param {number} [value] - Optional numeric value, e.g. the milestone for 'video_milestone'
    */
-  trackContentEvent(action, category, label) {
-    logger.debug('Analytics Event:', { action, category, label });
+  trackContentEvent(action, category, label, value) {
+    logger.debug('Analytics Event:', { action, category, label, value });
     
     // Dispatch analytics event for external tracking
     this.dispatchEvent('analytics:track', {
       action: action,
       category: category,
       label: label,
+      ...(value !== undefined && { value }),
       timestamp: Date.now()
     });
   }
@@ -600,6 +778,31 @@ class LearningObjectWrapper {
       <div id="transcript-description" class="sr-only">
         Toggle visibility of content transcript
       </div>
+      <div id="transcript-cue-help" class="sr-only">
+        Use the up and down arrow keys to move between lines.
+        Press Enter to play the video from the selected line.
+      </div>
+      <div id="transcript-search-help" class="sr-only">
+        Press Enter for the next match, Shift and Enter for the previous match, and Escape to clear the search.
+      </div>
+      <div class="lo-transcript-tools" aria-hidden="true">
+        <div class="lo-transcript-search" role="search">
+          <label for="transcript-search-input" class="sr-only">Search transcript</label>
+          <input type="search"
+                 id="transcript-search-input"
+                 class="lo-transcript-search-input"
+                 placeholder="Search transcript"
+                 autocomplete="off"
+                 aria-describedby="transcript-search-help">
+          <span class="lo-transcript-search-count" aria-hidden="true"></span>
+          <button type="button" class="lo-transcript-tool-btn" data-search-step="-1" aria-label="Previous match" disabled>↑</button>
+          <button type="button" class="lo-transcript-tool-btn" data-search-step="1" aria-label="Next match" disabled>↓</button>
+        </div>
+        <div class="lo-transcript-download" role="group" aria-label="Download transcript">
+          <button type="button" class="lo-transcript-tool-btn" data-download="text" aria-label="Download transcript as Text">⬇ Text</button>
+          <button type="button" class="lo-transcript-tool-btn" data-download="html" aria-label="Download transcript as HTML">⬇ HTML</button>
+        </div>
+      </div>
       <div class="lo-transcript-content" 
            id="transcript-content"
            aria-hidden="true"
@@ -623,7 +826,7 @@ class LearningObjectWrapper {
    */
   createLanguageSelector() {
     const options = this.config.transcripts.map(transcript =>
-      `<option value="${transcript.language}" ${transcript.default ? 'selected' : ''}>${this.getLanguageLabel(transcript.language)}</option>`
+      `<option value="${transcript.language}" ${transcript.default ? 'selected' : ''}>${this.escapeHtml(transcript.label || this.getLanguageLabel(transcript.language))}</option>`
     ).join('');
 
     return `
@@ -678,6 +881,51 @@ class LearningObjectWrapper {
       
       logger.debug('✅ Language selector event listeners attached');
     }
+
+    const textElement = transcriptSection.querySelector('.lo-transcript-text');
+    if (textElement) {
+      // Delegated so the listeners survive re-rendering on language change
+      textElement.addEventListener('click', (e) => {
+        const cue = e.target.closest('.lo-transcript-cue');
+        if (cue) {
+          this.activateTranscriptCue(cue);
+        }
+      });
+      textElement.addEventListener('keydown', (e) => this.handleTranscriptKeydown(e));
+    }
+
+    const searchInput = transcriptSection.querySelector('#transcript-search-input');
+    if (searchInput) {
+      // Wait for a pause in typing so screen readers announce one result count
+      searchInput.addEventListener('input', (e) => {
+        clearTimeout(this.state.searchTimer);
+        this.state.searchTimer = setTimeout(() => this.searchTranscript(e.target.value), 250);
+      });
+
+      searchInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          clearTimeout(this.state.searchTimer);
+          if (e.target.value.trim() !== this.state.searchQuery) {
+            this.searchTranscript(e.target.value);
+          } else {
+            this.goToTranscriptMatch(e.shiftKey ? -1 : 1);
+          }
+        } else if (e.key === 'Escape' && e.target.value) {
+          e.preventDefault();
+          e.target.value = '';
+          this.searchTranscript('');
+        }
+      });
+    }
+
+    transcriptSection.querySelectorAll('[data-search-step]').forEach(button => {
+      button.addEventListener('click', () => this.goToTranscriptMatch(Number(button.dataset.searchStep)));
+    });
+
+    transcriptSection.querySelectorAll('[data-download]').forEach(button => {
+      button.addEventListener('click', () => this.downloadTranscript(button.dataset.download));
+    });
   }
 
   /**
@@ -690,9 +938,12 @@ class LearningObjectWrapper {
     if (!transcriptSection) return;
 
     const content = transcriptSection.querySelector('.lo-transcript-content');
+    const tools = transcriptSection.querySelector('.lo-transcript-tools');
     const toggle = transcriptSection.querySelector('.lo-transcript-toggle');
     const label = transcriptSection.querySelector('.lo-transcript-label');
 
+    tools?.setAttribute('aria-hidden', String(!this.state.transcriptVisible));
+
     if (this.state.transcriptVisible) {
       content?.setAttribute('aria-hidden', 'false');
       toggle?.setAttribute('aria-expanded', 'true');
@@ -733,6 +984,8 @@ class LearningObjectWrapper {
       return;
     }
 
+    this.state.transcriptLanguage = language;
+
     try {
       logger.debug('Fetching transcript from:', transcript.url);
       const response = await fetch(transcript.url);
@@ -742,7 +995,7 @@ class LearningObjectWrapper {
       const content = await response.text();
       logger.debug('✅ Transcript loaded, length:', content.length);
 
-      this.updateTranscriptDisplay(content);
+      this.updateTranscriptDisplay(content, transcript.format);
       
     } catch (error) {
       logger.error('❌ Transcript load error:', error);
@@ -750,15 +1003,431 @@ class LearningObjectWrapper {
     }
   }
 
+  /**
+   * Show or hide the transcript panel
+   * @param {boolean} visible - Whether the transcript should be shown
+   * @returns {boolean} False when the content has no transcript
+   */
+  setTranscriptVisible(visible) {
+    if (!this.container.querySelector('.lo-transcript')) return false;
+
+    if (visible !== this.state.transcriptVisible) {
+      this.toggleTranscript();
+    }
+    return true;
+  }
+
+  /**
+   * Switch captions (via the plugin) and transcript to a language
+   * @param {string} language - Language code
+   * @returns {Promise<boolean>} False when neither captions nor a transcript exist in that language
+   */
+  async setLanguage(language) {
+    const captionsChanged = typeof this.plugin?.setLanguage === 'function' &&
+      this.plugin.setLanguage(language) !== false;
+
+    const hasTranscript = !!this.config.transcripts?.some(t => t.language === language);
+    if (hasTranscript && language !== this.state.transcriptLanguage) {
+      const select = this.container.querySelector('#transcript-lang-select');
+      if (select) select.value = language;
+      await this.loadTranscript(language);
+    }
+
+    return captionsChanged || hasTranscript;
+  }
+
+  /**
+   * Percentage of the media the learner has watched (distinct time, ignoring skipped parts)
+   * @returns {number|null} 0-100, or null when the content doesn't track it
+   */
+  getPercentWatched() {
+    const percent = this.plugin?.getState().percentWatched;
+    return typeof percent === 'number' ? percent : null;
+  }
+
+  /**
+   * Snapshot of the wrapper and the active plugin, for host pages
+   * @returns {Object}
+   */
+  getState() {
+    return {
+      ready: this.state.isReady,
+      id: this.content?.id || this.config.id || '',
+      type: this.content?.type || this.config.type,
+      theme: this.state.currentTheme,
+      transcript: {
+        available: !!this.container.querySelector('.lo-transcript'),
+        visible: this.state.transcriptVisible,
+        language: this.state.transcriptLanguage
+      },
+      content: this.plugin ? this.plugin.getState() : null
+    };
+  }
+
+  /**
+   * Report a score, success or completion from graded content (e.g. H5P).
+   * Fires `content:result`, records it with SCORM and forwards it to the host page.
+   * @param {Object} result - `{ score: { raw, min, max, scaled }, success, completion }`
+   */
+  reportResult(result) {
+    const detail = { type: this.content?.type || this.config.type, ...result };
+    this.dispatchEvent('content:result', detail);
+    this.scorm?.reportResult(result);
+    this.hostMessages?.notify('result', detail);
+  }
+
+  /**
+   * Latest result from graded content
+   * @returns {Object|null} Null when the content isn't graded or nothing is scored yet
+   */
+  getResult() {
+    return this.plugin?.getResult ? this.plugin.getResult() : null;
+  }
+
+  /**
+   * Keep the transcript in the same language as the selected captions
+   * Called by media plugins when the viewer switches caption track.
+   * @param {string} language - Caption language code
+   */
+  onCaptionLanguageChange(language) {
+    if (!language || language === this.state.transcriptLanguage) return;
+    if (!this.config.transcripts?.some(t => t.language === language)) return;
+
+    const select = this.container.querySelector('#transcript-lang-select');
+    if (select) select.value = language;
+    this.loadTranscript(language);
+  }
+
   /**
    * Update transcript display with content
+   * @param {string} content - Transcript file contents
+   * @param {string} [format] - 'text' or 'vtt' (detected from the content when omitted)
    */
-  updateTranscriptDisplay(content) {
+  updateTranscriptDisplay(content, format) {
     const textElement = this.container.querySelector('.lo-transcript-text');
-    if (textElement && content) {
+    if (!textElement || !content) return;
+
+    // Caption files are turned into paragraphs with cue start times
+    const lines = isVTT(content, format) ? transcriptFromVTT(content) : parseTranscript(content);
+    this.state.transcriptParagraphs = lines;
+    this.state.transcriptLines = hasTimedCues(lines) ? lines : [];
+    this.state.activeCueIndex = -1;
+
+    // Transcripts without timestamps stay plain text
+    if (this.state.transcriptLines.length === 0) {
       textElement.textContent = content;
       logger.debug('✅ Updated transcript display');
+    } else {
+      textElement.innerHTML = this.renderTranscriptLines(lines);
+      this.onMediaTimeUpdate(this.state.mediaTime);
+      logger.debug('✅ Updated transcript display with', lines.length, 'lines');
     }
+
+    // Keep an active search when switching language
+    this.searchTranscript(this.state.searchQuery, { announce: false });
+  }
+
+  /**
+   * Highlight every match of a query in the transcript and select the first
+   * @param {string} query - Search text
+   * @param {Object} [options]
+   * @param {boolean} [options.announce=true] - Announce the match count to screen readers
+   */
+  searchTranscript(query, { announce = true } = {}) {
+    this.clearTranscriptHighlights();
+
+    this.state.searchQuery = String(query || '').trim();
+    this.state.searchMatches = this.state.searchQuery ?
+      this.highlightTranscriptMatches(this.state.searchQuery) : [];
+    this.state.searchIndex = -1;
+
+    const count = this.state.searchMatches.length;
+    if (count > 0) {
+      this.selectTranscriptMatch(0);
+    } else {
+      this.updateTranscriptSearchStatus();
+    }
+
+    if (announce && this.state.searchQuery) {
+      const summary = count === 0 ? 'No matches' : `${count} ${count === 1 ? 'match' : 'matches'}`;
+      this.announceToScreenReader(`${summary} for "${this.state.searchQuery}"`);
+    }
+  }
+
+  /**
+   * Wrap matches in <mark> elements (cue text only, never the timestamps)
+   * @returns {HTMLElement[]} Marks in document order
+   */
+  highlightTranscriptMatches(query) {
+    const textElement = this.container.querySelector('.lo-transcript-text');
+    if (!textElement) return [];
+
+    const targets = [...textElement.querySelectorAll('.lo-transcript-cue-text, .lo-transcript-line')];
+    const roots = targets.length > 0 ? targets : [textElement];
+    const marks = [];
+
+    roots.forEach(root => {
+      const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+      const nodes = [];
+      while (walker.nextNode()) nodes.push(walker.currentNode);
+
+      nodes.forEach(node => {
+        const nodeMarks = [];
+
+        // Work backwards so earlier offsets stay valid after splitting
+        findMatches(node.nodeValue, query).reverse().forEach(({ start, end }) => {
+          const matchNode = node.splitText(start);
+          matchNode.splitText(end - start);
+
+          const mark = document.createElement('mark');
+          mark.className = 'lo-transcript-match';
+          mark.textContent = matchNode.nodeValue;
+          matchNode.replaceWith(mark);
+          nodeMarks.unshift(mark);
+        });
+
+        marks.push(...nodeMarks);
+      });
+    });
+
+    return marks;
+  }
+
+  /**
+   * Remove search highlights, restoring the original text nodes
+   */
+  clearTranscriptHighlights() {
+    const textElement = this.container.querySelector('.lo-transcript-text');
+    textElement?.querySelectorAll('mark.lo-transcript-match').forEach(mark => {
+      const parent = mark.parentNode;
+      mark.replaceWith(document.createTextNode(mark.textContent));
+      parent.normalize();
+    });
+  }
+
+  /**
+   * Step to the next (1) or previous (-1) search match, wrapping around
+   */
+  goToTranscriptMatch(step) {
+    const count = this.state.searchMatches.length;
+    if (count === 0) return;
+
+    const index = (this.state.searchIndex + step + count) % count;
+    this.selectTranscriptMatch(index);
+    this.announceToScreenReader(`Match ${index + 1} of ${count}`);
+  }
+
+  /**
+   * Mark a search match as current and scroll it into view
+   */
+  selectTranscriptMatch(index) {
+    this.state.searchMatches[this.state.searchIndex]?.classList.remove('is-current');
+    this.state.searchIndex = index;
+
+    const mark = this.state.searchMatches[index];
+    mark.classList.add('is-current');
+    this.scrollTranscriptTo(mark);
+    this.updateTranscriptSearchStatus();
+  }
+
+  /**
+   * Update the visible match counter and previous/next buttons
+   */
+  updateTranscriptSearchStatus() {
+    const transcriptSection = this.container.querySelector('.lo-transcript');
+    if (!transcriptSection) return;
+
+    const { searchQuery, searchMatches, searchIndex } = this.state;
+    const counter = transcriptSection.querySelector('.lo-transcript-search-count');
+    if (counter) {
+      counter.textContent = searchQuery ? `${searchIndex + 1}/${searchMatches.length}` : '';
+    }
+
+    transcriptSection.querySelectorAll('[data-search-step]').forEach(button => {
+      button.disabled = searchMatches.length === 0;
+    });
+  }
+
+  /**
+   * Download the current language transcript
+   * @param {string} format - 'text' or 'html'
+   */
+  downloadTranscript(format = 'text') {
+    const lines = this.state.transcriptParagraphs;
+    if (lines.length === 0) {
+      this.announceToScreenReader('Transcript is not loaded yet');
+      return;
+    }
+
+    const details = {
+      title: this.config.title,
+      language: this.state.transcriptLanguage,
+      lines,
+      attribution: this.config.attribution
+    };
+    const isHtml = format === 'html';
+    const blob = new Blob(
+      [isHtml ? transcriptToHTML(details) : transcriptToText(details)],
+      { type: isHtml ? 'text/html;charset=utf-8' : 'text/plain;charset=utf-8' }
+    );
+
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = transcriptFilename(this.config.title, this.state.transcriptLanguage, isHtml ? 'html' : 'txt');
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+
+    this.trackContentEvent('transcript_download', 'Transcript', format);
+  }
+
+  /**
+   * Render parsed transcript lines as a navigable list of cues
+   */
+  renderTranscriptLines(lines) {
+    let firstCue = true;
+
+    const items = lines.map((line, index) => {
+      if (line.start === null) {
+        return `<li class="lo-transcript-line">${this.escapeHtml(line.text)}</li>`;
+      }
+
+      // Roving tabindex: only one cue is in the tab order at a time
+      const tabindex = firstCue ? 0 : -1;
+      firstCue = false;
+
+      return `
+        <li class="lo-transcript-cue" data-index="${index}" data-start="${line.start}" tabindex="${tabindex}">
+          <span class="lo-transcript-time">${formatTime(line.start)}</span>
+          <span class="lo-transcript-cue-text">${this.escapeHtml(line.text)}</span>
+        </li>`;
+    }).join('');
+
+    return `
+      <ol class="lo-transcript-cues" aria-label="Transcript lines" aria-describedby="transcript-cue-help">
+        ${items}
+      </ol>`;
+  }
+
+  /**
+   * Keyboard navigation between transcript cues
+   */
+  handleTranscriptKeydown(e) {
+    const cue = e.target.closest('.lo-transcript-cue');
+    if (!cue) return;
+
+    const cues = [...this.container.querySelectorAll('.lo-transcript-cue')];
+    const position = cues.indexOf(cue);
+    let target = null;
+
+    switch (e.key) {
+      case 'ArrowDown':
+        target = cues[position + 1];
+        break;
+      case 'ArrowUp':
+        target = cues[position - 1];
+        break;
+      case 'Home':
+        target = cues[0];
+        break;
+      case 'End':
+        target = cues[cues.length - 1];
+        break;
+      case 'Enter':
+      case ' ':
+        e.preventDefault();
+        this.activateTranscriptCue(cue);
+        return;
+      default:
+        return;
+    }
+
+    e.preventDefault();
+    if (target) {
+      this.focusTranscriptCue(target);
+    }
+  }
+
+  /**
+   * Move focus (and the roving tabindex) to a transcript cue
+   */
+  focusTranscriptCue(cue) {
+    this.container.querySelectorAll('.lo-transcript-cue[tabindex="0"]').forEach(el => {
+      el.setAttribute('tabindex', '-1');
+    });
+    cue.setAttribute('tabindex', '0');
+    cue.focus({ preventScroll: true });
+    this.scrollTranscriptTo(cue);
+  }
+
+  /**
+   * Seek the media to a transcript cue
+   */
+  activateTranscriptCue(cue) {
+    const start = Number(cue.dataset.start);
+    this.focusTranscriptCue(cue);
+
+    if (this.seekTo(start)) {
+      this.trackContentEvent('transcript_seek', 'Transcript', formatTime(start));
+    }
+  }
+
+  /**
+   * Seek the active plugin's media, if it supports seeking
+   * @param {number} seconds - Target position
+   * @returns {boolean} Whether the plugin handled the seek
+   */
+  seekTo(seconds) {
+    if (!this.plugin || typeof this.plugin.seek !== 'function') return false;
+
+    this.plugin.seek(seconds);
+    this.onMediaTimeUpdate(seconds);
+    return true;
+  }
+
+  /**
+   * Called by media plugins as playback progresses; highlights the current transcript cue
+   * @param {number} currentTime - Playback position in seconds
+   */
+  onMediaTimeUpdate(currentTime) {
+    this.state.mediaTime = currentTime;
+    if (this.state.transcriptLines.length === 0) return;
+
+    const index = findActiveCue(this.state.transcriptLines, currentTime);
+    if (index === this.state.activeCueIndex) return;
+    this.state.activeCueIndex = index;
+
+    const textElement = this.container.querySelector('.lo-transcript-text');
+    if (!textElement) return;
+
+    textElement.querySelectorAll('.lo-transcript-cue.is-active').forEach(el => {
+      el.classList.remove('is-active');
+      el.removeAttribute('aria-current');
+    });
+
+    const cue = textElement.querySelector(`.lo-transcript-cue[data-index="${index}"]`);
+    if (!cue) return;
+
+    cue.classList.add('is-active');
+    cue.setAttribute('aria-current', 'true');
+
+    // Don't pull the list away from a keyboard user who is browsing it
+    if (this.state.transcriptVisible && !textElement.contains(document.activeElement)) {
+      this.scrollTranscriptTo(cue);
+    }
+  }
+
+  /**
+   * Scroll the transcript panel (not the page) so a cue or match is centred
+   */
+  scrollTranscriptTo(element) {
+    const content = this.container.querySelector('.lo-transcript-content');
+    if (!content) return;
+
+    const top = element.offsetTop - content.clientHeight / 2 + element.offsetHeight / 2;
+    content.scrollTop = Math.max(0, top);
   }
 
   /**
@@ -849,31 +1518,44 @@ class LearningObjectWrapper {
   }
 
   /**
-   * Escape HTML to prevent XSS
+   * Escape HTML to prevent XSS (utils/html.js; plugins call it through the wrapper)
    */
   escapeHtml(text) {
-    if (!text) return '';
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+    return escapeHtml(text);
   }
 
   /**
    * Cleanup wrapper (remove event listeners, etc.)
    */
   destroy() {
-    // Clean up theme listener
-    if (this.state.mediaQuery) {
-      this.state.mediaQuery.removeEventListener('change', this.handleThemeChange);
-    }
-    
+    if (this.state.destroyed) return;
+
+    // Tear down the active plugin first so it can still reach its DOM
+    this.unloadContent();
+    this.notices.closeAll();
+
+    // Remove listeners, disconnect observers and clear intervals
+    this.cleanups.splice(0).forEach(cleanup => {
+      try {
+        cleanup();
+      } catch (error) {
+        logger.warn('Cleanup failed during destroy:', error);
+      }
+    });
+
     // Clear timers
-    if (this.state.resizeTimer) {
-      clearTimeout(this.state.resizeTimer);
+    if (this.state.resizeFrame) {
+      cancelAnimationFrame(this.state.resizeFrame);
+      this.state.resizeFrame = null;
     }
-    
+    clearTimeout(this.state.searchTimer);
+
     // Mark as not ready
     this.state.isReady = false;
+    this.state.destroyed = true;
+
+    this.dispatchEvent('wrapper:destroy', { wrapper: this });
+    this.container.innerHTML = '';
   }
 }
 